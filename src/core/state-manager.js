@@ -16,6 +16,9 @@ class StateManager {
             currentVideoFile: null,
             isBatchMode: false,
             
+            // 외부 컷 리스트 (EDL/FCPXML/XML) - { path, name, timeBase }
+            cutList: null,
+            
             // 처리 상태
             isProcessing: false,
             batchCancelled: false,
@@ -54,13 +57,53 @@ class StateManager {
             // 설정 컨트롤
             sensitivitySlider: document.getElementById('sensitivitySlider'),
             sensitivityValue: document.getElementById('sensitivityValue'),
+            cutCountPreview: document.getElementById('cutCountPreview'),
+            detectionMode: document.getElementById('detectionMode'),
+            frameSamplingMode: document.getElementById('frameSamplingMode'),
+            frameSamplingValue: document.getElementById('frameSamplingValue'),
+            sceneFramePolicy: document.getElementById('sceneFramePolicy'),
+            sceneFrameCount: document.getElementById('sceneFrameCount'),
+            performanceProfile: document.getElementById('performanceProfile'),
+            audioMode: document.getElementById('audioMode'),
+            beatSnapTolerance: document.getElementById('beatSnapTolerance'),
+            beatsPerCut: document.getElementById('beatsPerCut'),
+            minSceneLength: document.getElementById('minSceneLength'),
+            minSceneLengthUnit: document.getElementById('minSceneLengthUnit'),
+            reviewCutsBeforeExtraction: document.getElementById('reviewCutsBeforeExtraction'),
+            rangeStart: document.getElementById('rangeStart'),
+            rangeEnd: document.getElementById('rangeEnd'),
+            cutListBtn: document.getElementById('cutListBtn'),
+            cutListName: document.getElementById('cutListName'),
+            clearCutListBtn: document.getElementById('clearCutListBtn'),
+            cutListTimeBase: document.getElementById('cutListTimeBase'),
+            exportSceneList: document.getElementById('exportSceneList'),
+            contactSheet: document.getElementById('contactSheet'),
+            contactSheetColumns: document.getElementById('contactSheetColumns'),
+            importSceneListToEagle: document.getElementById('importSceneListToEagle'),
             qualitySlider: document.getElementById('qualitySlider'),
             qualityValue: document.getElementById('qualityValue'),
             formatSelect: document.getElementById('formatSelect'),
+            frameMaxWidth: document.getElementById('frameMaxWidth'),
+            frameMaxHeight: document.getElementById('frameMaxHeight'),
+            frameAspectRatio: document.getElementById('frameAspectRatio'),
+            removeLetterbox: document.getElementById('removeLetterbox'),
+            keepHdr: document.getElementById('keepHdr'),
             inHandleSlider: document.getElementById('inHandleSlider'),
             inHandleValue: document.getElementById('inHandleValue'),
             outHandleSlider: document.getElementById('outHandleSlider'),
             outHandleValue: document.getElementById('outHandleValue'),
+            clipProfile: document.getElementById('clipProfile'),
+            clipRateControl: document.getElementById('clipRateControl'),
+            clipBitrate: document.getElementById('clipBitrate'),
+            clipTargetSizeMB: document.getElementById('clipTargetSizeMB'),
+            clipCopyMode: document.getElementById('clipCopyMode'),
+            clipMinDuration: document.getElementById('clipMinDuration'),
+            clipMaxDuration: document.getElementById('clipMaxDuration'),
+            clipLongSceneMode: document.getElementById('clipLongSceneMode'),
+            animatedPreview: document.getElementById('animatedPreview'),
+            animatedWidth: document.getElementById('animatedWidth'),
+            animatedFps: document.getElementById('animatedFps'),
+            animatedMaxDuration: document.getElementById('animatedMaxDuration'),
             
             // 처리 버튼
             processBtn: document.getElementById('processBtn'),
@@ -79,6 +122,22 @@ class StateManager {
             batchProgressFill: document.getElementById('batchProgressFill'),
             batchProgressText: document.getElementById('batchProgressText'),
             
+            // 컷 검토 타임라인
+            cutReviewSection: document.getElementById('cutReviewSection'),
+            cutReviewVideoName: document.getElementById('cutReviewVideoName'),
+            cutReviewCount: document.getElementById('cutReviewCount'),
+            cutTimelineTrack: document.getElementById('cutTimelineTrack'),
+            cutReviewInfo: document.getElementById('cutReviewInfo'),
+            cutNudgeBackBtn: document.getElementById('cutNudgeBackBtn'),
+            cutNudgeForwardBtn: document.getElementById('cutNudgeForwardBtn'),
+            addCutBtn: document.getElementById('addCutBtn'),
+            deleteCutBtn: document.getElementById('deleteCutBtn'),
+            mergeSceneBtn: document.getElementById('mergeSceneBtn'),
+            splitSceneBtn: document.getElementById('splitSceneBtn'),
+            resetCutsBtn: document.getElementById('resetCutsBtn'),
+            confirmCutsBtn: document.getElementById('confirmCutsBtn'),
+            cancelCutReviewBtn: document.getElementById('cancelCutReviewBtn'),
+            
             // 결과 표시
             resultsSection: document.getElementById('resultsSection'),
             resultsContainer: document.getElementById('resultsContainer'),
@@ -161,6 +220,16 @@ class StateManager {
         this.notifyChange('currentVideoFile', oldValue, file);
     }
     
+    getCutList() {
+        return this.state.cutList;
+    }
+    
+    setCutList(cutList) {
+        const oldValue = this.state.cutList;
+        this.state.cutList = cutList;
+        this.notifyChange('cutList', oldValue, cutList);
+    }
+    
     isBatchMode() {
         return this.state.isBatchMode;
     }
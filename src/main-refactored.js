@@ -11,6 +11,7 @@ let eagleIntegration = null;
 let fileService = null;
 let settingsManager = null;
 let ffmpegManager = null;
+let cutPreviewAnalyzer = null;
 // pluginWatchdog는 main.js에서 이미 선언됨
 
 // 모듈 로드 상태
@@ -139,6 +140,8 @@ async function initializeCoreModules() {
         if (typeof window.FFmpegManager === 'function') {
             ffmpegManager = new FFmpegManager();
             await ffmpegManager.initialize();
+            await updateImageFormatOptions();
+            await updateClipProfileOptions();
             console.log('✅ FFmpegManager 초기화 완료');
         }
         
@@ -237,6 +240,26 @@ function setupEventListeners() {
         elements.concatVideosBtn.addEventListener('click', () => handleProcessing('concat'));
     }
     
+    // 컷 리스트 불러오기/해제
+    if (elements.cutListBtn) {
+        elements.cutListBtn.addEventListener('click', handleCutListSelection);
+    }
+    
+    if (elements.clearCutListBtn) {
+        elements.clearCutListBtn.addEventListener('click', () => stateManager.setCutList(null));
+    }
+    
+    if (elements.cutListTimeBase) {
+        elements.cutListTimeBase.addEventListener('change', () => {
+            const cutList = stateManager.getCutList();
+            if (cutList) {
+                stateManager.setCutList({ ...cutList, timeBase: elements.cutListTimeBase.value });
+            }
+        });
+    }
+    
+    stateManager.onChange('cutList', updateCutListDisplay);
+    
     // 설정 변경 리스너
     setupSettingsListeners();
     
@@ -263,8 +286,48 @@ function setupSettingsListeners() {
     // 민감도 슬라이더
     if (elements.sensitivitySlider) {
         elements.sensitivitySlider.addEventListener('input', updateSensitivityValue);
+        elements.sensitivitySlider.addEventListener('input', updateCutCountPreview);
     }
     
+    // 컷 감지 방식
+    if (elements.detectionMode) {
+        elements.detectionMode.addEventListener('change', updateCutCountPreview);
+    }
+    
+    // 프레임 추출 시점
+    if (elements.frameSamplingMode) {
+        elements.frameSamplingMode.addEventListener('change', updateFrameSamplingMode);
+    }
+    
+    // 장면별 추출 위치 (균등 분포·최적 프레임 선택일 때만 장면당 추출 수 입력)
+    if (elements.sceneFramePolicy && elements.sceneFrameCount) {
+        elements.sceneFramePolicy.addEventListener('change', () => {
+            elements.sceneFrameCount.disabled = !['even', 'best'].includes(elements.sceneFramePolicy.value);
+        });
+    }
+    
+    // 최소 장면 길이
+    if (elements.minSceneLength) {
+        elements.minSceneLength.addEventListener('input', updateCutCountPreview);
+    }
+    
+    if (elements.minSceneLengthUnit) {
+        elements.minSceneLengthUnit.addEventListener('change', updateMinSceneLengthUnit);
+    }
+    
+    // 분석 구간
+    [elements.rangeStart, elements.rangeEnd].forEach(input => {
+        if (input) {
+            input.addEventListener('change', () => {
+                validateRangeInput(input);
+                updateCutCountPreview();
+            });
+        }
+    });
+    
+    // 파일이 바뀌면 예상 컷 수 다시 계산
+    stateManager.onChange('currentVideoFile', updateCutCountPreview);
+    
     // 품질 슬라이더
     if (elements.qualitySlider) {
         elements.qualitySlider.addEventListener('input', updateQualityValue);
@@ -278,6 +341,16 @@ function setupSettingsListeners() {
     if (elements.outHandleSlider) {
         elements.outHandleSlider.addEventListener('input', updateOutHandleValue);
     }
+    
+    // 클립 전송률 제어 (목표 비트레이트일 때만 Mbps, 목표 크기일 때만 MB 입력)
+    if (elements.clipRateControl && elements.clipBitrate) {
+        elements.clipRateControl.addEventListener('change', () => {
+            elements.clipBitrate.disabled = elements.clipRateControl.value !== 'bitrate';
+            if (elements.clipTargetSizeMB) {
+                elements.clipTargetSizeMB.disabled = elements.clipRateControl.value !== 'size';
+            }
+        });
+    }
 }
 
 /**
@@ -459,9 +532,17 @@ async function handleProcessing(mode) {
         // 실제 처리 로직 호출
         const results = await processVideo(mode);
         
+        // 컷 검토 취소 (VideoProcessor가 안내 알림 표시)
+        if (!results) {
+            return;
+        }
+        
         // 결과 표시
         uiController.showResults(results);
         
+        // 방금 분석한 점수 곡선으로 예상 컷 수 갱신
+        updateCutCountPreview();
+        
         // 진행률 완료
         progressManager.complete('처리 완료');
         
@@ -535,6 +616,237 @@ function updateSensitivityValue() {
     }
 }
 
+/**
+ * 컷 리스트 파일 선택 처리
+ */
+async function handleCutListSelection() {
+    if (!fileService) {
+        uiController?.showNotification('파일 서비스가 초기화되지 않았습니다.', 'error');
+        return;
+    }
+    
+    const elements = stateManager.getElements();
+    await fileService.selectCutListFile(elements.cutListTimeBase?.value || 'record');
+}
+
+/**
+ * 컷 리스트 표시 업데이트
+ */
+function updateCutListDisplay(cutList) {
+    const elements = stateManager.getElements();
+    
+    if (elements.cutListName) {
+        elements.cutListName.textContent = cutList ? 
+            `📄 ${cutList.name} (감지 대신 컷 리스트 사용)` : 
+            '지정하지 않으면 자동 컷 감지 사용';
+        elements.cutListName.classList.toggle('active', !!cutList);
+    }
+    
+    if (elements.clearCutListBtn) {
+        elements.clearCutListBtn.style.display = cutList ? '' : 'none';
+    }
+}
+
+/**
+ * 민감도 조정 시 예상 컷 수 미리보기 (한 번 분석된 비디오는 재디코딩 없이 계산)
+ */
+async function updateCutCountPreview() {
+    const elements = stateManager.getElements();
+    if (!elements.cutCountPreview || !elements.sensitivitySlider) return;
+    
+    const videoFile = stateManager.getCurrentVideoFile();
+    if (!videoFile?.path) {
+        elements.cutCountPreview.textContent = '';
+        return;
+    }
+    
+    try {
+        // 처리용 분석기가 있으면 메모리 점수 곡선 재사용, 없으면 장면 인덱스 캐시만 읽는 분석기 사용
+        let analyzer = window.videoProcessor?.analyzer;
+        if (!analyzer && typeof window.VideoAnalyzer === 'function') {
+            cutPreviewAnalyzer = cutPreviewAnalyzer || new VideoAnalyzer();
+            analyzer = cutPreviewAnalyzer;
+        }
+        if (!analyzer) return;
+        
+        const sensitivity = parseFloat(elements.sensitivitySlider.value);
+        const count = await analyzer.previewCutCount(videoFile.path, sensitivity, {
+            detectionMode: elements.detectionMode?.value || 'threshold',
+            minSceneLength: parseFloat(elements.minSceneLength?.value) || undefined,
+            minSceneLengthUnit: elements.minSceneLengthUnit?.value,
+            range: getRangeFromUI()
+        });
+        
+        elements.cutCountPreview.textContent = count === null ? 
+            '' : `예상 컷: ${count}개 (민감도 ${sensitivity})`;
+    } catch (error) {
+        console.warn('예상 컷 수 계산 실패:', error);
+        elements.cutCountPreview.textContent = '';
+    }
+}
+
+/**
+ * 분석 구간 입력값 (둘 다 비어 있으면 null = 전체)
+ * 형식이 잘못된 입력은 전체 구간으로 취급하지 않고 오류를 던집니다.
+ */
+function getRangeFromUI() {
+    const elements = stateManager.getElements();
+    const parse = (input) => {
+        const text = (input?.value || '').trim();
+        if (!text) return null;
+        
+        const seconds = window.eagleUtils?.parseTimeInput(text) ?? null;
+        if (seconds === null) {
+            throw new Error(`분석 구간 형식이 올바르지 않습니다: ${text}`);
+        }
+        return seconds;
+    };
+    const start = parse(elements.rangeStart);
+    const end = parse(elements.rangeEnd);
+    
+    if (start === null && end === null) return null;
+    return { start: start || 0, end };
+}
+
+/**
+ * 분석 구간 입력 형식 확인 (잘못되면 알림 표시)
+ * @param {HTMLInputElement} input - 시작 또는 끝 입력 요소
+ */
+function validateRangeInput(input) {
+    const text = input.value.trim();
+    if (!text || window.eagleUtils?.parseTimeInput(text) !== null) return;
+    
+    if (uiController) {
+        uiController.showNotification(`분석 구간 "${text}"의 형식이 올바르지 않습니다 (예: 90, 1:30, 00:01:30.5)`, 'warning');
+    }
+}
+
+/**
+ * 최소 장면 길이 단위 변경 시 입력 범위와 값 변환 (초 ↔ 프레임, 선택한 비디오의 fps 기준)
+ * fps를 알 수 없으면 값을 바꾸지 않고 입력 범위만 맞춥니다.
+ */
+async function updateMinSceneLengthUnit() {
+    const elements = stateManager.getElements();
+    if (!elements.minSceneLength || !elements.minSceneLengthUnit) return;
+    
+    const value = parseFloat(elements.minSceneLength.value) || 0;
+    const toFrames = elements.minSceneLengthUnit.value === 'frames';
+    const fps = await getCurrentVideoFps();
+    
+    // 변환 후 입력 범위로 제한 (SettingsManager.validateSettings와 같은 범위: 1~300프레임, 0.1~10초)
+    if (toFrames) {
+        Object.assign(elements.minSceneLength, { min: 1, max: 300, step: 1 });
+        const frames = Math.round(fps ? value * fps : value);
+        elements.minSceneLength.value = Math.max(1, Math.min(300, frames));
+    } else {
+        Object.assign(elements.minSceneLength, { min: 0.1, max: 10, step: 0.1 });
+        const seconds = fps ? Math.round(value / fps * 10) / 10 : value;
+        elements.minSceneLength.value = Math.max(0.1, Math.min(10, seconds));
+    }
+    
+    if (!fps && uiController) {
+        uiController.showNotification(`비디오의 프레임 레이트를 알 수 없어 최소 장면 길이 값을 변환하지 않았습니다 (${toFrames ? '프레임' : '초'} 단위로 확인하세요)`, 'info');
+    }
+    
+    updateCutCountPreview();
+}
+
+/**
+ * 선택한 비디오의 프레임 레이트 (분석 결과가 있으면 재사용, 없으면 FFprobe로 확인)
+ * @returns {Promise<number|null>} fps (비디오가 없거나 확인 실패 시 null)
+ */
+async function getCurrentVideoFps() {
+    const videoFile = stateManager.getCurrentVideoFile();
+    if (!videoFile?.path) return null;
+    
+    try {
+        const analyzer = window.videoProcessor?.analyzer || cutPreviewAnalyzer;
+        const analysis = analyzer?.sceneScoreCache.get(analyzer.getSceneScoreCacheKey(videoFile.path));
+        if (analysis?.videoInfo?.fps) {
+            return analysis.videoInfo.fps;
+        }
+        
+        const ffmpegPaths = ffmpegManager ? await ffmpegManager.getFFmpegPaths() : null;
+        if (!ffmpegPaths?.ffprobe || typeof window.VideoAnalyzer !== 'function') return null;
+        
+        const videoInfo = await new VideoAnalyzer(ffmpegPaths).getVideoInfo(videoFile.path);
+        return videoInfo.fps > 0 ? videoInfo.fps : null;
+    } catch (error) {
+        console.warn('프레임 레이트 확인 실패:', error);
+        return null;
+    }
+}
+
+/**
+ * 프레임 추출 시점 변경 시 N 입력 활성화 및 모드별 기본값 설정
+ */
+function updateFrameSamplingMode() {
+    const elements = stateManager.getElements();
+    if (!elements.frameSamplingMode || !elements.frameSamplingValue) return;
+    
+    const defaults = {
+        interval: { value: 10, min: 0.1, step: 0.1 },   // 10초마다
+        count: { value: 20, min: 1, step: 1 },          // 20장
+        nth: { value: 300, min: 1, step: 1 }            // 300프레임마다
+    };
+    const mode = elements.frameSamplingMode.value;
+    elements.frameSamplingValue.disabled = mode === 'cuts';
+    
+    if (defaults[mode]) {
+        const { value, min, step } = defaults[mode];
+        Object.assign(elements.frameSamplingValue, { min, step });
+        elements.frameSamplingValue.value = value;
+    }
+}
+
+/**
+ * 설치된 FFmpeg가 인코딩할 수 없는 이미지 포맷 옵션 숨김
+ */
+async function updateImageFormatOptions() {
+    const elements = stateManager.getElements();
+    if (!elements.formatSelect || !ffmpegManager) return;
+    
+    const support = await ffmpegManager.getImageFormatSupport();
+    for (const option of elements.formatSelect.options) {
+        const supported = !!support[option.value];
+        option.hidden = !supported;
+        option.disabled = !supported;
+    }
+    
+    // 저장된 포맷을 사용할 수 없으면 PNG로 되돌림
+    if (!support[elements.formatSelect.value]) {
+        console.warn(`⚠️ ${elements.formatSelect.value} 인코더가 없어 PNG로 변경합니다`);
+        elements.formatSelect.value = 'png';
+    }
+}
+
+/**
+ * 설치된 FFmpeg에 인코더가 없는 클립 출력 형식 숨김
+ */
+async function updateClipProfileOptions() {
+    const elements = stateManager.getElements();
+    if (!elements.clipProfile || !ffmpegManager) return;
+    
+    for (const option of elements.clipProfile.options) {
+        const encoders = (option.dataset.encoders || '').split(',').filter(Boolean);
+        let supported = encoders.length === 0;
+        for (const encoder of encoders) {
+            if (await ffmpegManager.hasEncoder(encoder)) {
+                supported = true;
+                break;
+            }
+        }
+        option.hidden = !supported;
+        option.disabled = !supported;
+    }
+    
+    // 저장된 형식을 사용할 수 없으면 기본 H.264로 되돌림
+    if (elements.clipProfile.selectedOptions[0]?.disabled) {
+        console.warn(`⚠️ ${elements.clipProfile.value} 인코더가 없어 H.264 MP4로 변경합니다`);
+        elements.clipProfile.value = 'h264_mp4';
+    }
+}
+
 function updateQualityValue() {
     if (settingsManager) {
         settingsManager.updateQualityValue();
@@ -953,6 +1265,27 @@ function setupCompatibilityFunctions() {
             return { ffmpeg: 'ffmpeg', ffprobe: 'ffprobe' };
         };
         
+        window.getImageFormatSupport = async () => {
+            if (ffmpegManager) {
+                return await ffmpegManager.getImageFormatSupport();
+            }
+            return null;
+        };
+        
+        window.hasFFmpegEncoder = async (name) => {
+            if (ffmpegManager) {
+                return await ffmpegManager.hasEncoder(name);
+            }
+            return true; // 낙관적 기본값
+        };
+        
+        window.hasFFmpegFilter = async (name) => {
+            if (ffmpegManager) {
+                return await ffmpegManager.hasFilter(name);
+            }
+            return true; // 낙관적 기본값
+        };
+        
         window.checkFFmpegDependency = async () => {
             if (ffmpegManager) {
                 const result = await ffmpegManager.checkDependency();
@@ -961,7 +961,7 @@ async function processSingle(videoFile, mode, settings, ffmpegPaths) {
         cutPoints = await analyzer.detectCutChanges(
             videoFile.path,
             settings.sensitivity,
-            (progress) => showProgress(0.1 + progress * 0.2, '컷 변화 감지 중...'),
+            (progress, message) => showProgress(0.1 + progress * 0.2, message || '컷 변화 감지 중...'),
             ffmpegPaths,
             settings.inHandle,
             settings.outHandle
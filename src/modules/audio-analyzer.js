@@ -0,0 +1,324 @@
+/**
+ * AudioAnalyzer - 오디오 분석 모듈
+ * FFmpeg로 오디오 트랙을 디코딩해 무음 구간(silencedetect), 온셋, 비트를 감지합니다.
+ */
+
+class AudioAnalyzer {
+    constructor(ffmpegPaths = null) {
+        // 의존성 주입
+        this.eagleUtils = window.eagleUtils || null;
+        this.ffmpegPaths = ffmpegPaths;
+
+        // 분석 파라미터
+        this.options = {
+            sampleRate: 22050,      // 분석용 리샘플링 레이트 (Hz, 모노)
+            hopSize: 512,           // 에너지 계산 단위 (샘플, 약 23ms)
+            silenceNoise: -40,      // silencedetect 무음 기준 (dB)
+            silenceMinDuration: 0.5, // 최소 무음 길이 (초)
+            onsetWindow: 0.25,      // 온셋 판정 시 주변 평균을 계산할 범위 (초, 앞뒤)
+            onsetDelta: 0.05,       // 주변 평균보다 이만큼 커야 온셋
+            onsetMinGap: 0.1,       // 온셋 간 최소 간격 (초)
+            minBpm: 60,             // 템포 추정 범위
+            maxBpm: 180,
+            preferredBpm: 120,      // 템포 후보가 비슷하면 이 값에 가까운 쪽 선택
+            beatTightness: 100      // 비트 간격이 템포에서 벗어날 때의 벌점 (클수록 일정한 간격 유지)
+        };
+    }
+
+    /**
+     * FFmpeg 경로 설정
+     * @param {Object} ffmpegPaths - FFmpeg 경로 객체
+     */
+    setFFmpegPaths(ffmpegPaths) {
+        this.ffmpegPaths = ffmpegPaths;
+    }
+
+    /**
+     * 오디오 분석 (무음 구간 + 온셋 + 비트)
+     * 시간은 구간을 지정해도 원본 파일 기준으로 기록합니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @param {function} onProcessed - 처리한 오디오 길이(초)를 받는 콜백
+     * @returns {Promise<Object>} { silences: [{ start, end }], onsets: [time], beats: [time], tempo }
+     */
+    async analyze(videoPath, range = null, onProcessed = null) {
+        const timeOffset = range ? range.start : 0;
+        const { envelope, silences } = await this.decodeAudio(videoPath, range, onProcessed);
+        const hopTime = this.options.hopSize / this.options.sampleRate;
+
+        const onsetStrength = this.computeOnsetStrength(envelope);
+        const onsets = this.pickOnsets(onsetStrength, hopTime).map(time => time + timeOffset);
+        const period = this.estimateBeatPeriod(onsetStrength, hopTime);
+        const beats = period ?
+            this.trackBeats(onsetStrength, period).map(index => index * hopTime + timeOffset) : [];
+        const tempo = period ? 60 / (period * hopTime) : null;
+
+        console.log('🎵 오디오 분석 완료:', {
+            silences: silences.length,
+            onsets: onsets.length,
+            beats: beats.length,
+            tempo: tempo ? tempo.toFixed(1) : null
+        });
+
+        return {
+            silences: silences.map(silence => ({ start: silence.start + timeOffset, end: silence.end + timeOffset })),
+            onsets,
+            beats,
+            tempo
+        };
+    }
+
+    /**
+     * 오디오를 모노 PCM으로 디코딩하며 구간별 에너지와 무음 구간 수집
+     * silencedetect 결과는 stderr, PCM(f32le)은 stdout으로 받습니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} range - { start, end } 분석 구간
+     * @param {function} onProcessed - 진행 콜백 (처리한 초)
+     * @returns {Promise<Object>} { envelope: Float32Array(RMS), silences: [{ start, end }] } (구간 시작 기준 시간)
+     */
+    decodeAudio(videoPath, range = null, onProcessed = null) {
+        return new Promise((resolve, reject) => {
+            const { sampleRate, hopSize, silenceNoise, silenceMinDuration } = this.options;
+            const seekArgs = range ? ['-ss', range.start.toFixed(3), '-to', range.end.toFixed(3)] : [];
+            const args = [
+                '-nostats',
+                ...seekArgs,
+                '-i', videoPath,
+                '-map', '0:a:0',
+                '-vn',
+                '-af', `silencedetect=n=${silenceNoise}dB:d=${silenceMinDuration}`,
+                '-ac', '1',
+                '-ar', String(sampleRate),
+                '-f', 'f32le',
+                'pipe:1'
+            ];
+
+            console.log('FFmpeg 오디오 분석 명령어:', this.ffmpegPaths.ffmpeg, args.join(' '));
+
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ?
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args);
+            } catch (error) {
+                reject(new Error(`FFmpeg 프로세스 시작 실패: ${error.message}`));
+                return;
+            }
+
+            const energies = [];
+            let pending = Buffer.alloc(0);
+            let hopSum = 0;
+            let hopCount = 0;
+            let totalSamples = 0;
+            let lastReported = 0;
+
+            ffmpeg.stdout.on('data', (data) => {
+                // 청크 경계에서 잘린 샘플(4바이트 미만)은 다음 청크와 합침
+                const buffer = pending.length ? Buffer.concat([pending, data]) : data;
+                const sampleCount = Math.floor(buffer.length / 4);
+
+                for (let i = 0; i < sampleCount; i++) {
+                    const sample = buffer.readFloatLE(i * 4);
+                    hopSum += sample * sample;
+                    if (++hopCount === hopSize) {
+                        energies.push(Math.sqrt(hopSum / hopSize));
+                        hopSum = 0;
+                        hopCount = 0;
+                    }
+                }
+                pending = buffer.subarray(sampleCount * 4);
+                totalSamples += sampleCount;
+
+                // 1초 단위로만 진행 보고
+                const processed = totalSamples / sampleRate;
+                if (onProcessed && processed - lastReported >= 1) {
+                    lastReported = processed;
+                    onProcessed(processed);
+                }
+            });
+
+            let stderr = '';
+            let lineBuffer = '';
+            const silences = [];
+            let silenceStart = null;
+
+            ffmpeg.stderr.on('data', (data) => {
+                const output = data.toString();
+                stderr = (stderr + output).slice(-4000);
+
+                const lines = (lineBuffer + output).split('\n');
+                lineBuffer = lines.pop();
+
+                for (const line of lines) {
+                    // silencedetect 출력: "silence_start: 12.3" / "silence_end: 14.5 | silence_duration: 2.2"
+                    const startMatch = line.match(/silence_start:\s*(-?\d+\.?\d*)/);
+                    if (startMatch) {
+                        silenceStart = Math.max(0, parseFloat(startMatch[1]));
+                    }
+
+                    const endMatch = line.match(/silence_end:\s*(\d+\.?\d*)/);
+                    if (endMatch && silenceStart !== null) {
+                        silences.push({ start: silenceStart, end: parseFloat(endMatch[1]) });
+                        silenceStart = null;
+                    }
+                }
+            });
+
+            ffmpeg.on('close', (code) => {
+                if (code !== 0 && energies.length === 0) {
+                    // 오디오 스트림이 없으면 -map 0:a:0에서 실패
+                    const noAudio = /matches no streams|does not contain any stream/i.test(stderr);
+                    reject(new Error(noAudio ? '오디오 트랙이 없습니다' : `오디오 분석 실패: ${stderr.slice(-300)}`));
+                    return;
+                }
+
+                // 끝까지 무음이면 마지막 무음 구간을 길이 끝에서 닫음
+                const decodedDuration = totalSamples / sampleRate;
+                if (silenceStart !== null && decodedDuration - silenceStart >= silenceMinDuration) {
+                    silences.push({ start: silenceStart, end: decodedDuration });
+                }
+
+                resolve({ envelope: Float32Array.from(energies), silences });
+            });
+
+            ffmpeg.on('error', (error) => {
+                console.error('FFmpeg 오디오 분석 프로세스 오류:', error);
+                reject(new Error(`FFmpeg 프로세스 시작 실패: ${error.message}`));
+            });
+        });
+    }
+
+    /**
+     * 온셋 강도 곡선 (로그 에너지 증가분, 감소는 0)
+     * @param {Float32Array} envelope - 구간별 RMS 에너지
+     * @returns {Float32Array} 온셋 강도
+     */
+    computeOnsetStrength(envelope) {
+        const strength = new Float32Array(envelope.length);
+        let previous = Math.log10(1e-6);
+
+        for (let i = 0; i < envelope.length; i++) {
+            const current = Math.log10(envelope[i] + 1e-6);
+            strength[i] = Math.max(0, current - previous);
+            previous = current;
+        }
+        return strength;
+    }
+
+    /**
+     * 온셋 강도의 지역 최대값 중 주변 평균보다 충분히 큰 지점 선택
+     * @param {Float32Array} strength - 온셋 강도
+     * @param {number} hopTime - 구간 하나의 길이 (초)
+     * @returns {Array} 온셋 시각 목록 (초)
+     */
+    pickOnsets(strength, hopTime) {
+        const { onsetWindow, onsetDelta, onsetMinGap } = this.options;
+        const windowSize = Math.max(1, Math.round(onsetWindow / hopTime));
+        const onsets = [];
+        let lastOnset = -Infinity;
+
+        for (let i = 1; i < strength.length - 1; i++) {
+            const value = strength[i];
+            if (value < strength[i - 1] || value < strength[i + 1]) continue;
+
+            const from = Math.max(0, i - windowSize);
+            const to = Math.min(strength.length, i + windowSize + 1);
+            let sum = 0;
+            for (let j = from; j < to; j++) sum += strength[j];
+            const localMean = sum / (to - from);
+
+            const time = i * hopTime;
+            if (value > localMean + onsetDelta && time - lastOnset >= onsetMinGap) {
+                onsets.push(time);
+                lastOnset = time;
+            }
+        }
+        return onsets;
+    }
+
+    /**
+     * 온셋 강도 자기상관으로 비트 간격 추정
+     * @param {Float32Array} strength - 온셋 강도
+     * @param {number} hopTime - 구간 하나의 길이 (초)
+     * @returns {number|null} 비트 간격 (구간 수, 추정 실패 시 null)
+     */
+    estimateBeatPeriod(strength, hopTime) {
+        const { minBpm, maxBpm, preferredBpm } = this.options;
+        const minLag = Math.max(1, Math.floor(60 / maxBpm / hopTime));
+        const maxLag = Math.ceil(60 / minBpm / hopTime);
+        if (strength.length < maxLag * 4) return null; // 비트 몇 개 분량은 있어야 추정 가능
+
+        const autocorrelation = new Float32Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < strength.length; i++) {
+                sum += strength[i] * strength[i - lag];
+            }
+            autocorrelation[lag] = sum / (strength.length - lag);
+        }
+
+        let bestLag = null;
+        let bestScore = 0;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            // 실제 비트 간격은 구간 사이에 걸치므로 이웃 지연값까지 합산
+            const sum = autocorrelation[lag - 1] + autocorrelation[lag] + autocorrelation[lag + 1];
+            // 선호 템포에서 멀어질수록 가중치 감소 (로그 스케일, 배수 템포 오검출 완화)
+            const bpm = 60 / (lag * hopTime);
+            const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / preferredBpm), 2));
+            const score = sum * weight;
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        return bestLag;
+    }
+
+    /**
+     * 동적 계획법 비트 추적 (Ellis 2007)
+     * 온셋 강도가 크고 간격이 추정 템포에 가까운 비트 열을 찾습니다.
+     * @param {Float32Array} strength - 온셋 강도
+     * @param {number} period - 비트 간격 (구간 수)
+     * @returns {Array} 비트 위치 (구간 인덱스) 목록
+     */
+    trackBeats(strength, period) {
+        const { beatTightness } = this.options;
+        const length = strength.length;
+        const score = new Float32Array(length);
+        const backlink = new Int32Array(length).fill(-1);
+        const minPrev = Math.max(1, Math.round(period / 2));
+        const maxPrev = Math.round(period * 2);
+
+        for (let i = 0; i < length; i++) {
+            let best = 0;
+            let bestIndex = -1;
+            for (let prev = i - maxPrev; prev <= i - minPrev; prev++) {
+                if (prev < 0) continue;
+                const penalty = beatTightness * Math.pow(Math.log((i - prev) / period), 2);
+                const candidate = score[prev] - penalty;
+                if (bestIndex === -1 || candidate > best) {
+                    best = candidate;
+                    bestIndex = prev;
+                }
+            }
+            score[i] = strength[i] + Math.max(0, best);
+            backlink[i] = best > 0 ? bestIndex : -1;
+        }
+
+        // 마지막 한 비트 간격 안에서 점수가 가장 큰 지점부터 역추적
+        let last = Math.max(0, length - period);
+        for (let i = last; i < length; i++) {
+            if (score[i] > score[last]) last = i;
+        }
+
+        const beats = [];
+        for (let i = last; i >= 0; i = backlink[i]) {
+            beats.push(i);
+        }
+        return beats.reverse();
+    }
+}
+
+// 브라우저 환경에서 전역 객체로 등록
+window.AudioAnalyzer = AudioAnalyzer;
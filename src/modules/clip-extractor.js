@@ -174,6 +174,105 @@ class ClipExtractor {
         this.outputDir = null;
         this.initialized = false;
         
+        // 클립 출력 프로파일 (코덱 + 컨테이너)
+        // encoders: 우선순위 순 인코더 후보, crfRange: 품질 10 → 1에 대응하는 CRF, hdr: 10비트 HDR 유지 가능 여부
+        this.clipProfiles = {
+            h264_mp4: {
+                label: 'H.264 MP4',
+                container: 'mp4',
+                encoders: ['libx264'],
+                videoArgs: ['-profile:v', 'high', '-preset', 'medium', '-bf', '0'], // B-frame 비활성화 (블랙프레임 방지)
+                pixelFormat: 'yuv420p',
+                crfRange: [18, 28],
+                audioArgs: ['-c:a', 'copy'],
+                hdr: false
+            },
+            hevc_mp4: {
+                label: 'HEVC MP4',
+                container: 'mp4',
+                encoders: ['libx265'],
+                videoArgs: ['-preset', 'medium', '-bf', '0', '-tag:v', 'hvc1'], // hvc1: QuickTime/Eagle 미리보기 호환
+                pixelFormat: 'yuv420p',
+                hdrPixelFormat: 'yuv420p10le',
+                crfRange: [20, 30],
+                audioArgs: ['-c:a', 'copy'],
+                hdr: true
+            },
+            prores_proxy_mov: {
+                label: 'ProRes 422 Proxy MOV',
+                container: 'mov',
+                encoders: ['prores_ks'],
+                videoArgs: ['-profile:v', '0', '-vendor', 'apl0'],
+                pixelFormat: 'yuv422p10le',
+                hdrPixelFormat: 'yuv422p10le',
+                intraOnly: true,    // 고정 비트레이트 코덱 (비트레이트·CRF 무시)
+                audioArgs: ['-c:a', 'pcm_s16le'],
+                hdr: true
+            },
+            prores_hq_mov: {
+                label: 'ProRes 422 HQ MOV',
+                container: 'mov',
+                encoders: ['prores_ks'],
+                videoArgs: ['-profile:v', '3', '-vendor', 'apl0'],
+                pixelFormat: 'yuv422p10le',
+                hdrPixelFormat: 'yuv422p10le',
+                intraOnly: true,
+                audioArgs: ['-c:a', 'pcm_s16le'],
+                hdr: true
+            },
+            vp9_webm: {
+                label: 'VP9 WebM',
+                container: 'webm',
+                encoders: ['libvpx-vp9'],
+                videoArgs: ['-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'],
+                pixelFormat: 'yuv420p',
+                hdrPixelFormat: 'yuv420p10le',
+                crfRange: [24, 40],
+                audioArgs: ['-c:a', 'libopus', '-b:a', '128k'],
+                hdr: true
+            },
+            av1_webm: {
+                label: 'AV1 WebM',
+                container: 'webm',
+                encoders: ['libsvtav1', 'libaom-av1'],
+                videoArgs: [],
+                encoderArgs: {
+                    libsvtav1: ['-preset', '8'],
+                    'libaom-av1': ['-cpu-used', '6', '-row-mt', '1']
+                },
+                pixelFormat: 'yuv420p',
+                hdrPixelFormat: 'yuv420p10le',
+                crfRange: [26, 42],
+                audioArgs: ['-c:a', 'libopus', '-b:a', '128k'],
+                hdr: true
+            },
+            h264_mkv: {
+                label: 'H.264 MKV',
+                container: 'mkv',
+                encoders: ['libx264'],
+                videoArgs: ['-profile:v', 'high', '-preset', 'medium', '-bf', '0'],
+                pixelFormat: 'yuv420p',
+                crfRange: [18, 28],
+                audioArgs: ['-c:a', 'copy'],
+                hdr: false
+            }
+        };
+
+        // 목표 크기(2패스) 지원 인코더: 'pass' (-pass/-passlogfile) | 'x265' (-x265-params pass/stats)
+        this.twoPassEncoders = {
+            libx264: 'pass',
+            libx265: 'x265',
+            'libvpx-vp9': 'pass',
+            'libaom-av1': 'pass'
+        };
+
+        // 스마트 렌더: 클립 시작 ~ 다음 키프레임(첫 GOP)만 원본과 같은 코덱으로 재인코딩 (원본 코덱명 → 인코더)
+        // annexb: 복사 조각에 SPS/PPS(VPS)를 스트림 안에 넣는 비트스트림 필터, muxArgs: 최종 컨테이너용 인자
+        this.smartRenderEncoders = {
+            h264: { encoder: 'libx264', args: ['-preset', 'medium', '-crf', '16'], annexb: 'h264_mp4toannexb', muxArgs: [] },
+            hevc: { encoder: 'libx265', args: ['-preset', 'medium', '-crf', '18'], annexb: 'hevc_mp4toannexb', muxArgs: ['-tag:v', 'hvc1'] }
+        };
+
         console.log('✅ ClipExtractor 초기화 완료');
     }
 
@@ -279,12 +378,27 @@ class ClipExtractor {
             // 출력 디렉토리 확인 및 생성
             await this.ensureOutputDirectory();
             
+            // 출력 프로파일·인코더와 키프레임 목록은 클립마다 같으므로 한 번만 결정
+            const clipSettings = {
+                ...settings,
+                clipOutput: await this.resolveClipOutput(settings),
+                streamCopy: await this.resolveStreamCopy(videoPath, settings),
+                animatedPreview: await this.resolveAnimatedPreview(settings)
+            };
+            
+            // 최소·최대 길이 적용 (긴 장면은 자르거나 연속 구간으로 분할)
+            const segments = this.applyDurationLimits(cutPoints, clipSettings);
+            const adjustedCount = new Set(segments.filter(s => s.durationAdjustment).map(s => s.sceneIndex)).size;
+            if (adjustedCount > 0) {
+                console.warn(`⚠️ 길이 제한으로 ${adjustedCount}개 장면의 클립 길이가 변경됩니다 (${cutPoints.length}개 장면 → ${segments.length}개 클립)`);
+            }
+            
             // M4 MAX 최적화: 최대 12개 동시 처리로 성능 극대화
             const result = await this.extractClipsParallel(
                 videoPath, 
-                cutPoints, 
-                settings, 
-                Math.min(12, cutPoints.length), // M4 MAX 최적화
+                segments, 
+                clipSettings, 
+                Math.min(12, segments.length), // M4 MAX 최적화
                 progressCallback
             );
             
@@ -327,10 +441,10 @@ class ClipExtractor {
                 method: 'Worker Pool 스트리밍 병렬'
             });
             
-            // 작업 목록 생성 (Worker Pool용)
+            // 작업 목록 생성 (Worker Pool용, 분할된 구간은 같은 장면 번호 사용)
             const tasks = cutPoints.map((cutPoint, index) => ({
                 cutPoint,
-                clipIndex: index + 1,
+                clipIndex: (cutPoint.sceneIndex ?? index) + 1,
                 originalIndex: index, // 결과 순서 보장용
                 videoPath,
                 settings
@@ -377,10 +491,19 @@ class ClipExtractor {
         
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
             try {
-                const success = await this.attemptClipExtractionOptimized(videoPath, cutPoint, clipIndex, settings, attempt);
+                const success = settings.streamCopy ?
+                    await this.attemptClipStreamCopy(videoPath, cutPoint, clipIndex, settings) :
+                    await this.attemptClipExtractionOptimized(videoPath, cutPoint, clipIndex, settings, attempt);
                 if (success) {
-                    console.log(`✅ 클립 ${clipIndex} 추출 성공 (Accurate Seeking)`);
-                    return success;
+                    console.log(`✅ 클립 ${clipIndex} 추출 성공 (${settings.streamCopy ? success.method : 'Accurate Seeking'})`);
+                    const clip = cutPoint.durationAdjustment ?
+                        { ...success, durationAdjustment: cutPoint.durationAdjustment } : success;
+                    
+                    // 움짤 미리보기는 클립과 별도 파일 (실패해도 클립은 유지)
+                    if (settings.animatedPreview) {
+                        clip.animatedPreview = await this.createAnimatedPreview(videoPath, cutPoint, clipIndex, settings);
+                    }
+                    return clip;
                 }
                 
                 // 실패 시 잠시 대기 후 재시도
@@ -403,7 +526,11 @@ class ClipExtractor {
      * Worker Pool 최적화 클립 추출 시도
      */
     async attemptClipExtractionOptimized(videoPath, cutPoint, clipIndex, settings, attempt) {
-        return new Promise((resolve, reject) => {
+        // 목표 크기 모드: 1패스로 통계를 만든 뒤 본 인코딩을 2패스로 실행
+        const twoPass = settings.clipOutput.rateControl === 'size' && settings.clipOutput.twoPass && this.eagleUtils ?
+            await this.runFirstPass(videoPath, cutPoint, clipIndex, settings) : null;
+        
+        const result = await new Promise((resolve, reject) => {
             try {
                 if (!this.eagleUtils) {
                     console.error(`ClipExtractor: EagleUtils가 없습니다`);
@@ -411,65 +538,51 @@ class ClipExtractor {
                     return;
                 }
                 
-                const videoName = this.eagleUtils.getBaseName(videoPath);
-                const outputFileName = `${videoName}_clip_${clipIndex.toString().padStart(3, '0')}.mp4`;
+                const clipOutput = settings.clipOutput;
+                const outputFileName = this.getClipFileName(videoPath, cutPoint, clipIndex, clipOutput.profile.container);
                 const outputPath = this.eagleUtils.joinPath(this.outputDir, outputFileName);
                 
-                // 클립 길이 검증 및 보정
-                let adjustedCutPoint = { ...cutPoint };
-                
-                if (cutPoint.duration < 0.5) {
-                    adjustedCutPoint.duration = 0.5;
-                    adjustedCutPoint.end = adjustedCutPoint.start + 0.5;
-                }
-                
-                if (cutPoint.duration > 30) {
-                    adjustedCutPoint.duration = 30;
-                    adjustedCutPoint.end = adjustedCutPoint.start + 30;
-                }
-                
-                // 블랙프레임 방지를 위한 정확한 프레임 추출
-                // -ss를 반드시 -i 뒤에 배치하여 정확한 프레임 추출 (5Mbps 타겟 설정)
+                // 블랙프레임 방지를 위한 정확한 프레임 추출 (코덱·비트레이트는 출력 프로파일 기준)
                 const ffmpegArgs = [
-                    '-i', videoPath,
-                    '-ss', adjustedCutPoint.start.toFixed(3),
-                    '-t', adjustedCutPoint.duration.toFixed(3),
-                    '-c:v', 'libx264',
-                    '-b:v', '5M',          // 타겟 비트레이트 5Mbps
-                    '-maxrate', '5M',      // 최대 비트레이트 5Mbps
-                    '-bufsize', '10M',     // 버퍼 크기 10MB (maxrate의 2배)
-                    '-preset', 'medium',
-                    '-profile:v', 'high',  // 고품질 프로파일
-                    '-pix_fmt', 'yuv420p',
-                    '-bf', '0',            // B-frame 완전 비활성화 (블랙프레임 방지)
+                    ...this.getClipSeekArgs(videoPath, cutPoint, settings),
+                    ...this.getClipEncodeArgs(settings, cutPoint.duration),
+                    ...(twoPass ? twoPass.args : []),
                     '-fflags', '+genpts',  // PTS 재생성으로 타임스탬프 정확도
-                    '-movflags', '+faststart',
-                    '-c:a', 'copy',        // 오디오 스트림 복사
                     '-threads', '1',
                     '-y',
                     outputPath
                 ];
 
-                // 파일 크기 예측 (5Mbps 기준)
-                const estimatedSizeMB = (5 * adjustedCutPoint.duration) / 8; // 5Mbps * 시간 / 8 = MB
-                const formattedSize = estimatedSizeMB < 1024 ? 
-                    `${Math.round(estimatedSizeMB * 100) / 100}MB` : 
-                    `${Math.round(estimatedSizeMB / 1024 * 100) / 100}GB`;
+                // 파일 크기 예측 (목표 비트레이트·목표 크기 모드에서만)
+                const rateLabel = clipOutput.profile.intraOnly ? 'intra' :
+                    clipOutput.rateControl === 'crf' ? `crf-${clipOutput.crf}` :
+                    clipOutput.rateControl === 'size' ? `${clipOutput.targetSizeMB}mb-target-size${twoPass ? '-2pass' : ''}` :
+                    `${clipOutput.bitrate}mbps-cbr`;
+                let formattedSize = '예측 불가';
+                if (clipOutput.rateControl !== 'crf' && !clipOutput.profile.intraOnly) {
+                    const estimatedSizeMB = clipOutput.rateControl === 'size' ?
+                        clipOutput.targetSizeMB : (clipOutput.bitrate * cutPoint.duration) / 8; // Mbps * 시간 / 8 = MB
+                    formattedSize = estimatedSizeMB < 1024 ? 
+                        `${Math.round(estimatedSizeMB * 100) / 100}MB` : 
+                        `${Math.round(estimatedSizeMB / 1024 * 100) / 100}GB`;
+                }
 
                 // 진단용 로깅
-                console.log(`🔧 클립 ${clipIndex} 추출 (5Mbps 타겟):`, {
-                    start: adjustedCutPoint.start.toFixed(3),
-                    duration: adjustedCutPoint.duration.toFixed(3),
-                    originalDuration: cutPoint.duration.toFixed(3),
+                console.log(`🔧 클립 ${clipIndex} 추출 (${clipOutput.profile.label}):`, {
+                    start: cutPoint.start.toFixed(3),
+                    duration: cutPoint.duration.toFixed(3),
+                    originalDuration: (cutPoint.durationAdjustment?.original.duration ?? cutPoint.duration).toFixed(3),
                     estimatedSize: formattedSize,
-                    method: '5mbps-target-bitrate',
-                    bframes: 'disabled',
+                    encoder: clipOutput.encoder,
+                    method: rateLabel,
                     args: ffmpegArgs.join(' ')
                 });
 
+                // 2패스 통계 파일은 출력 폴더 기준 상대 경로 (x265-params는 ':'로 구분하므로 절대 경로 불가)
+                const spawnOptions = twoPass ? { cwd: this.outputDir } : {};
                 const ffmpeg = this.eagleUtils ? 
-                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, ffmpegArgs) :
-                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, ffmpegArgs);
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, ffmpegArgs, spawnOptions) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, ffmpegArgs, spawnOptions);
                 
                 let stderr = '';
                 let hasCompleted = false;
@@ -509,7 +622,8 @@ class ClipExtractor {
                                 const isLargeFile = stats.size > 10 * 1024 * 1024; // 10MB 이상
                                 const isUnusualSize = sizePerSecond > 3000; // 3MB/초 이상 (재인코딩 기준)
                                 
-                                if (isLargeFile || isUnusualSize) {
+                                // ProRes 같은 인트라 코덱은 원래 크므로 제외
+                                if (!clipOutput.profile.intraOnly && (isLargeFile || isUnusualSize)) {
                                     console.warn(`🚨 클립 ${clipIndex} 비정상적 크기 감지:`, {
                                         fileSize: `${fileSizeKB}KB`,
                                         sizePerSecond: `${sizePerSecond}KB/s`,
@@ -526,6 +640,15 @@ class ClipExtractor {
                                     });
                                 }
                                 
+                                // 목표 크기 확인 (1MB = 1,000,000바이트, 짧은 클립은 2패스여도 오차가 있음)
+                                const sizeTarget = clipOutput.rateControl === 'size' && !clipOutput.profile.intraOnly ? {
+                                    targetMB: clipOutput.targetSizeMB,
+                                    actualMB: Math.round(stats.size / 10000) / 100
+                                } : null;
+                                if (sizeTarget && sizeTarget.actualMB > sizeTarget.targetMB) {
+                                    console.warn(`⚠️ 클립 ${clipIndex} 목표 크기 초과: ${sizeTarget.actualMB}MB > ${sizeTarget.targetMB}MB`);
+                                }
+                                
                                 resolve({
                                     path: outputPath,
                                     filename: outputFileName,
@@ -536,7 +659,8 @@ class ClipExtractor {
                                     fileSize: stats.size,
                                     quality: settings.quality,
                                     method: method,
-                                    sizePerSecond: sizePerSecond
+                                    sizePerSecond: sizePerSecond,
+                                    ...(sizeTarget ? { sizeTarget } : {})
                                 });
                             } else {
                                 console.warn(`클립 ${clipIndex} 출력 파일 없음 또는 크기 0: ${outputPath}`);
@@ -565,7 +689,8 @@ class ClipExtractor {
                 });
                 
                 // 타임아웃 시간 증가: 스트림 복사 실패 시 재인코딩 시간 고려
-                const timeoutDuration = cutPoint.duration > 10 ? 120000 : 60000; // 60초/120초
+                // 최대 길이 제한이 없으면 긴 클립도 있으므로 클립 1초당 4초까지 허용
+                const timeoutDuration = Math.max(cutPoint.duration > 10 ? 120000 : 60000, cutPoint.duration * 4000);
                 const timeoutHandle = setTimeout(() => {
                     if (!hasCompleted) {
                         hasCompleted = true;
@@ -581,14 +706,885 @@ class ClipExtractor {
                 resolve(null);
             }
         });
+        
+        if (twoPass) {
+            this.cleanupPassLogs(twoPass.logName);
+        }
+        return result;
+    }
+
+    /**
+     * 클립 입력·탐색 인자
+     * 분석 구간이 지정되면 구간 시작까지는 입력 탐색으로 건너뛰고(-to로 구간 끝 제한)
+     * 나머지 오프셋만 출력 탐색으로 처리 (-ss를 -i 뒤에 배치해 정확한 프레임부터 시작)
+     * @returns {Array<string>} FFmpeg 인자 배열
+     */
+    getClipSeekArgs(videoPath, cutPoint, settings) {
+        const range = settings.range;
+        const preSeek = range ? Math.min(range.start, cutPoint.start) : 0;
+        const inputArgs = range ?
+            ['-ss', preSeek.toFixed(3), '-to', range.end.toFixed(3), '-i', videoPath] :
+            ['-i', videoPath];
+        
+        return [
+            ...inputArgs,
+            '-ss', (cutPoint.start - preSeek).toFixed(3),
+            '-t', cutPoint.duration.toFixed(3)
+        ];
+    }
+
+    /**
+     * 목표 크기 2패스의 1패스 실행 (분석만 하고 출력은 버림)
+     * @returns {Promise<Object|null>} { logName, args: 2패스 인자 } (실패하면 null → 1패스 평균 비트레이트로 진행)
+     */
+    async runFirstPass(videoPath, cutPoint, clipIndex, settings) {
+        const encoder = settings.clipOutput.encoder;
+        const logName = this.getClipFileName(videoPath, cutPoint, clipIndex, 'log').replace(/\.log$/, '_2pass');
+        
+        const success = await this.runFFmpegCommand([
+            ...this.getClipSeekArgs(videoPath, cutPoint, settings),
+            ...this.getClipEncodeArgs(settings, cutPoint.duration),
+            ...this.getTwoPassArgs(encoder, 1, logName),
+            '-an',
+            '-threads', '1',
+            '-f', 'null',
+            '-'
+        ], Math.max(60000, cutPoint.duration * 4000), { cwd: this.outputDir });
+        
+        if (!success) {
+            console.warn(`⚠️ 클립 ${clipIndex} 1패스 분석 실패 - 1패스 평균 비트레이트로 인코딩`);
+            this.cleanupPassLogs(logName);
+            return null;
+        }
+        return { logName, args: this.getTwoPassArgs(encoder, 2, logName) };
+    }
+
+    /**
+     * 인코더별 2패스 인자
+     * @param {string} encoder - 인코더 이름 (twoPassEncoders에 있어야 함)
+     * @param {number} pass - 1 | 2
+     * @param {string} logName - 통계 파일 이름 (출력 폴더 기준 상대 경로)
+     */
+    getTwoPassArgs(encoder, pass, logName) {
+        if (this.twoPassEncoders[encoder] === 'x265') {
+            return ['-x265-params', `pass=${pass}:stats=${logName}.log`];
+        }
+        return ['-pass', pass.toString(), '-passlogfile', logName];
+    }
+
+    /**
+     * 2패스 통계 파일 정리 (인코더마다 .log, .mbtree, .cutree 등 파일명이 다름)
+     */
+    cleanupPassLogs(logName) {
+        try {
+            const fs = this.eagleUtils.getFS();
+            fs.readdirSync(this.outputDir)
+                .filter(file => file.startsWith(logName))
+                .forEach(file => fs.unlinkSync(this.eagleUtils.joinPath(this.outputDir, file)));
+        } catch (error) {
+            console.warn('2패스 통계 파일 정리 실패:', error.message);
+        }
+    }
+
+    /**
+     * 목표 파일 크기에 맞는 비디오 비트레이트
+     * 컨테이너 오버헤드 여유(3%)와 오디오 비트레이트를 뺀 나머지를 클립 길이로 나눕니다.
+     * @param {Object} clipOutput - resolveClipOutput 결과 ({ targetSizeMB, audioKbps })
+     * @param {number} duration - 클립 길이 (초)
+     * @returns {number} 비디오 비트레이트 (kbps, 최소 50)
+     */
+    getTargetVideoBitrate(clipOutput, duration) {
+        const totalKbits = clipOutput.targetSizeMB * 8000 * 0.97;
+        const videoKbps = Math.floor(totalKbits / Math.max(duration, 0.1) - clipOutput.audioKbps);
+        return Math.max(50, videoKbps);
+    }
+
+    /**
+     * 클립 길이 제한 적용 - 짧은 장면은 최소 길이까지 늘리고, 긴 장면은 자르거나 연속 구간으로 분할
+     * @param {Array} cutPoints - 컷 구간 배열
+     * @param {Object} settings - 추출 설정 ({ clipMinDuration, clipMaxDuration (0이면 무제한), clipLongSceneMode, range, sourceInfo })
+     * @returns {Array} 추출할 구간 (sceneIndex: 원래 장면 순서, 변경된 구간은 durationAdjustment에 원래 구간과 변경 방식 기록)
+     */
+    applyDurationLimits(cutPoints, settings) {
+        const minDuration = Math.max(0, parseFloat(settings.clipMinDuration) || 0);
+        const maxDuration = Math.max(0, parseFloat(settings.clipMaxDuration) || 0);
+        // 최소 길이로 늘릴 때 넘지 않을 끝 (분석 구간 끝 → 영상 끝)
+        const limitEnd = settings.range?.end ?? settings.sourceInfo?.duration ?? Infinity;
+        
+        const segments = [];
+        cutPoints.forEach((cutPoint, sceneIndex) => {
+            const original = { start: cutPoint.start, end: cutPoint.end, duration: cutPoint.duration };
+            
+            if (maxDuration > 0 && cutPoint.duration > maxDuration) {
+                if (settings.clipLongSceneMode === 'split') {
+                    // 같은 길이로 나눠 마지막 조각만 짧게 남지 않도록 함
+                    const parts = Math.ceil(cutPoint.duration / maxDuration);
+                    const partDuration = cutPoint.duration / parts;
+                    for (let part = 0; part < parts; part++) {
+                        const start = cutPoint.start + part * partDuration;
+                        segments.push({
+                            ...cutPoint,
+                            start,
+                            end: start + partDuration,
+                            duration: partDuration,
+                            sceneIndex,
+                            durationAdjustment: { type: 'split', original, duration: partDuration, part: part + 1, parts }
+                        });
+                    }
+                } else {
+                    segments.push({
+                        ...cutPoint,
+                        end: cutPoint.start + maxDuration,
+                        duration: maxDuration,
+                        sceneIndex,
+                        durationAdjustment: { type: 'truncated', original, duration: maxDuration }
+                    });
+                }
+                return;
+            }
+            
+            if (cutPoint.duration < minDuration) {
+                // 영상(구간) 끝에 닿으면 시작을 앞당겨 길이 확보
+                const end = Math.min(cutPoint.start + minDuration, limitEnd);
+                const start = Math.max(0, end - minDuration);
+                segments.push({
+                    ...cutPoint,
+                    start,
+                    end,
+                    duration: end - start,
+                    sceneIndex,
+                    durationAdjustment: { type: 'padded', original, duration: end - start }
+                });
+                return;
+            }
+            
+            segments.push({ ...cutPoint, sceneIndex });
+        });
+        
+        return segments;
+    }
+
+    /**
+     * 클립 파일명 - 분할된 장면은 조각 번호를 붙임 (예: video_clip_003_p2.mp4)
+     */
+    getClipFileName(videoPath, cutPoint, clipIndex, container) {
+        const videoName = this.eagleUtils.getBaseName(videoPath);
+        const adjustment = cutPoint.durationAdjustment;
+        const partSuffix = adjustment?.type === 'split' ? `_p${adjustment.part}` : '';
+        return `${videoName}_clip_${clipIndex.toString().padStart(3, '0')}${partSuffix}.${container}`;
+    }
+
+    /**
+     * 움짤 미리보기 설정 결정 (형식·인코더·크기·fps·최대 길이)
+     * 애니메이션 WebP 인코더가 없으면 GIF로 대체합니다.
+     * @param {Object} settings - 추출 설정 ({ animatedPreview, animatedWidth, animatedFps, animatedMaxDuration, quality })
+     * @returns {Promise<Object|null>} { format, encoder, width, fps, maxDuration, quality } (사용 안 함이면 null)
+     */
+    async resolveAnimatedPreview(settings) {
+        let format = settings.animatedPreview;
+        if (format !== 'gif' && format !== 'webp') {
+            return null;
+        }
+        
+        let encoder = 'gif';
+        if (format === 'webp') {
+            encoder = null;
+            for (const candidate of ['libwebp_anim', 'libwebp']) {
+                if (!window.hasFFmpegEncoder || await window.hasFFmpegEncoder(candidate)) {
+                    encoder = candidate;
+                    break;
+                }
+            }
+            if (!encoder) {
+                console.warn('⚠️ FFmpeg에 WebP 인코더(libwebp)가 없어 움짤을 GIF로 저장합니다');
+                format = 'gif';
+                encoder = 'gif';
+            }
+        }
+        
+        return {
+            format,
+            encoder,
+            width: Math.max(120, Math.min(1920, parseInt(settings.animatedWidth) || 480)),
+            fps: Math.max(1, Math.min(30, parseInt(settings.animatedFps) || 12)),
+            maxDuration: Math.max(0, parseFloat(settings.animatedMaxDuration) || 0),
+            quality: settings.quality || 8
+        };
+    }
+
+    /**
+     * 장면 움짤 미리보기 생성 (원본에서 직접 인코딩)
+     * GIF: palettegen으로 장면 전용 팔레트를 만든 뒤 paletteuse로 인코딩 (2패스)
+     * WebP: 손실 압축 애니메이션 WebP (품질은 출력 품질 설정 기준)
+     * @returns {Promise<Object|null>} { path, filename, format, duration, fileSize } (실패 시 null)
+     */
+    async createAnimatedPreview(videoPath, cutPoint, clipIndex, settings) {
+        const preview = settings.animatedPreview;
+        const outputFileName = this.getClipFileName(videoPath, cutPoint, clipIndex, preview.format);
+        const outputPath = this.eagleUtils.joinPath(this.outputDir, outputFileName);
+        const duration = preview.maxDuration > 0 ? Math.min(cutPoint.duration, preview.maxDuration) : cutPoint.duration;
+        const timeoutMs = Math.max(60000, duration * 4000);
+        
+        // HDR 소스는 클립과 같은 톤 매핑 후 축소 (원본보다 크게 늘리지 않음)
+        const filters = [
+            ...(settings.toneMapFilter ? [settings.toneMapFilter] : []),
+            `fps=${preview.fps}`,
+            `scale='min(${preview.width},iw)':-2:flags=lanczos`
+        ].join(',');
+        const inputArgs = ['-ss', cutPoint.start.toFixed(3), '-t', duration.toFixed(3), '-i', videoPath];
+        
+        let success;
+        if (preview.format === 'gif') {
+            const palettePath = outputPath.replace(/\.gif$/, '_palette.png');
+            success = await this.runFFmpegCommand([
+                ...inputArgs,
+                '-vf', `${filters},palettegen=stats_mode=diff`,
+                '-y',
+                palettePath
+            ], timeoutMs) && await this.runFFmpegCommand([
+                ...inputArgs,
+                '-i', palettePath,
+                '-lavfi', `${filters}[x];[x][1:v]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle`,
+                '-loop', '0',
+                '-y',
+                outputPath
+            ], timeoutMs);
+            
+            try {
+                const fs = this.eagleUtils.getFS();
+                if (fs.existsSync(palettePath)) {
+                    fs.unlinkSync(palettePath);
+                }
+            } catch (error) {
+                console.warn('GIF 팔레트 파일 삭제 실패:', error.message);
+            }
+        } else {
+            success = await this.runFFmpegCommand([
+                ...inputArgs,
+                '-vf', filters,
+                '-c:v', preview.encoder,
+                '-lossless', '0',
+                '-quality', (preview.quality * 10).toString(),
+                '-compression_level', '4',
+                '-loop', '0',
+                '-an',
+                '-y',
+                outputPath
+            ], timeoutMs);
+        }
+        
+        if (!success || !this.eagleUtils.fileExists(outputPath)) {
+            console.warn(`⚠️ 클립 ${clipIndex} 움짤(${preview.format.toUpperCase()}) 생성 실패`);
+            return null;
+        }
+        
+        const stats = this.eagleUtils.getFileStats(outputPath);
+        console.log(`🎞️ 클립 ${clipIndex} 움짤 생성: ${outputFileName} (${(stats.size / 1024).toFixed(1)}KB)`);
+        return {
+            path: outputPath,
+            filename: outputFileName,
+            format: preview.format,
+            duration,
+            fileSize: stats.size
+        };
+    }
+
+    /**
+     * 스트림 복사 설정 결정 (키프레임 목록, 스마트 렌더 인코더, 출력 컨테이너)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} settings - 추출 설정 ({ clipCopyMode, range, sourceInfo, toneMapFilter })
+     * @returns {Promise<Object|null>} { mode, keyframes, smartRender, container, fps, pixelFormat } (재인코딩이면 null)
+     */
+    async resolveStreamCopy(videoPath, settings) {
+        const mode = settings.clipCopyMode;
+        if (mode !== 'keyframe' && mode !== 'smart') {
+            return null;
+        }
+
+        // 톤 매핑은 필터를 거쳐야 하므로 복사할 수 없음
+        if (settings.toneMapFilter) {
+            console.warn('⚠️ HDR 톤 매핑이 필요한 소스라 스트림 복사 대신 재인코딩합니다');
+            return null;
+        }
+
+        const keyframes = await this.probeKeyframes(videoPath, settings.range);
+        if (keyframes.length === 0) {
+            console.warn('⚠️ 키프레임 위치를 확인하지 못해 재인코딩으로 추출합니다');
+            return null;
+        }
+
+        const sourceInfo = settings.sourceInfo || {};
+        let smartRender = null;
+        if (mode === 'smart') {
+            smartRender = this.smartRenderEncoders[sourceInfo.codec] || null;
+            if (smartRender && window.hasFFmpegEncoder && !(await window.hasFFmpegEncoder(smartRender.encoder))) {
+                smartRender = null;
+            }
+            if (!smartRender) {
+                console.warn(`⚠️ ${sourceInfo.codec || '알 수 없는'} 코덱은 스마트 렌더를 지원하지 않아 키프레임 정렬로 복사합니다`);
+            }
+        }
+
+        console.log(`🔑 키프레임 ${keyframes.length}개 확인 (${smartRender ? '스마트 렌더' : '키프레임 정렬'} 스트림 복사)`);
+        return {
+            mode: smartRender ? 'smart' : 'keyframe',
+            keyframes,
+            smartRender,
+            container: this.getStreamCopyContainer(videoPath),
+            fps: sourceInfo.fps || 30,
+            pixelFormat: sourceInfo.pixelFormat || null,
+            source: {
+                codec: sourceInfo.codec,
+                profile: sourceInfo.profile || null,
+                level: sourceInfo.level || null,
+                refs: sourceInfo.refs || null
+            }
+        };
+    }
+
+    /**
+     * 키프레임 위치 조회 (ffprobe 패킷 플래그 기준이라 디코딩하지 않음)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @returns {Promise<Array<number>>} 오름차순 키프레임 시각 (초, 실패 시 빈 배열)
+     */
+    async probeKeyframes(videoPath, range = null) {
+        const args = [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-show_entries', 'packet=pts_time,flags',
+            '-of', 'csv=p=0'
+        ];
+        if (range) {
+            // 구간 첫 컷 이전 키프레임도 필요하므로 앞쪽에 여유를 둠
+            args.push('-read_intervals', `${Math.max(0, range.start - 10).toFixed(3)}%${range.end.toFixed(3)}`);
+        }
+        args.push(videoPath);
+
+        return new Promise((resolve) => {
+            let ffprobe;
+            try {
+                ffprobe = this.eagleUtils ?
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffprobe, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffprobe, args);
+            } catch (error) {
+                console.warn('키프레임 조회 실패:', error.message);
+                resolve([]);
+                return;
+            }
+
+            let output = '';
+            let hasCompleted = false;
+            ffprobe.stdout.on('data', (data) => {
+                output += data.toString();
+            });
+
+            ffprobe.on('close', (code) => {
+                if (hasCompleted) return;
+                hasCompleted = true;
+                clearTimeout(timeoutHandle);
+
+                if (code !== 0) {
+                    resolve([]);
+                    return;
+                }
+
+                // 한 줄: "pts_time,flags" (키프레임은 flags에 K 포함, pts가 없는 패킷은 N/A)
+                const keyframes = output.split('\n')
+                    .map(line => line.trim().split(','))
+                    .filter(([time, flags]) => flags && flags.includes('K') && !isNaN(parseFloat(time)))
+                    .map(([time]) => parseFloat(time))
+                    .sort((a, b) => a - b);
+                resolve(keyframes);
+            });
+
+            ffprobe.on('error', (error) => {
+                if (hasCompleted) return;
+                hasCompleted = true;
+                clearTimeout(timeoutHandle);
+                console.warn('키프레임 조회 실패:', error.message);
+                resolve([]);
+            });
+
+            const timeoutHandle = setTimeout(() => {
+                if (!hasCompleted) {
+                    hasCompleted = true;
+                    ffprobe.kill('SIGTERM');
+                    console.warn('⏰ 키프레임 조회 타임아웃 (120초)');
+                    resolve([]);
+                }
+            }, 120000);
+        });
+    }
+
+    /**
+     * 스트림 복사 클립 추출
+     * 키프레임 정렬: 컷 시작 직전 키프레임부터 복사 (시작 경계가 앞당겨질 수 있음)
+     * 스마트 렌더: 컷 시작 ~ 다음 키프레임만 재인코딩하고 나머지는 복사해 이어 붙임 (경계 유지)
+     * @returns {Promise<Object|null>} 클립 정보 (boundary: 감지된 컷 대비 시작 경계 이동량)
+     */
+    async attemptClipStreamCopy(videoPath, cutPoint, clipIndex, settings) {
+        if (!this.eagleUtils) {
+            console.error(`ClipExtractor: EagleUtils가 없습니다`);
+            return null;
+        }
+
+        const streamCopy = settings.streamCopy;
+        const outputFileName = this.getClipFileName(videoPath, cutPoint, clipIndex, streamCopy.container);
+        const outputPath = this.eagleUtils.joinPath(this.outputDir, outputFileName);
+
+        // 길이 제한은 applyDurationLimits에서 적용됨
+        const start = cutPoint.start;
+        const end = cutPoint.end;
+        const frameTolerance = 0.5 / streamCopy.fps;
+
+        // 컷 시작 이전(같은 프레임 포함) 마지막 키프레임과 이후 첫 키프레임
+        const { keyframes } = streamCopy;
+        let previousKeyframe = keyframes[0];
+        let nextKeyframe = null;
+        for (const time of keyframes) {
+            if (time <= start + frameTolerance) {
+                previousKeyframe = time;
+            } else {
+                nextKeyframe = time;
+                break;
+            }
+        }
+        const onKeyframe = Math.abs(start - previousKeyframe) <= frameTolerance;
+
+        let clipStart = previousKeyframe;
+        let method = 'stream-copy';
+        let success;
+
+        if (streamCopy.mode === 'smart' && !onKeyframe) {
+            success = await this.smartRenderClip(videoPath, outputPath, start, end, nextKeyframe, streamCopy);
+            if (success) {
+                clipStart = start;
+                method = 'smart-render';
+            } else {
+                console.warn(`⚠️ 클립 ${clipIndex} 스마트 렌더 결과를 검증하지 못해 키프레임 정렬 복사로 대체합니다`);
+            }
+        }
+        if (!success) {
+            success = await this.copyClipSegment(videoPath, outputPath, clipStart, end - clipStart, streamCopy.container);
+        }
+
+        if (!success || !this.eagleUtils.fileExists(outputPath)) {
+            console.warn(`❌ 클립 ${clipIndex} 스트림 복사 실패 (${method})`);
+            return null;
+        }
+
+        const stats = this.eagleUtils.getFileStats(outputPath);
+        if (!stats || stats.size === 0) {
+            console.warn(`클립 ${clipIndex} 출력 파일 크기 0: ${outputPath}`);
+            return null;
+        }
+
+        const startShift = clipStart - start;
+        const duration = end - clipStart;
+        if (startShift < -2) {
+            console.warn(`⚠️ 클립 ${clipIndex} 시작이 키프레임 정렬로 ${(-startShift).toFixed(2)}초 앞당겨짐 (키프레임 간격이 긴 소스)`);
+        }
+
+        return {
+            path: outputPath,
+            filename: outputFileName,
+            startTime: clipStart,
+            endTime: end,
+            duration,
+            clipIndex,
+            fileSize: stats.size,
+            quality: settings.quality,
+            method,
+            sizePerSecond: (stats.size / 1024 / duration).toFixed(1),
+            boundary: {
+                detectedStart: start,
+                startShift,                                          // 초 (음수면 감지된 컷보다 앞에서 시작)
+                startShiftFrames: Math.round(startShift * streamCopy.fps)
+            }
+        };
+    }
+
+    /**
+     * 스마트 렌더: 첫 GOP(컷 시작 ~ 다음 키프레임)만 원본 코덱으로 재인코딩하고 나머지는 복사한 뒤 concat으로 합침
+     * 앞부분은 원본과 같은 프로파일·레벨·참조 프레임 수로 인코딩하고, 두 조각 모두 영상만 MPEG-TS(Annex B)로 저장해
+     * 키프레임마다 파라미터 세트(SPS/PPS)가 스트림 안에 들어가게 합니다. 그래야 컨테이너 헤더에는 앞부분 것만 남아도
+     * 뒷부분이 원본 파라미터 세트로 디코딩됩니다. 합친 결과는 끝까지 디코딩해 검증합니다.
+     * 다음 키프레임이 클립 끝 이후면 클립 전체를 재인코딩합니다.
+     * @returns {Promise<boolean>} 성공 여부 (false면 호출 측에서 키프레임 정렬 복사로 대체)
+     */
+    async smartRenderClip(videoPath, outputPath, start, end, nextKeyframe, streamCopy) {
+        const { smartRender, pixelFormat, container, source } = streamCopy;
+        const headEnd = nextKeyframe !== null && nextKeyframe < end ? nextKeyframe : end;
+        const timeoutMs = Math.max(60000, (end - start) * 1000);
+        const encodeArgs = [
+            '-c:v', smartRender.encoder,
+            ...smartRender.args,
+            ...this.getSmartRenderMatchArgs(source),
+            ...(pixelFormat ? ['-pix_fmt', pixelFormat] : [])
+        ];
+
+        // 클립 전체가 첫 GOP 안이면 이어 붙일 필요 없이 전체 재인코딩
+        if (headEnd === end) {
+            return await this.runFFmpegCommand([
+                '-ss', start.toFixed(6),
+                '-i', videoPath,
+                '-t', (end - start).toFixed(6),
+                ...encodeArgs,
+                ...smartRender.muxArgs,
+                '-c:a', 'copy',
+                '-avoid_negative_ts', 'make_zero',
+                ...this.getStreamCopyMuxArgs(container),
+                '-y',
+                outputPath
+            ], timeoutMs);
+        }
+
+        const headPath = outputPath.replace(/\.(\w+)$/, '_head.ts');
+        const tailPath = outputPath.replace(/\.(\w+)$/, '_tail.ts');
+        const listPath = outputPath.replace(/\.(\w+)$/, '_parts.txt');
+        const fs = this.eagleUtils.getFS();
+
+        try {
+            const headCreated = await this.runFFmpegCommand([
+                '-ss', start.toFixed(6),
+                '-i', videoPath,
+                '-t', (headEnd - start).toFixed(6),
+                '-an',
+                ...encodeArgs,
+                '-avoid_negative_ts', 'make_zero',
+                '-f', 'mpegts',
+                '-y',
+                headPath
+            ]);
+            const tailCreated = headCreated && await this.runFFmpegCommand([
+                '-ss', nextKeyframe.toFixed(6),
+                '-i', videoPath,
+                '-t', (end - nextKeyframe).toFixed(6),
+                '-an',
+                '-c:v', 'copy',
+                '-bsf:v', smartRender.annexb,
+                '-avoid_negative_ts', 'make_zero',
+                '-f', 'mpegts',
+                '-y',
+                tailPath
+            ], timeoutMs);
+            if (!tailCreated) {
+                return false;
+            }
+
+            // concat 목록 (경로의 작은따옴표는 '\'' 로 이스케이프)
+            const quote = (filePath) => `file '${filePath.replace(/'/g, "'\\''")}'`;
+            fs.writeFileSync(listPath, `${quote(headPath)}\n${quote(tailPath)}\n`);
+
+            // 오디오는 조각 경계에서 끊기지 않도록 원본에서 클립 구간 전체를 한 번에 복사
+            const joined = await this.runFFmpegCommand([
+                '-f', 'concat',
+                '-safe', '0',
+                '-i', listPath,
+                '-ss', start.toFixed(6),
+                '-t', (end - start).toFixed(6),
+                '-i', videoPath,
+                '-map', '0:v:0',
+                '-map', '1:a?',
+                '-c', 'copy',
+                ...smartRender.muxArgs,
+                ...this.getStreamCopyMuxArgs(container),
+                '-y',
+                outputPath
+            ], timeoutMs);
+
+            return joined && await this.verifyDecodable(outputPath, end - start);
+        } finally {
+            for (const partPath of [headPath, tailPath, listPath]) {
+                try {
+                    if (fs.existsSync(partPath)) {
+                        fs.unlinkSync(partPath);
+                    }
+                } catch (error) {
+                    console.warn('스마트 렌더 임시 파일 삭제 실패:', partPath, error.message);
+                }
+            }
+        }
+    }
+
+    /**
+     * 스마트 렌더 앞부분을 원본 스트림과 같은 프로파일·레벨·참조 프레임 수로 인코딩하는 인자
+     * @param {Object} source - { codec, profile, level, refs } (ffprobe 값)
+     * @returns {Array<string>} FFmpeg 인자 배열 (알 수 없는 값은 생략)
+     */
+    getSmartRenderMatchArgs(source) {
+        const args = [];
+        const profile = (source.profile || '').toLowerCase();
+
+        if (source.codec === 'h264') {
+            const profiles = {
+                'constrained baseline': 'baseline',
+                baseline: 'baseline',
+                main: 'main',
+                high: 'high',
+                'high 10': 'high10',
+                'high 4:2:2': 'high422',
+                'high 4:4:4 predictive': 'high444'
+            };
+            if (profiles[profile]) {
+                args.push('-profile:v', profiles[profile]);
+            }
+            if (source.level > 0) {
+                args.push('-level', (source.level / 10).toFixed(1)); // ffprobe: 41 → 4.1
+            }
+            if (source.refs > 0) {
+                args.push('-refs', source.refs.toString());
+            }
+        } else if (source.codec === 'hevc') {
+            const profiles = { main: 'main', 'main 10': 'main10' };
+            if (profiles[profile]) {
+                args.push('-profile:v', profiles[profile]);
+            }
+            if (source.level > 0) {
+                args.push('-x265-params', `level-idc=${(source.level / 30).toFixed(1)}`); // ffprobe: 120 → 4.0
+            }
+        }
+
+        return args;
+    }
+
+    /**
+     * 출력 영상을 끝까지 디코딩해 재생 가능한지 확인 (-xerror: 디코딩 오류가 한 번이라도 나면 실패)
+     * @returns {Promise<boolean>} 디코딩 성공 여부
+     */
+    async verifyDecodable(filePath, duration) {
+        return await this.runFFmpegCommand([
+            '-v', 'error',
+            '-xerror',
+            '-i', filePath,
+            '-map', '0:v:0',
+            '-f', 'null',
+            '-'
+        ], Math.max(60000, duration * 2000));
+    }
+
+    /**
+     * 재인코딩 없이 구간 복사 (입력 탐색이라 start 직전 키프레임부터 복사됨)
+     * @param {string|null} container - 최종 출력 컨테이너 (중간 파일이면 null)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async copyClipSegment(videoPath, outputPath, start, duration, container) {
+        return await this.runFFmpegCommand([
+            '-ss', start.toFixed(6),
+            '-i', videoPath,
+            '-t', duration.toFixed(6),
+            '-c', 'copy',
+            '-avoid_negative_ts', 'make_zero',
+            ...(container ? this.getStreamCopyMuxArgs(container) : []),
+            '-y',
+            outputPath
+        ], Math.max(60000, duration * 1000));
+    }
+
+    /**
+     * 스트림 복사 출력 컨테이너 - 원본 컨테이너를 유지하고, 다른 코덱을 담기 어려운 형식은 MKV로 저장
+     * @param {string} videoPath - 비디오 파일 경로
+     * @returns {string} 확장자
+     */
+    getStreamCopyContainer(videoPath) {
+        const ext = videoPath.split('.').pop().toLowerCase();
+        if (ext === 'm4v') {
+            return 'mp4';
+        }
+        return ['mp4', 'mov', 'mkv', 'webm'].includes(ext) ? ext : 'mkv';
+    }
+
+    /**
+     * 스트림 복사 출력 먹서 인자
+     */
+    getStreamCopyMuxArgs(container) {
+        return container === 'mp4' || container === 'mov' ? ['-movflags', '+faststart'] : [];
+    }
+
+    /**
+     * FFmpeg 실행 (종료 코드만 확인)
+     * @param {Array<string>} args - FFmpeg 인자
+     * @param {number} timeoutMs - 타임아웃 (밀리초)
+     * @param {Object} spawnOptions - spawn 옵션 (예: 2패스 통계 파일용 cwd)
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    async runFFmpegCommand(args, timeoutMs = 60000, spawnOptions = {}) {
+        return new Promise((resolve) => {
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ?
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args, spawnOptions) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args, spawnOptions);
+            } catch (error) {
+                console.warn('FFmpeg 실행 실패:', error.message);
+                resolve(false);
+                return;
+            }
+
+            let stderr = '';
+            let hasCompleted = false;
+            ffmpeg.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+
+            ffmpeg.on('close', (code) => {
+                if (hasCompleted) return;
+                hasCompleted = true;
+                clearTimeout(timeoutHandle);
+                if (code !== 0 && stderr) {
+                    console.warn(`FFmpeg stderr:`, stderr.substring(stderr.length - 300));
+                }
+                resolve(code === 0);
+            });
+
+            ffmpeg.on('error', (error) => {
+                if (hasCompleted) return;
+                hasCompleted = true;
+                clearTimeout(timeoutHandle);
+                console.warn('FFmpeg 오류:', error.message);
+                resolve(false);
+            });
+
+            const timeoutHandle = setTimeout(() => {
+                if (!hasCompleted) {
+                    hasCompleted = true;
+                    ffmpeg.kill('SIGTERM');
+                    console.warn(`⏰ FFmpeg 타임아웃 (${timeoutMs / 1000}초)`);
+                    resolve(false);
+                }
+            }, timeoutMs);
+        });
+    }
+
+    /**
+     * 클립 출력 설정 결정 (프로파일, 사용할 인코더, 전송률 제어)
+     * @param {Object} settings - 추출 설정 ({ clipProfile, clipRateControl, clipBitrate, clipTargetSizeMB, quality, hdrSource, sourceInfo })
+     * @returns {Promise<Object>} { profile, encoder, rateControl, bitrate, crf, targetSizeMB, audioKbps, twoPass }
+     */
+    async resolveClipOutput(settings) {
+        let profile = this.clipProfiles[settings.clipProfile] || this.clipProfiles.h264_mp4;
+        
+        // H.264는 10비트 HDR을 담을 수 없으므로 HDR 유지 시 HEVC로 전환
+        if (settings.hdrSource && !profile.hdr) {
+            console.warn(`⚠️ ${profile.label} 형식은 HDR을 유지할 수 없어 HEVC MP4로 저장합니다`);
+            profile = this.clipProfiles.hevc_mp4;
+        }
+        
+        // 인코더 후보가 여럿이면 설치된 FFmpeg에 있는 첫 번째 사용
+        let encoder = profile.encoders[0];
+        if (profile.encoders.length > 1 && window.hasFFmpegEncoder) {
+            for (const candidate of profile.encoders) {
+                if (await window.hasFFmpegEncoder(candidate)) {
+                    encoder = candidate;
+                    break;
+                }
+            }
+        }
+        
+        const rateControl = ['crf', 'bitrate', 'size'].includes(settings.clipRateControl) ? settings.clipRateControl : 'bitrate';
+        const twoPass = Boolean(this.twoPassEncoders[encoder]);
+        if (rateControl === 'size' && profile.intraOnly) {
+            console.warn(`⚠️ ${profile.label} 형식은 고정 비트레이트라 목표 크기를 적용할 수 없습니다`);
+        } else if (rateControl === 'size' && !twoPass) {
+            console.warn(`⚠️ ${encoder} 인코더는 2패스를 지원하지 않아 1패스 평균 비트레이트로 목표 크기를 맞춥니다 (오차가 클 수 있음)`);
+        }
+        
+        return {
+            profile,
+            encoder,
+            rateControl,
+            bitrate: parseFloat(settings.clipBitrate) || 5,
+            crf: profile.crfRange ? this.mapQualityToCRF(settings.quality, profile.crfRange) : null,
+            targetSizeMB: parseFloat(settings.clipTargetSizeMB) || 8,
+            audioKbps: settings.sourceInfo?.hasAudio === false ? 0 : 128, // 목표 크기 모드의 오디오 비트레이트
+            twoPass
+        };
+    }
+
+    /**
+     * 출력 프로파일에 따른 코덱·전송률·색·오디오 인자
+     * HDR 유지: 10비트 픽셀 포맷에 BT.2020 색 정보를 기록, HDR 톤 매핑: 필터 적용 후 BT.709로 기록
+     * @param {Object} settings - 추출 설정 (resolveClipOutput 결과가 clipOutput에 있어야 함)
+     * @param {number} duration - 클립 길이 (초, 목표 크기 모드의 비트레이트 계산용)
+     * @returns {Array<string>} FFmpeg 인자 배열
+     */
+    getClipEncodeArgs(settings, duration = null) {
+        const { profile, encoder, rateControl, bitrate, crf } = settings.clipOutput;
+        const targetSize = rateControl === 'size' && !profile.intraOnly && duration > 0;
+        const keepHdr = Boolean(settings.hdrSource && profile.hdr);
+        
+        const args = ['-c:v', encoder, ...profile.videoArgs, ...(profile.encoderArgs?.[encoder] || [])];
+        if (keepHdr && encoder === 'libx265') {
+            args.push('-profile:v', 'main10');
+        }
+        args.push('-pix_fmt', keepHdr ? profile.hdrPixelFormat : profile.pixelFormat);
+        
+        // 전송률 제어 (ProRes는 프로파일별 고정 비트레이트)
+        if (!profile.intraOnly) {
+            if (rateControl === 'crf') {
+                args.push('-crf', crf);
+                if (encoder === 'libvpx-vp9' || encoder === 'libaom-av1') {
+                    args.push('-b:v', '0'); // 비트레이트 상한 없는 순수 품질 기준 모드
+                }
+            } else if (targetSize) {
+                // 평균 비트레이트를 목표 크기에 맞추고 순간 피크는 1.5배까지 허용 (2패스에서 평균이 맞춰짐)
+                const videoKbps = this.getTargetVideoBitrate(settings.clipOutput, duration);
+                args.push(
+                    '-b:v', `${videoKbps}k`,
+                    '-maxrate', `${Math.round(videoKbps * 1.5)}k`,
+                    '-bufsize', `${videoKbps * 2}k`
+                );
+            } else {
+                args.push(
+                    '-b:v', `${bitrate}M`,           // 타겟 비트레이트
+                    '-maxrate', `${bitrate}M`,       // 최대 비트레이트
+                    '-bufsize', `${bitrate * 2}M`    // 버퍼 크기 (maxrate의 2배)
+                );
+            }
+        }
+        
+        // 색 처리
+        if (keepHdr) {
+            const transfer = settings.hdrSource === 'hlg' ? 'arib-std-b67' : 'smpte2084';
+            args.push(
+                '-color_primaries', 'bt2020',
+                '-color_trc', transfer,
+                '-colorspace', 'bt2020nc'
+            );
+        } else if (settings.toneMapFilter) {
+            args.push(
+                '-vf', settings.toneMapFilter,
+                '-color_primaries', 'bt709',
+                '-color_trc', 'bt709',
+                '-colorspace', 'bt709'
+            );
+        }
+        
+        if (profile.container === 'mp4' || profile.container === 'mov') {
+            args.push('-movflags', '+faststart');
+        }
+        
+        // 목표 크기 모드는 오디오 비트레이트를 알아야 하므로 원본 오디오 복사 대신 AAC로 인코딩
+        if (targetSize && profile.audioArgs.includes('copy')) {
+            args.push('-c:a', 'aac', '-b:a', `${settings.clipOutput.audioKbps || 128}k`);
+        } else {
+            args.push(...profile.audioArgs);
+        }
+        
+        return args;
     }
 
     /**
      * 품질 설정을 CRF 값으로 변환
+     * @param {number} quality - 품질 (1-10)
+     * @param {Array<number>} range - [품질 10일 때 CRF, 품질 1일 때 CRF] (기본: H.264 기준 18-28)
+     * @returns {string} CRF 값
      */
-    mapQualityToCRF(quality) {
-        // 품질 1-10을 CRF 28-18로 변환 (낮을수록 높은 품질)
-        const crf = Math.max(18, Math.min(28, 29 - quality * 1.1));
+    mapQualityToCRF(quality, range = [18, 28]) {
+        // 품질 1-10을 CRF 범위의 높은 값 → 낮은 값으로 변환 (낮을수록 높은 품질)
+        const [best, worst] = range;
+        const crf = Math.max(best, Math.min(worst, worst + 1 - quality * (worst - best + 1) / 10));
         return Math.round(crf).toString();
     }
 
@@ -9,6 +9,18 @@ class ConfigManager {
             // 처리 설정
             processing: {
                 sensitivity: 0.3,           // 컷 변화 감지 민감도
+                detectionMode: 'threshold', // 'threshold' | 'adaptive'
+                frameSamplingMode: 'cuts',  // 'cuts' | 'interval' (N초마다) | 'count' (N장 균등) | 'nth' (N프레임마다)
+                frameSamplingValue: 10,     // 샘플링 N
+                sceneFramePolicy: 'middle', // 장면별 추출 위치 ('middle' | 'first' | 'last' | 'firstLast' | 'firstMiddleLast' | 'even' | 'best')
+                sceneFrameCount: 3,         // 'even'일 때 장면당 추출 수, 'best'일 때 비교할 후보 수
+                minSceneLength: 1.0,        // 최소 장면 길이 (이보다 짧은 간격의 컷은 무시)
+                minSceneLengthUnit: 'seconds', // 'seconds' | 'frames'
+                reviewCuts: false,          // 추출 전 타임라인에서 컷 검토
+                parallelDetection: true,    // 긴 비디오는 구간을 나눠 병렬로 장면 감지
+                audioMode: 'off',           // 'off' | 'snap' (영상 컷을 비트에 맞춤) | 'audio' (오디오만으로 컷)
+                beatSnapTolerance: 0.15,    // 비트 맞춤 최대 이동 거리 (초)
+                beatsPerCut: 4,             // 오디오 전용 모드의 컷 간격 (비트)
                 inHandle: 3,                // In 포인트 핸들 (프레임)
                 outHandle: 3,               // Out 포인트 핸들 (프레임)
                 extractionMethod: 'unified', // 'unified' | 'parallel'
@@ -18,11 +30,33 @@ class ConfigManager {
 
             // 출력 설정
             output: {
-                imageFormat: 'jpg',         // 'jpg' | 'png'
+                imageFormat: 'jpg',         // 'jpg' | 'png' | 'webp' | 'avif' | 'tiff'
                 quality: 8,                 // 1-10
+                frameMaxWidth: 0,           // 프레임 최대 가로 (0이면 제한 없음)
+                frameMaxHeight: 0,          // 프레임 최대 세로 (0이면 제한 없음)
+                frameAspectRatio: 'original', // 화면비 크롭 ('original' | '16:9' | '4:3' | '1:1' | '4:5' | '9:16' | '2.39:1')
+                removeLetterbox: false,     // 레터박스/필러박스 자동 제거 (cropdetect)
+                keepHdr: false,             // HDR 소스를 SDR로 톤 매핑하지 않고 유지 (클립은 10비트 HEVC)
                 videoFormat: 'mp4',         // 출력 비디오 포맷
                 videoCodec: 'libx264',      // 비디오 코덱
-                videoQuality: 'crf=23'      // 비디오 품질
+                videoQuality: 'crf=23',     // 비디오 품질
+                clipProfile: 'h264_mp4',    // 클립 출력 프로파일 ('h264_mp4' | 'hevc_mp4' | 'prores_proxy_mov' | 'prores_hq_mov' | 'vp9_webm' | 'av1_webm' | 'h264_mkv')
+                clipRateControl: 'bitrate', // 'bitrate' (목표 비트레이트) | 'crf' (품질 기준) | 'size' (목표 크기, 2패스)
+                clipBitrate: 5,             // 클립 목표 비트레이트 (Mbps)
+                clipTargetSizeMB: 8,        // 클립 목표 크기 (MB, 플랫폼 업로드 제한용)
+                clipCopyMode: 'off',        // 'off' (재인코딩) | 'keyframe' (키프레임 정렬 스트림 복사) | 'smart' (첫 GOP만 재인코딩)
+                clipMinDuration: 0.5,       // 클립 최소 길이 (초, 0이면 늘리지 않음)
+                clipMaxDuration: 30,        // 클립 최대 길이 (초, 0이면 제한 없음)
+                clipLongSceneMode: 'truncate', // 최대 길이를 넘는 장면: 'truncate' (자름) | 'split' (연속 구간으로 분할)
+                animatedPreview: 'off',     // 장면 움짤 미리보기 ('off' | 'gif' | 'webp')
+                animatedWidth: 480,         // 움짤 가로 (px, 원본보다 크게 늘리지 않음)
+                animatedFps: 12,            // 움짤 프레임 레이트
+                animatedMaxDuration: 6,     // 움짤 최대 길이 (초, 0이면 클립 전체)
+                exportSceneList: false,     // 장면 목록(EDL/FCPXML/CSV) 내보내기
+                sceneListFormats: ['edl', 'fcpxml', 'csv'], // 내보낼 장면 목록 포맷
+                contactSheet: false,        // 추출 프레임 콘택트 시트(스토리보드) 생성
+                contactSheetColumns: 4,     // 콘택트 시트 열 수
+                contactSheetFormats: ['jpg', 'pdf'] // 한 장짜리 이미지 + 페이지별 PDF
             },
 
             // Eagle 통합 설정
@@ -32,7 +66,8 @@ class ConfigManager {
                 duplicateHandling: 'overwrite', // 'overwrite' | 'skip' | 'rename'
                 skipDuplicateCheck: false,  // 중복 체크 건너뛰기 (성능)
                 defaultTags: ['video-processor'], // 기본 태그
-                addTimestampTag: true       // 타임스탬프 태그 추가
+                addTimestampTag: true,      // 타임스탬프 태그 추가
+                importSceneList: false      // 장면 목록 파일도 임포트
             },
 
             // 캐시 설정
@@ -45,6 +80,7 @@ class ConfigManager {
 
             // 성능 설정
             performance: {
+                profile: 'quality',         // 장면 감지 속도/정확도 ('fast' | 'balanced' | 'quality')
                 maxConcurrency: 12,         // 최대 동시 처리
                 memoryThreshold: 80,        // 메모리 사용률 임계값 (%)
                 enableGPUAcceleration: false, // GPU 가속 사용
@@ -199,6 +235,25 @@ class ConfigManager {
             if (processing.sensitivity < 0.1 || processing.sensitivity > 1.0) {
                 errors.push('민감도는 0.1에서 1.0 사이여야 합니다.');
             }
+            if (!['threshold', 'adaptive'].includes(processing.detectionMode)) {
+                errors.push('컷 감지 방식은 threshold 또는 adaptive여야 합니다.');
+            }
+            if (!['seconds', 'frames'].includes(processing.minSceneLengthUnit)) {
+                errors.push('최소 장면 길이 단위는 seconds 또는 frames여야 합니다.');
+            } else if (processing.minSceneLengthUnit === 'frames' ?
+                (processing.minSceneLength < 1 || processing.minSceneLength > 300) :
+                (processing.minSceneLength < 0.1 || processing.minSceneLength > 10)) {
+                errors.push('최소 장면 길이는 0.1~10초 또는 1~300프레임 사이여야 합니다.');
+            }
+            if (!['cuts', 'interval', 'count', 'nth'].includes(processing.frameSamplingMode)) {
+                errors.push('프레임 추출 시점은 cuts, interval, count, nth 중 하나여야 합니다.');
+            }
+            if (!['middle', 'first', 'last', 'firstLast', 'firstMiddleLast', 'even', 'best'].includes(processing.sceneFramePolicy)) {
+                errors.push('장면별 추출 위치가 올바르지 않습니다.');
+            }
+            if (!['off', 'snap', 'audio'].includes(processing.audioMode)) {
+                errors.push('오디오 기반 컷은 off, snap, audio 중 하나여야 합니다.');
+            }
             if (processing.inHandle < 0 || processing.inHandle > 30) {
                 errors.push('In 핸들은 0에서 30 사이여야 합니다.');
             }
@@ -210,12 +265,39 @@ class ConfigManager {
         // 출력 설정 검증
         if (!category || category === 'output') {
             const output = this.get('output');
-            if (!['jpg', 'png'].includes(output.imageFormat)) {
-                errors.push('이미지 포맷은 jpg 또는 png여야 합니다.');
+            if (!['jpg', 'png', 'webp', 'avif', 'tiff'].includes(output.imageFormat)) {
+                errors.push('이미지 포맷은 jpg, png, webp, avif, tiff 중 하나여야 합니다.');
+            }
+            if (output.frameMaxWidth < 0 || output.frameMaxHeight < 0) {
+                errors.push('프레임 최대 크기는 0 이상이어야 합니다.');
             }
             if (output.quality < 1 || output.quality > 10) {
                 errors.push('품질은 1에서 10 사이여야 합니다.');
             }
+            if (!['bitrate', 'crf', 'size'].includes(output.clipRateControl)) {
+                errors.push('클립 전송률 제어는 bitrate, crf, size 중 하나여야 합니다.');
+            }
+            if (output.clipTargetSizeMB <= 0) {
+                errors.push('클립 목표 크기는 0보다 커야 합니다.');
+            }
+            if (!['off', 'keyframe', 'smart'].includes(output.clipCopyMode)) {
+                errors.push('클립 스트림 복사 방식은 off, keyframe, smart 중 하나여야 합니다.');
+            }
+            if (output.clipMinDuration < 0 || output.clipMaxDuration < 0) {
+                errors.push('클립 최소·최대 길이는 0 이상이어야 합니다.');
+            }
+            if (output.clipMaxDuration > 0 && output.clipMinDuration > output.clipMaxDuration) {
+                errors.push('클립 최소 길이는 최대 길이보다 클 수 없습니다.');
+            }
+            if (!['truncate', 'split'].includes(output.clipLongSceneMode)) {
+                errors.push('긴 장면 처리 방식은 truncate, split 중 하나여야 합니다.');
+            }
+            if (!['off', 'gif', 'webp'].includes(output.animatedPreview)) {
+                errors.push('움짤 형식은 off, gif, webp 중 하나여야 합니다.');
+            }
+            if (output.animatedFps < 1 || output.animatedFps > 30) {
+                errors.push('움짤 fps는 1에서 30 사이여야 합니다.');
+            }
         }
 
         // 성능 설정 검증
@@ -224,6 +306,9 @@ class ConfigManager {
             if (performance.maxConcurrency < 1 || performance.maxConcurrency > 32) {
                 errors.push('최대 동시 처리는 1에서 32 사이여야 합니다.');
             }
+            if (!['fast', 'balanced', 'quality'].includes(performance.profile)) {
+                errors.push('성능 프로파일은 fast, balanced, quality 중 하나여야 합니다.');
+            }
         }
 
         return errors;
@@ -282,7 +367,10 @@ class ConfigManager {
                 imageFormat: 'jpg',
                 quality: 6,
                 enableGPUAcceleration: true,
-                skipDuplicateCheck: true
+                skipDuplicateCheck: true,
+                proxyDetection: true,       // 축소 디코딩으로 장면 감지
+                proxyWidth: 320,            // 축소 폭 (px)
+                proxyFrameStep: 2           // N프레임마다 1프레임만 분석
             },
             balanced: {
                 extractionMethod: 'unified',
@@ -290,7 +378,10 @@ class ConfigManager {
                 imageFormat: 'jpg',
                 quality: 8,
                 enableGPUAcceleration: false,
-                skipDuplicateCheck: false
+                skipDuplicateCheck: false,
+                proxyDetection: true,
+                proxyWidth: 640,
+                proxyFrameStep: 1
             },
             quality: {
                 extractionMethod: 'parallel',
@@ -298,7 +389,8 @@ class ConfigManager {
                 imageFormat: 'png',
                 quality: 10,
                 enableGPUAcceleration: false,
-                skipDuplicateCheck: false
+                skipDuplicateCheck: false,
+                proxyDetection: false
             }
         };
 
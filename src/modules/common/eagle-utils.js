@@ -108,7 +108,8 @@ class EagleUtils {
             if (libraryPath) {
                 directories.push(
                     this.joinPath(libraryPath, 'video-processor-cache', 'clips'),
-                    this.joinPath(libraryPath, 'video-processor-cache', 'frames')
+                    this.joinPath(libraryPath, 'video-processor-cache', 'frames'),
+                    this.joinPath(libraryPath, 'video-processor-cache', 'scene-index')
                 );
             }
         } catch (error) {
@@ -207,6 +208,22 @@ class EagleUtils {
                filePath.split('/').pop().split('.').slice(0, -1).join('.');
     }
 
+    /**
+     * 로컬 경로를 file:// URL로 변환 (FCPXML media-rep, CSS url() 등)
+     * 경로 구분자는 유지하고 조각별로 인코딩합니다 (encodeURI는 "Take #3.mov"의 #·?를 남겨 경로가 잘림).
+     * @param {string} filePath - 파일 경로
+     * @returns {string} file URL
+     */
+    toFileURL(filePath) {
+        let normalized = filePath.replace(/\\/g, '/');
+        if (!normalized.startsWith('/')) {
+            normalized = '/' + normalized; // Windows 드라이브 경로 (C:/...)
+        }
+        return 'file://' + normalized.split('/')
+            .map(segment => /^[A-Za-z]:$/.test(segment) ? segment : encodeURIComponent(segment))
+            .join('/');
+    }
+
     /**
      * Node.js 모듈 안전하게 가져오기
      * @param {string} moduleName - 모듈명
@@ -236,6 +253,51 @@ class EagleUtils {
         return spawn(command, args, options);
     }
 
+    /**
+     * CPU 코어 수에 맞춘 FFmpeg 동시 실행 수 (M4 MAX 최적화)
+     * @param {number} taskCount - 전체 작업 수 (이보다 많이 띄우지 않음)
+     * @returns {number} 동시 실행할 FFmpeg 프로세스 수
+     */
+    getWorkerConcurrency(taskCount) {
+        const os = this.getNodeModule('os');
+        const cpuCount = os ? os.cpus().length : 4;
+        
+        if (cpuCount >= 12) {
+            // M4 MAX/Pro 급 (12코어 이상): 최대 성능 활용
+            return Math.min(Math.max(6, Math.floor(cpuCount * 0.9)), 16, taskCount);
+        } else if (cpuCount >= 8) {
+            // M3/M2 Pro 급 (8-11코어): 적극적 활용
+            return Math.min(Math.max(4, Math.floor(cpuCount * 0.8)), 10, taskCount);
+        }
+        // 일반 CPU (8코어 미만): 안전한 활용
+        return Math.min(Math.max(2, Math.floor(cpuCount * 0.6)), 6, taskCount);
+    }
+
+    /**
+     * HDR(PQ/HLG) → SDR(BT.709) 톤 매핑 필터 체인
+     * zscale로 선형 광으로 변환한 뒤 tonemap(hable)으로 밝기 범위를 압축하고 BT.709로 되돌립니다 (FFmpeg에 libzimg 필요).
+     * 마지막 변환은 16비트 4:4:4로 남겨 16비트 TIFF·10비트 ProRes 등 출력 포맷의 정밀도를 유지하고,
+     * 최종 픽셀 포맷은 각 인코더의 -pix_fmt(이미지 인코더 인자)가 결정합니다.
+     * @param {Object} videoInfo - VideoAnalyzer.getVideoInfo 결과 ({ hdr })
+     * @returns {string|null} FFmpeg 비디오 필터 (HDR 소스가 아니면 null)
+     */
+    getToneMapFilter(videoInfo) {
+        if (!videoInfo?.hdr) {
+            return null;
+        }
+        
+        // 메타데이터가 일부 빠진 파일도 있으므로 입력 색 특성을 명시
+        const transferIn = videoInfo.hdr === 'hlg' ? 'arib-std-b67' : 'smpte2084';
+        return [
+            `zscale=tin=${transferIn}:pin=bt2020:min=bt2020nc:t=linear:npl=100`,
+            'format=gbrpf32le',
+            'zscale=p=bt709',
+            'tonemap=tonemap=hable:desat=0',
+            'zscale=t=bt709:m=bt709:r=tv',
+            'format=yuv444p16le'
+        ].join(',');
+    }
+
     /**
      * Eagle에 파일 추가 (여러 형식 지원)
      * @param {string} filePath - 추가할 파일 경로
@@ -396,6 +458,22 @@ class EagleUtils {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    /**
+     * 시간 입력을 초 단위로 변환 ("90", "1:30", "00:01:30.5" 형식 지원)
+     * @param {string|number} value - 시간 입력값
+     * @returns {number|null} 초 단위 시간 또는 null (비어 있거나 잘못된 형식)
+     */
+    parseTimeInput(value) {
+        if (typeof value === 'number') {
+            return isFinite(value) && value >= 0 ? value : null;
+        }
+
+        const text = (value || '').trim();
+        if (!text || !/^\d+(:\d+){0,2}(\.\d+)?$/.test(text)) return null;
+
+        return text.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+    }
+
     /**
      * 에러를 사용자 친화적 메시지로 변환
      * @param {Error} error - 에러 객체
@@ -0,0 +1,349 @@
+/**
+ * ContactSheetGenerator - 콘택트 시트(스토리보드) 생성 모듈
+ * 추출된 프레임을 타임코드·장면 번호 캡션과 함께 격자로 배치해 한 장짜리 이미지와 여러 페이지 PDF로 저장합니다.
+ */
+
+class ContactSheetGenerator {
+    constructor(options = {}) {
+        // 의존성 주입
+        this.eagleUtils = window.eagleUtils || null;
+        this.configManager = window.configManager || null;
+
+        // 설정 초기화
+        this.options = {
+            formats: this.configManager?.get('output.contactSheetFormats') || ['jpg', 'pdf'],
+            columns: 4,             // PDF 페이지 열 수 (이미지는 프레임 수에 맞춰 늘어남)
+            rowsPerPage: 5,         // PDF 페이지당 행 수
+            thumbWidth: 480,        // 썸네일 최대 가로 (px)
+            maxSheetWidth: 8192,    // 한 장짜리 이미지 최대 가로 (캔버스 메모리 제한)
+            margin: 40,
+            gap: 16,
+            headerHeight: 90,
+            captionHeight: 40,
+            pdfDpi: 150,            // PDF 페이지 크기 계산용 해상도
+            jpegQuality: 0.9,
+            fontFamily: "-apple-system, 'Apple SD Gothic Neo', 'Malgun Gothic', sans-serif",
+            ...options
+        };
+
+        // 장면 내 위치 표시
+        this.positionLabels = {
+            first: '처음',
+            middle: '중간',
+            last: '끝'
+        };
+    }
+
+    /**
+     * 콘택트 시트 생성
+     * @param {Array} frames - 추출된 프레임 배열 ({ path, timeSeconds, frameIndex, sceneIndex, scenePosition })
+     * @param {Object} context - { videoPath, videoInfo, metadata (FrameExtractor.generateMetadata 결과), outputDir, columns }
+     * @param {Array} formats - 저장할 포맷 목록 ('jpg' | 'pdf')
+     * @returns {Promise<Array>} [{ format, path }] 저장된 파일 목록
+     */
+    async generate(frames, context, formats = this.options.formats) {
+        const fs = this.eagleUtils?.getFS() || window.require('fs');
+        const videoName = context.metadata?.sourceVideo || this.eagleUtils?.getBaseName(context.videoPath) || 'video';
+        const columns = Math.max(1, parseInt(context.columns) || this.options.columns);
+
+        if (frames.length === 0) {
+            return [];
+        }
+
+        if (this.eagleUtils) {
+            await this.eagleUtils.ensureDirectory(context.outputDir);
+        } else if (!fs.existsSync(context.outputDir)) {
+            fs.mkdirSync(context.outputDir, { recursive: true });
+        }
+
+        // 썸네일 비율은 첫 프레임 기준 (크롭·화면비 설정이 반영된 실제 출력 크기)
+        const firstImage = await this.loadImage(frames[0].path);
+        const aspect = firstImage ? firstImage.naturalWidth / firstImage.naturalHeight :
+            (context.videoInfo?.width && context.videoInfo?.height ? context.videoInfo.width / context.videoInfo.height : 16 / 9);
+
+        const exported = [];
+        for (const format of formats) {
+            const filePath = this.eagleUtils ?
+                this.eagleUtils.joinPath(context.outputDir, `${videoName}_contact_sheet.${format}`) :
+                `${context.outputDir}/${videoName}_contact_sheet.${format}`;
+
+            if (format === 'jpg') {
+                // 한 장짜리 이미지: 프레임이 많으면 열을 늘려 정사각형에 가깝게 배치
+                const sheetColumns = Math.max(columns, Math.ceil(Math.sqrt(frames.length / aspect)));
+                const canvas = await this.renderPage(frames, { ...context, videoName, aspect, columns: sheetColumns });
+                fs.writeFileSync(filePath, this.canvasToJpeg(canvas));
+            } else if (format === 'pdf') {
+                const pages = [];
+                const perPage = columns * this.options.rowsPerPage;
+                const pageCount = Math.ceil(frames.length / perPage);
+                for (let page = 0; page < pageCount; page++) {
+                    const canvas = await this.renderPage(frames.slice(page * perPage, (page + 1) * perPage), {
+                        ...context, videoName, aspect, columns, page: page + 1, pageCount
+                    });
+                    pages.push({ jpeg: this.canvasToJpeg(canvas), width: canvas.width, height: canvas.height });
+                }
+                fs.writeFileSync(filePath, this.buildPDF(pages));
+            } else {
+                console.warn(`⚠️ 지원하지 않는 콘택트 시트 포맷: ${format}`);
+                continue;
+            }
+
+            exported.push({ format, path: filePath });
+        }
+
+        console.log(`🗂️ 콘택트 시트 생성 완료: ${exported.map(file => file.format).join(', ')} (${frames.length}개 프레임)`);
+        return exported;
+    }
+
+    /**
+     * 프레임 격자 한 페이지 그리기
+     * @param {Array} frames - 이 페이지에 배치할 프레임
+     * @param {Object} layout - { videoName, videoInfo, metadata, aspect, columns, page, pageCount }
+     * @returns {Promise<HTMLCanvasElement>} 완성된 캔버스
+     */
+    async renderPage(frames, layout) {
+        const { margin, gap, headerHeight, captionHeight, maxSheetWidth } = this.options;
+        const columns = Math.min(layout.columns, frames.length);
+        const rows = Math.ceil(frames.length / columns);
+
+        const thumbWidth = Math.floor(Math.min(this.options.thumbWidth,
+            (maxSheetWidth - margin * 2 - gap * (columns - 1)) / columns));
+        const thumbHeight = Math.round(thumbWidth / layout.aspect);
+        const cellHeight = thumbHeight + captionHeight;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = margin * 2 + columns * thumbWidth + (columns - 1) * gap;
+        canvas.height = margin * 2 + headerHeight + rows * cellHeight + (rows - 1) * gap;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        this.drawHeader(ctx, canvas.width, layout);
+
+        for (let i = 0; i < frames.length; i++) {
+            const x = margin + (i % columns) * (thumbWidth + gap);
+            const y = margin + headerHeight + Math.floor(i / columns) * (cellHeight + gap);
+
+            // 프레임을 하나씩 불러와 그린 뒤 버려 메모리 사용을 줄임
+            const image = await this.loadImage(frames[i].path);
+            this.drawThumbnail(ctx, image, x, y, thumbWidth, thumbHeight);
+            this.drawCaption(ctx, frames[i], x, y + thumbHeight, thumbWidth, layout.videoInfo?.fps);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * 제목과 비디오 정보 그리기
+     */
+    drawHeader(ctx, width, layout) {
+        const { margin, fontFamily } = this.options;
+        const info = layout.videoInfo || {};
+        const details = [
+            `${layout.metadata?.totalFrames ?? ''}프레임`,
+            info.duration ? this.formatTimecode(info.duration, info.fps) : null,
+            info.width && info.height ? `${info.width}×${info.height}` : null,
+            info.fps ? `${Math.round(info.fps * 100) / 100}fps` : null,
+            `추출 ${new Date(layout.metadata?.extractedAt || Date.now()).toLocaleString('ko-KR')}`
+        ].filter(Boolean);
+
+        ctx.textBaseline = 'top';
+        ctx.fillStyle = '#222222';
+        ctx.font = `bold 32px ${fontFamily}`;
+        ctx.fillText(layout.videoName, margin, margin, width - margin * 2 - 120);
+
+        ctx.fillStyle = '#666666';
+        ctx.font = `18px ${fontFamily}`;
+        ctx.fillText(details.join(' · '), margin, margin + 44, width - margin * 2);
+
+        if (layout.pageCount > 1) {
+            ctx.textAlign = 'right';
+            ctx.fillText(`${layout.page} / ${layout.pageCount}`, width - margin, margin + 8);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * 썸네일 그리기 (비율 유지, 불러오지 못한 프레임은 자리 표시)
+     */
+    drawThumbnail(ctx, image, x, y, width, height) {
+        ctx.fillStyle = '#111111';
+        ctx.fillRect(x, y, width, height);
+
+        if (!image) {
+            ctx.fillStyle = '#888888';
+            ctx.font = `16px ${this.options.fontFamily}`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('미리보기 불가', x + width / 2, y + height / 2);
+            ctx.textAlign = 'left';
+            return;
+        }
+
+        const scale = Math.min(width / image.naturalWidth, height / image.naturalHeight);
+        const drawWidth = image.naturalWidth * scale;
+        const drawHeight = image.naturalHeight * scale;
+        ctx.drawImage(image, x + (width - drawWidth) / 2, y + (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    /**
+     * 장면 번호·타임코드 캡션 그리기
+     * 간격·개수·N프레임 샘플링으로 뽑은 프레임은 장면이 아니므로 샘플 번호로 표시합니다.
+     */
+    drawCaption(ctx, frame, x, y, width, fps) {
+        const hasScene = frame.sceneIndex !== null && frame.sceneIndex !== undefined;
+        let label;
+        if (hasScene) {
+            label = `장면 ${frame.sceneIndex + 1}`;
+        } else if (frame.samplingMode) {
+            label = frame.frameIndex !== undefined ? `샘플 ${frame.frameIndex}` : '';
+        } else {
+            label = frame.frameIndex !== undefined ? `장면 ${frame.frameIndex}` : (frame.filename || frame.fileName || '');
+        }
+        if (frame.scenePosition) {
+            label += ` · ${this.formatPosition(frame.scenePosition)}`;
+        }
+
+        ctx.textBaseline = 'middle';
+        ctx.font = `bold 16px ${this.options.fontFamily}`;
+        ctx.fillStyle = '#222222';
+        ctx.fillText(label, x, y + this.options.captionHeight / 2, width * 0.55);
+
+        if (typeof frame.timeSeconds === 'number') {
+            ctx.font = `15px Menlo, Consolas, monospace`;
+            ctx.fillStyle = '#666666';
+            ctx.textAlign = 'right';
+            ctx.fillText(this.formatTimecode(frame.timeSeconds, fps), x + width, y + this.options.captionHeight / 2);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * 장면 내 위치 표시 ('02of04' → '2/4')
+     */
+    formatPosition(position) {
+        const evenMatch = position.match(/^(\d+)of(\d+)$/);
+        if (evenMatch) {
+            return `${parseInt(evenMatch[1])}/${parseInt(evenMatch[2])}`;
+        }
+        return this.positionLabels[position] || position;
+    }
+
+    /**
+     * 초를 타임코드로 변환 (CutListExporter가 있으면 드롭 프레임 규칙까지 적용)
+     * @param {number} seconds - 시간 (초)
+     * @param {number} fps - 프레임 레이트 (없으면 HH:MM:SS.mmm)
+     * @returns {string} 타임코드
+     */
+    formatTimecode(seconds, fps) {
+        if (fps > 0 && typeof window.CutListExporter === 'function') {
+            return new CutListExporter().framesToTimecode(Math.round(seconds * fps), fps);
+        }
+
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+        return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs}`;
+    }
+
+    /**
+     * 이미지 파일 불러오기
+     * @param {string} imagePath - 이미지 경로
+     * @returns {Promise<HTMLImageElement|null>} 불러오지 못하면 null (예: TIFF)
+     */
+    loadImage(imagePath) {
+        return new Promise((resolve) => {
+            try {
+                const fs = this.eagleUtils?.getFS() || window.require('fs');
+                const mimeType = window.SmartFrameSelector ?
+                    SmartFrameSelector.prototype.getImageMimeType(imagePath) : 'image/jpeg';
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => {
+                    console.warn('콘택트 시트 이미지 로드 실패:', imagePath);
+                    resolve(null);
+                };
+                img.src = `data:${mimeType};base64,${fs.readFileSync(imagePath).toString('base64')}`;
+            } catch (error) {
+                console.warn('콘택트 시트 이미지 읽기 실패:', imagePath, error.message);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * 캔버스를 JPEG 버퍼로 변환
+     */
+    canvasToJpeg(canvas) {
+        const dataUrl = canvas.toDataURL('image/jpeg', this.options.jpegQuality);
+        return Buffer.from(dataUrl.split(',')[1], 'base64');
+    }
+
+    /**
+     * JPEG 페이지들로 PDF 생성 (페이지마다 이미지 1장을 DCTDecode로 그대로 포함)
+     * @param {Array} pages - [{ jpeg: Buffer, width, height }] (px)
+     * @returns {Buffer} PDF 파일 내용
+     */
+    buildPDF(pages) {
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = (data) => {
+            const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'binary');
+            chunks.push(buffer);
+            length += buffer.length;
+        };
+        const beginObject = (id) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+        };
+
+        // 객체 번호: 1 카탈로그, 2 페이지 트리, 페이지마다 (페이지, 내용, 이미지) 3개
+        const pageIds = pages.map((_, index) => 3 + index * 3);
+        const pointsPerPixel = 72 / this.options.pdfDpi;
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+        beginObject(1);
+        write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+        beginObject(2);
+        write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+        pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const width = (page.width * pointsPerPixel).toFixed(2);
+            const height = (page.height * pointsPerPixel).toFixed(2);
+            const content = `q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`;
+
+            beginObject(pageId);
+            write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+                `/Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>\nendobj\n`);
+
+            beginObject(pageId + 1);
+            write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+
+            beginObject(pageId + 2);
+            write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+            write(page.jpeg);
+            write('\nendstream\nendobj\n');
+        });
+
+        // 상호 참조 테이블 (항목마다 정확히 20바이트)
+        const objectCount = 3 + pages.length * 3;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${offsets[id].toString().padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        return Buffer.concat(chunks);
+    }
+}
+
+// 브라우저 환경에서 전역 객체로 등록
+window.ContactSheetGenerator = ContactSheetGenerator;
@@ -0,0 +1,330 @@
+/**
+ * CutListExporter - 장면 목록 내보내기 모듈
+ * 정제된 컷 포인트 구간을 CMX3600 EDL, FCPXML, CSV로 저장해 편집 프로그램에 다시 넘길 수 있게 합니다.
+ */
+
+class CutListExporter {
+    constructor(options = {}) {
+        // 의존성 주입
+        this.eagleUtils = window.eagleUtils || null;
+        this.configManager = window.configManager || null;
+
+        // 설정 초기화
+        this.options = {
+            formats: this.configManager?.get('output.sceneListFormats') || ['edl', 'fcpxml', 'csv'],
+            reelName: 'AX',                 // EDL 릴 이름 (원본이 한 개이므로 고정)
+            recordStartTimecode: '01:00:00:00', // 레코드 타임코드 시작 (드롭 프레임이면 01:00:00;00)
+            fcpxmlVersion: '1.9',
+            ...options
+        };
+
+        // 포맷 → 확장자
+        this.extensions = {
+            edl: 'edl',
+            fcpxml: 'fcpxml',
+            csv: 'csv'
+        };
+    }
+
+    /**
+     * 장면 목록을 지정한 포맷들로 저장
+     * @param {Array} segments - refineCutPointsFrameAccurate 구조의 구간 배열
+     * @param {Object} context - { videoPath, videoInfo, outputDir, inHandle, outHandle }
+     * @param {Array} formats - 저장할 포맷 목록 ('edl' | 'fcpxml' | 'csv')
+     * @returns {Promise<Array>} [{ format, path }] 저장된 파일 목록
+     */
+    async exportSceneList(segments, context, formats = this.options.formats) {
+        const fs = this.eagleUtils?.getFS() || window.require('fs');
+        const videoName = this.eagleUtils?.getBaseName(context.videoPath) || 'video';
+
+        if (this.eagleUtils) {
+            await this.eagleUtils.ensureDirectory(context.outputDir);
+        } else if (!fs.existsSync(context.outputDir)) {
+            fs.mkdirSync(context.outputDir, { recursive: true });
+        }
+
+        const exported = [];
+        for (const format of formats) {
+            if (!this.extensions[format]) {
+                console.warn(`⚠️ 지원하지 않는 장면 목록 포맷: ${format}`);
+                continue;
+            }
+
+            const content = this.render(format, segments, { ...context, videoName });
+            const fileName = `${videoName}_scenes.${this.extensions[format]}`;
+            const filePath = this.eagleUtils ?
+                this.eagleUtils.joinPath(context.outputDir, fileName) :
+                `${context.outputDir}/${fileName}`;
+
+            fs.writeFileSync(filePath, content, 'utf8');
+            exported.push({ format, path: filePath });
+        }
+
+        console.log(`📤 장면 목록 내보내기 완료: ${exported.map(file => file.format).join(', ')} (${segments.length}개 장면)`);
+        return exported;
+    }
+
+    /**
+     * 포맷별 문자열 생성
+     * @param {string} format - 'edl' | 'fcpxml' | 'csv'
+     * @param {Array} segments - 구간 배열
+     * @param {Object} context - { videoPath, videoName, videoInfo, inHandle, outHandle }
+     * @returns {string} 파일 내용
+     */
+    render(format, segments, context) {
+        switch (format) {
+            case 'edl':
+                return this.toEDL(segments, context);
+            case 'fcpxml':
+                return this.toFCPXML(segments, context);
+            case 'csv':
+                return this.toCSV(segments, context);
+            default:
+                throw new Error(`지원하지 않는 장면 목록 포맷입니다: ${format}`);
+        }
+    }
+
+    /**
+     * CMX3600 EDL 생성 (소스 = 원본 비디오 프레임, 레코드 = 장면을 이어 붙인 타임라인)
+     * 소스 타임코드는 원본의 시작 타임코드(ffprobe timecode 태그)만큼 밀어서 기록합니다.
+     * @param {Array} segments - 구간 배열
+     * @param {Object} context - { videoPath, videoName, videoInfo }
+     * @returns {string} EDL 내용
+     */
+    toEDL(segments, context) {
+        const fps = context.videoInfo.fps;
+        const sourceStart = this.getSourceStartFrame(context.videoInfo);
+        const fileName = context.videoPath.split(/[\\/]/).pop();
+        const lines = [
+            `TITLE: ${context.videoName}`,
+            `FCM: ${this.isDropFrame(fps) ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+            ''
+        ];
+
+        let recordFrame = this.timecodeToFrames(this.options.recordStartTimecode, fps) ?? 0;
+        segments.forEach((segment, index) => {
+            const eventNumber = String(index + 1).padStart(3, '0');
+            const recordOut = recordFrame + segment.frameCount;
+
+            // CMX3600 고정 칼럼: 이벤트(3) 릴(8) 트랙 전환 소스IN 소스OUT 레코드IN 레코드OUT
+            lines.push(`${eventNumber}  ${this.options.reelName.padEnd(8)} V     C        ` + [
+                this.framesToTimecode(sourceStart + segment.inFrame, fps),
+                this.framesToTimecode(sourceStart + segment.outFrame, fps),
+                this.framesToTimecode(recordFrame, fps),
+                this.framesToTimecode(recordOut, fps)
+            ].join(' '));
+            lines.push(`* FROM CLIP NAME: ${fileName}`);
+            lines.push('');
+
+            recordFrame = recordOut;
+        });
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * FCPXML 생성 (원본 비디오 하나를 참조하는 asset-clip을 spine에 나열)
+     * @param {Array} segments - 구간 배열
+     * @param {Object} context - { videoPath, videoName, videoInfo }
+     * @returns {string} FCPXML 내용
+     */
+    toFCPXML(segments, context) {
+        const { videoInfo } = context;
+        const frameDuration = this.getFrameDurationRational(videoInfo.fps);
+        const time = frames => `${frames * frameDuration.numerator}/${frameDuration.denominator}s`;
+        const tcFormat = this.isDropFrame(videoInfo.fps) ? 'DF' : 'NDF';
+        const sourceStart = this.getSourceStartFrame(videoInfo);
+        const name = this.escapeXML(context.videoName);
+
+        let offsetFrames = 0;
+        const clips = segments.map((segment, index) => {
+            const clip = `                        <asset-clip ref="r2" name="${name} Scene ${String(index + 1).padStart(3, '0')}" ` +
+                `offset="${time(offsetFrames)}" start="${time(sourceStart + segment.inFrame)}" duration="${time(segment.frameCount)}" ` +
+                `format="r1" tcFormat="${tcFormat}"/>`;
+            offsetFrames += segment.frameCount;
+            return clip;
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE fcpxml>',
+            `<fcpxml version="${this.options.fcpxmlVersion}">`,
+            '    <resources>',
+            `        <format id="r1" frameDuration="${frameDuration.numerator}/${frameDuration.denominator}s" width="${videoInfo.width}" height="${videoInfo.height}"/>`,
+            `        <asset id="r2" name="${name}" start="${time(sourceStart)}" duration="${time(videoInfo.totalFrames || Math.floor(videoInfo.duration * videoInfo.fps))}" hasVideo="1" format="r1">`,
+            `            <media-rep kind="original-media" src="${this.escapeXML(this.eagleUtils.toFileURL(context.videoPath))}"/>`,
+            '        </asset>',
+            '    </resources>',
+            '    <library>',
+            '        <event name="Video Processor">',
+            `            <project name="${name} Scenes">`,
+            `                <sequence format="r1" duration="${time(offsetFrames)}" tcStart="0s" tcFormat="${tcFormat}">`,
+            '                    <spine>',
+            ...clips,
+            '                    </spine>',
+            '                </sequence>',
+            '            </project>',
+            '        </event>',
+            '    </library>',
+            '</fcpxml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * CSV 생성 (구간 정보 전체 + 적용된 핸들)
+     * @param {Array} segments - 구간 배열
+     * @param {Object} context - { videoInfo, inHandle, outHandle }
+     * @returns {string} CSV 내용
+     */
+    toCSV(segments, context) {
+        const fps = context.videoInfo.fps;
+        const sourceStart = this.getSourceStartFrame(context.videoInfo);
+        const header = [
+            'scene', 'start_tc', 'end_tc', 'start_sec', 'end_sec', 'duration_sec',
+            'in_frame', 'out_frame', 'frame_count', 'in_handle', 'out_handle',
+            'transition_in', 'transition_out', 'clip_name'
+        ];
+
+        const rows = segments.map((segment, index) => [
+            index + 1,
+            this.framesToTimecode(sourceStart + segment.inFrame, fps),
+            this.framesToTimecode(sourceStart + segment.outFrame, fps),
+            segment.start.toFixed(3),
+            segment.end.toFixed(3),
+            segment.duration.toFixed(3),
+            segment.inFrame,
+            segment.outFrame,
+            segment.frameCount,
+            context.inHandle ?? '',
+            context.outHandle ?? '',
+            segment.transitionIn || '',
+            segment.transitionOut || '',
+            segment.clipName || ''
+        ].map(value => this.escapeCSV(value)).join(','));
+
+        // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+        return '\uFEFF' + [header.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 프레임 번호를 타임코드로 변환 (29.97/59.94는 드롭 프레임)
+     * @param {number} frames - 프레임 번호
+     * @param {number} fps - 프레임 레이트
+     * @returns {string} "HH:MM:SS:FF" 또는 "HH:MM:SS;FF"
+     */
+    framesToTimecode(frames, fps) {
+        const nominalFps = Math.round(fps);
+        const dropFrame = this.isDropFrame(fps);
+        let frameNumber = Math.max(0, Math.round(frames));
+
+        // 드롭 프레임: 건너뛴 타임코드 번호만큼 더해 표시용 번호로 변환
+        if (dropFrame) {
+            const dropFrames = nominalFps === 30 ? 2 : 4;
+            const framesPer10Minutes = nominalFps * 600 - dropFrames * 9;
+            const framesPerMinute = nominalFps * 60 - dropFrames;
+            const tenMinuteBlocks = Math.floor(frameNumber / framesPer10Minutes);
+            const remainder = frameNumber % framesPer10Minutes;
+
+            frameNumber += dropFrames * 9 * tenMinuteBlocks;
+            if (remainder > dropFrames) {
+                frameNumber += dropFrames * Math.floor((remainder - dropFrames) / framesPerMinute);
+            }
+        }
+
+        const pad = value => String(value).padStart(2, '0');
+        const hours = Math.floor(frameNumber / (nominalFps * 3600));
+        const minutes = Math.floor(frameNumber / (nominalFps * 60)) % 60;
+        const seconds = Math.floor(frameNumber / nominalFps) % 60;
+        const frameRemainder = frameNumber % nominalFps;
+
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${dropFrame ? ';' : ':'}${pad(frameRemainder)}`;
+    }
+
+    /**
+     * 타임코드를 프레임 번호로 변환 (framesToTimecode의 역변환, 29.97/59.94는 드롭 프레임)
+     * @param {string} timecode - "HH:MM:SS:FF" 또는 "HH:MM:SS;FF"
+     * @param {number} fps - 프레임 레이트
+     * @returns {number|null} 프레임 번호 (형식이 맞지 않으면 null)
+     */
+    timecodeToFrames(timecode, fps) {
+        const match = /^(\d{1,2}):(\d{2}):(\d{2})[:;.,](\d{2,3})$/.exec(String(timecode || '').trim());
+        if (!match) {
+            return null;
+        }
+
+        const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+        const nominalFps = Math.round(fps);
+        let frameNumber = ((hours * 60 + minutes) * 60 + seconds) * nominalFps + frames;
+
+        // 드롭 프레임: 10분 단위를 제외한 매 분 건너뛴 번호만큼 뺌
+        if (this.isDropFrame(fps)) {
+            const dropFrames = nominalFps === 30 ? 2 : 4;
+            const totalMinutes = hours * 60 + minutes;
+            frameNumber -= dropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+
+        return frameNumber;
+    }
+
+    /**
+     * 원본의 시작 타임코드를 프레임 번호로 (카메라 원본처럼 00:00:00:00이 아닌 경우)
+     * @param {Object} videoInfo - getVideoInfo 결과 ({ fps, timecode })
+     * @returns {number} 시작 프레임 (타임코드가 없으면 0)
+     */
+    getSourceStartFrame(videoInfo) {
+        return this.timecodeToFrames(videoInfo?.timecode, videoInfo?.fps) ?? 0;
+    }
+
+    /**
+     * NTSC 드롭 프레임 레이트 여부 (29.97, 59.94)
+     * @param {number} fps - 프레임 레이트
+     * @returns {boolean} 드롭 프레임 여부
+     */
+    isDropFrame(fps) {
+        const nominalFps = Math.round(fps);
+        return (nominalFps === 30 || nominalFps === 60) && Math.abs(fps - nominalFps * 1000 / 1001) < 0.01;
+    }
+
+    /**
+     * FCPXML frameDuration 유리수 (예: 29.97 → 1001/30000)
+     * @param {number} fps - 프레임 레이트
+     * @returns {Object} { numerator, denominator }
+     */
+    getFrameDurationRational(fps) {
+        const nominalFps = Math.round(fps);
+        if (Math.abs(fps - nominalFps * 1000 / 1001) < 0.01) {
+            return { numerator: 1001, denominator: nominalFps * 1000 };
+        }
+        if (Math.abs(fps - nominalFps) < 0.001) {
+            return { numerator: 1, denominator: nominalFps };
+        }
+        return { numerator: 100, denominator: Math.round(fps * 100) };
+    }
+
+    /**
+     * XML 특수 문자 이스케이프
+     * @param {string} value - 원본 문자열
+     * @returns {string} 이스케이프된 문자열
+     */
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * CSV 값 이스케이프 (쉼표·따옴표·줄바꿈 포함 시 따옴표로 감쌈)
+     * @param {*} value - 원본 값
+     * @returns {string} CSV 셀 문자열
+     */
+    escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// 브라우저 환경에서 전역 객체로 등록
+window.CutListExporter = CutListExporter;
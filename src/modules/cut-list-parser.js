@@ -0,0 +1,325 @@
+/**
+ * CutListParser - 편집 프로그램 컷 리스트 파서
+ * CMX3600 EDL, FCPXML, Premiere XML(xmeml)을 읽어 샷 구간(초 단위) 목록으로 변환합니다.
+ */
+
+class CutListParser {
+    constructor() {
+        // 의존성 주입
+        this.eagleUtils = window.eagleUtils || null;
+
+        // 확장자 → 포맷
+        this.extensionFormats = {
+            edl: 'edl',
+            fcpxml: 'fcpxml',
+            xml: 'xmeml'
+        };
+
+        // FCPXML 주 스토리라인에서 샷으로 취급할 요소
+        this.fcpxmlClipTags = ['asset-clip', 'clip', 'ref-clip', 'sync-clip', 'mc-clip', 'video'];
+    }
+
+    /**
+     * 컷 리스트 파일 파싱
+     * @param {string} filePath - 컷 리스트 파일 경로 (.edl, .fcpxml, .xml)
+     * @param {number} fps - 비디오 프레임 레이트 (EDL은 프레임 레이트 정보가 없어 필요)
+     * @returns {Object} { format, title, fps, events: [{ recordStart, recordEnd, sourceStart, sourceEnd, name, reel, transition }] }
+     */
+    parseFile(filePath, fps) {
+        const fs = this.eagleUtils?.getFS() || window.require('fs');
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`컷 리스트 파일을 찾을 수 없습니다: ${filePath}`);
+        }
+
+        const text = fs.readFileSync(filePath, 'utf8');
+        const format = this.detectFormat(filePath, text);
+        console.log('📄 컷 리스트 파싱 시작:', { filePath, format });
+
+        let cutList;
+        switch (format) {
+            case 'edl':
+                cutList = this.parseEDL(text, fps);
+                break;
+            case 'fcpxml':
+                cutList = this.parseFCPXML(text);
+                break;
+            case 'xmeml':
+                cutList = this.parsePremiereXML(text);
+                break;
+            default:
+                throw new Error(`지원하지 않는 컷 리스트 형식입니다: ${filePath}`);
+        }
+
+        console.log(`📄 컷 리스트 파싱 완료: ${cutList.events.length}개 샷 (${format}, ${cutList.fps?.toFixed(3)}fps)`);
+        return cutList;
+    }
+
+    /**
+     * 컷 리스트 형식 판별 (내용 우선, 없으면 확장자)
+     * @param {string} filePath - 파일 경로
+     * @param {string} text - 파일 내용
+     * @returns {string|null} 'edl' | 'fcpxml' | 'xmeml' | null
+     */
+    detectFormat(filePath, text) {
+        if (/<fcpxml[\s>]/.test(text)) return 'fcpxml';
+        if (/<xmeml[\s>]/.test(text)) return 'xmeml';
+        if (/^\s*TITLE:/m.test(text) || /^\d{3,}\s+\S+\s+\S+\s+(C|D|W\d+)\s/m.test(text)) return 'edl';
+
+        const extension = filePath.split('.').pop().toLowerCase();
+        return this.extensionFormats[extension] || null;
+    }
+
+    /**
+     * CMX3600 EDL 파싱
+     * 이벤트 줄 형식: "001  REEL  V  C  [길이]  소스IN 소스OUT 레코드IN 레코드OUT"
+     * @param {string} text - EDL 내용
+     * @param {number} fps - 프레임 레이트
+     * @returns {Object} 컷 리스트
+     */
+    parseEDL(text, fps) {
+        const timecode = '(\\d{2}[:;.]\\d{2}[:;.]\\d{2}[:;.]\\d{2})';
+        const eventPattern = new RegExp(
+            `^(\\d{3,})\\s+(\\S+)\\s+(\\S+)\\s+(C|D|W\\d+|K\\S*)\\s+(?:(\\d+)\\s+)?${timecode}\\s+${timecode}\\s+${timecode}\\s+${timecode}`
+        );
+
+        const events = [];
+        let title = '';
+        let lastEvent = null;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+
+            const titleMatch = line.match(/^TITLE:\s*(.*)$/);
+            if (titleMatch) {
+                title = titleMatch[1];
+                continue;
+            }
+
+            // 클립 이름 주석은 직전 이벤트에 붙임
+            const clipNameMatch = line.match(/^\*\s*FROM CLIP NAME:\s*(.*)$/i);
+            if (clipNameMatch && lastEvent) {
+                lastEvent.name = clipNameMatch[1].trim();
+                continue;
+            }
+
+            const match = line.match(eventPattern);
+            if (!match) continue;
+
+            const [, , reel, track, transitionCode, transitionFrames, srcIn, srcOut, recIn, recOut] = match;
+            lastEvent = null;
+
+            // 비디오 트랙(V, B=A/V)만 사용
+            if (!/^(V|B)/i.test(track)) continue;
+
+            const recordStart = this.timecodeToSeconds(recIn, fps);
+            const recordEnd = this.timecodeToSeconds(recOut, fps);
+            if (recordEnd <= recordStart) continue; // 길이 0 이벤트 (디졸브 시작점 표시용)
+
+            lastEvent = {
+                recordStart,
+                recordEnd,
+                sourceStart: this.timecodeToSeconds(srcIn, fps),
+                sourceEnd: this.timecodeToSeconds(srcOut, fps),
+                name: reel,
+                reel,
+                transition: transitionCode === 'C' ? 'cut' : (transitionCode === 'D' ? 'dissolve' : 'wipe'),
+                transitionFrames: transitionFrames ? parseInt(transitionFrames) : 0
+            };
+            events.push(lastEvent);
+        }
+
+        // 레코드 타임코드는 보통 01:00:00:00 같은 시작 타임코드를 가지므로 첫 이벤트 기준으로 0초에 맞춤
+        const timelineStart = events.length > 0 ? Math.min(...events.map(event => event.recordStart)) : 0;
+        events.forEach(event => {
+            event.recordStart -= timelineStart;
+            event.recordEnd -= timelineStart;
+        });
+
+        return { format: 'edl', title, fps, events: this.sortEvents(events) };
+    }
+
+    /**
+     * FCPXML 파싱 (주 스토리라인 spine의 직계 클립만 사용)
+     * @param {string} text - FCPXML 내용
+     * @returns {Object} 컷 리스트
+     */
+    parseFCPXML(text) {
+        const doc = this.parseXML(text);
+        const sequence = doc.querySelector('sequence');
+        if (!sequence) {
+            throw new Error('FCPXML에서 sequence를 찾을 수 없습니다.');
+        }
+
+        // 프레임 레이트: sequence가 참조하는 format의 frameDuration (예: "1001/30000s")
+        const formatElement = doc.getElementById(sequence.getAttribute('format')) ||
+            doc.querySelector(`format[id="${sequence.getAttribute('format')}"]`);
+        const frameDuration = this.parseRationalTime(formatElement?.getAttribute('frameDuration'));
+        const fps = frameDuration > 0 ? 1 / frameDuration : null;
+        const timelineStart = this.parseRationalTime(sequence.getAttribute('tcStart'));
+
+        const spine = sequence.querySelector('spine');
+        const events = [];
+
+        for (const element of Array.from(spine?.children || [])) {
+            if (!this.fcpxmlClipTags.includes(element.tagName)) continue;
+
+            const offset = this.parseRationalTime(element.getAttribute('offset'));
+            const duration = this.parseRationalTime(element.getAttribute('duration'));
+            const start = this.parseRationalTime(element.getAttribute('start'));
+            if (duration <= 0) continue;
+
+            events.push({
+                recordStart: offset - timelineStart,
+                recordEnd: offset - timelineStart + duration,
+                sourceStart: start,
+                sourceEnd: start + duration,
+                name: element.getAttribute('name') || '',
+                reel: element.getAttribute('ref') || '',
+                transition: 'cut'
+            });
+        }
+
+        const title = doc.querySelector('project')?.getAttribute('name') || '';
+        return { format: 'fcpxml', title, fps, events: this.sortEvents(events) };
+    }
+
+    /**
+     * Premiere XML(xmeml) 파싱 (첫 번째 비디오 트랙의 clipitem 사용)
+     * 전환에 걸친 clipitem은 start/end가 -1이므로 인접 transitionitem 밖으로 경계를 잡습니다.
+     * @param {string} text - xmeml 내용
+     * @returns {Object} 컷 리스트
+     */
+    parsePremiereXML(text) {
+        const doc = this.parseXML(text);
+        const sequence = doc.querySelector('sequence');
+        if (!sequence) {
+            throw new Error('Premiere XML에서 sequence를 찾을 수 없습니다.');
+        }
+
+        const rate = this.getChild(sequence, 'rate');
+        const timebase = parseFloat(this.getChildText(rate, 'timebase')) || 30;
+        const ntsc = this.getChildText(rate, 'ntsc').toUpperCase() === 'TRUE';
+        const fps = ntsc ? timebase * 1000 / 1001 : timebase;
+
+        const video = sequence.querySelector('media > video');
+        const track = video ? Array.from(video.children).find(child => child.tagName === 'track') : null;
+        const items = Array.from(track?.children || []);
+        const events = [];
+
+        items.forEach((item, index) => {
+            if (item.tagName !== 'clipitem') return;
+
+            let start = parseInt(this.getChildText(item, 'start'));
+            let end = parseInt(this.getChildText(item, 'end'));
+            const sourceIn = parseInt(this.getChildText(item, 'in')) || 0;
+            const sourceOut = parseInt(this.getChildText(item, 'out')) || 0;
+
+            // 앞/뒤 전환 구간은 제외하고 깨끗한 구간만 사용
+            const previous = items[index - 1];
+            const next = items[index + 1];
+            if (start < 0 && previous?.tagName === 'transitionitem') {
+                start = parseInt(this.getChildText(previous, 'end'));
+            }
+            if (end < 0 && next?.tagName === 'transitionitem') {
+                end = parseInt(this.getChildText(next, 'start'));
+            }
+            if (isNaN(start) || isNaN(end) || start < 0 || end <= start) return;
+
+            events.push({
+                recordStart: start / fps,
+                recordEnd: end / fps,
+                sourceStart: sourceIn / fps,
+                sourceEnd: sourceOut / fps,
+                name: this.getChildText(item, 'name'),
+                reel: this.getChildText(item, 'name'),
+                transition: previous?.tagName === 'transitionitem' ? 'dissolve' : 'cut'
+            });
+        });
+
+        const title = this.getChildText(sequence, 'name');
+        return { format: 'xmeml', title, fps, events: this.sortEvents(events) };
+    }
+
+    /**
+     * 타임코드를 초로 변환 (드롭 프레임 ";" 지원)
+     * @param {string} timecode - "HH:MM:SS:FF" 또는 "HH:MM:SS;FF"
+     * @param {number} fps - 실제 프레임 레이트 (예: 29.97)
+     * @returns {number} 초
+     */
+    timecodeToSeconds(timecode, fps) {
+        const [hours, minutes, seconds, frames] = timecode.split(/[:;.]/).map(Number);
+        const nominalFps = Math.round(fps);
+        let frameNumber = (hours * 3600 + minutes * 60 + seconds) * nominalFps + frames;
+
+        // 드롭 프레임: 10분 단위를 제외한 매 분마다 프레임 번호 2개(59.94는 4개) 건너뜀
+        if (timecode.includes(';') && (nominalFps === 30 || nominalFps === 60)) {
+            const dropFrames = nominalFps === 30 ? 2 : 4;
+            const totalMinutes = hours * 60 + minutes;
+            frameNumber -= dropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+        }
+
+        return frameNumber / fps;
+    }
+
+    /**
+     * FCPXML 유리수 시간 변환 ("1001/30000s", "5s", "3600/1s")
+     * @param {string} value - 시간 문자열
+     * @returns {number} 초 (없으면 0)
+     */
+    parseRationalTime(value) {
+        if (!value) return 0;
+
+        const match = value.trim().match(/^(-?\d+(?:\.\d+)?)(?:\/(\d+))?s?$/);
+        if (!match) return 0;
+
+        const numerator = parseFloat(match[1]);
+        const denominator = match[2] ? parseFloat(match[2]) : 1;
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+
+    /**
+     * XML 문자열 파싱
+     * @param {string} text - XML 내용
+     * @returns {Document} XML 문서
+     */
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            throw new Error('XML 파싱 실패: ' + parseError.textContent.slice(0, 200));
+        }
+        return doc;
+    }
+
+    /**
+     * 직계 자식 요소 찾기
+     * @param {Element} element - 부모 요소
+     * @param {string} tagName - 태그 이름
+     * @returns {Element|null} 자식 요소
+     */
+    getChild(element, tagName) {
+        return element ? Array.from(element.children).find(child => child.tagName === tagName) || null : null;
+    }
+
+    /**
+     * 직계 자식 요소의 텍스트
+     * @param {Element} element - 부모 요소
+     * @param {string} tagName - 태그 이름
+     * @returns {string} 텍스트 (없으면 빈 문자열)
+     */
+    getChildText(element, tagName) {
+        return this.getChild(element, tagName)?.textContent.trim() || '';
+    }
+
+    /**
+     * 레코드 시작 시각 순 정렬
+     * @param {Array} events - 이벤트 목록
+     * @returns {Array} 정렬된 이벤트 목록
+     */
+    sortEvents(events) {
+        return events.sort((a, b) => a.recordStart - b.recordStart);
+    }
+}
+
+// 브라우저 환경에서 전역 객체로 등록
+window.CutListParser = CutListParser;
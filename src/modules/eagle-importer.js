@@ -68,10 +68,12 @@ class EagleImporter {
                 folderId = await this.createVideoFolder(sourceVideoName);
             }
 
-            // 각 파일을 Eagle에 임포트
+            // 각 파일을 Eagle에 임포트 (파일별 주석이 있으면 공통 주석 대신 사용)
             for (const filePath of filePaths) {
                 try {
-                    const importResult = await this.importSingleFile(filePath, importOptions, folderId);
+                    const fileOptions = importOptions.fileAnnotations?.[filePath] ?
+                        { ...importOptions, annotation: importOptions.fileAnnotations[filePath] } : importOptions;
+                    const importResult = await this.importSingleFile(filePath, fileOptions, folderId);
                     importResults.push(importResult);
                 } catch (error) {
                     console.error('파일 임포트 실패:', filePath, error);
@@ -240,9 +242,9 @@ class EagleImporter {
             const supportedFiles = files.filter(file => {
                 const ext = path ? path.extname(file).toLowerCase() : ('.' + file.split('.').pop()).toLowerCase();
                 // 비디오 파일
-                const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv'];
+                const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv', '.webm'];
                 // 이미지 파일
-                const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+                const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.avif', '.tif', '.tiff'];
                 
                 return [...videoExtensions, ...imageExtensions].includes(ext);
             });
@@ -565,6 +567,35 @@ class EagleImporter {
         return [...baseTags, ...videoTags];
     }
 
+    /**
+     * 장면 내 프레임 위치 표시 문자열
+     * @param {string} position - 'first' | 'middle' | 'last' | '02of04'
+     * @returns {string} 예: '첫 프레임', '2/4'
+     */
+    formatScenePosition(position) {
+        const labels = { first: '첫 프레임', middle: '중간 프레임', last: '마지막 프레임' };
+        const evenMatch = position.match(/^(\d+)of(\d+)$/);
+        if (evenMatch) {
+            return `${parseInt(evenMatch[1])}/${parseInt(evenMatch[2])} (균등 분포)`;
+        }
+        return labels[position] || position;
+    }
+
+    /**
+     * 스트림 복사 클립의 시작 경계 이동 표시 문자열
+     * @param {Object} boundary - { startShift, startShiftFrames } (초·프레임, 음수면 앞당겨짐)
+     * @param {string} method - 'stream-copy' | 'smart-render'
+     * @returns {string} 예: '-0.417초 (-10프레임, 키프레임 정렬)'
+     */
+    formatBoundaryShift(boundary, method) {
+        const label = method === 'smart-render' ? '스마트 렌더' : '키프레임 정렬';
+        if (boundary.startShiftFrames === 0) {
+            return `이동 없음 (${label})`;
+        }
+        const sign = boundary.startShift > 0 ? '+' : '';
+        return `${sign}${boundary.startShift.toFixed(3)}초 (${sign}${boundary.startShiftFrames}프레임, ${label})`;
+    }
+
     /**
      * 주석 생성
      * @param {string} videoName - 비디오 이름
@@ -591,9 +622,15 @@ class EagleImporter {
         if (metadata.sceneIndex !== undefined) {
             annotation += `\n장면 순서: ${metadata.sceneIndex + 1}번째`;
         }
+        if (metadata.position) {
+            annotation += `\n장면 내 위치: ${this.formatScenePosition(metadata.position)}`;
+        }
         if (metadata.timestamp) {
             annotation += `\n비디오 시점: ${metadata.timestamp}`;
         }
+        if (metadata.boundaryShift) {
+            annotation += `\n시작 경계 이동: ${metadata.boundaryShift}`;
+        }
         
         return annotation;
     }
@@ -649,8 +686,8 @@ class EagleImporter {
         const files = fs.readdirSync(folderPath);
         const supportedFiles = files.filter(file => {
             const ext = path ? path.extname(file).toLowerCase() : ('.' + file.split('.').pop()).toLowerCase();
-            const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv'];
-            const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+            const videoExtensions = ['.mp4', '.mov', '.avi', '.mkv', '.webm'];
+            const imageExtensions = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.avif', '.tif', '.tiff'];
             return [...videoExtensions, ...imageExtensions].includes(ext);
         });
         
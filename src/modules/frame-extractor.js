@@ -140,7 +140,8 @@ class FrameExtractionPool {
             extractTime,
             task.index + 1,
             task.settings,
-            extractFrameNumber
+            extractFrameNumber,
+            task.cutPoint
         );
     }
 
@@ -179,6 +180,14 @@ class FrameExtractor {
 
         // 캐시 디렉토리는 동적으로 설정
         this.outputDir = null;
+        this.maxSamplePoints = 5000; // 샘플링 모드 최대 추출 수 (실수로 1프레임 간격을 고른 경우 방지)
+        this.letterboxOptions = {
+            samples: 5,          // 검사할 시점 수
+            framesPerSample: 10, // 시점마다 분석할 프레임 수
+            limit: 24            // 검은 띠로 볼 최대 밝기 (0-255)
+        };
+        // 브라우저(Chromium)가 직접 디코딩할 수 있는 포맷 (TIFF, 구버전 Electron의 AVIF는 대리 이미지 필요)
+        this.browserImageFormats = ['jpg', 'png', 'webp'];
         this.initialized = false;
     }
 
@@ -276,7 +285,7 @@ class FrameExtractor {
             await this.initialize(videoPath);
             
             // 설정 가져오기
-            const config = settings || this.getEffectiveConfig();
+            const config = { ...(settings || this.getEffectiveConfig()) };
             
             console.log('프레임 추출 시작:', {
                 cutPoints: cutPoints.length,
@@ -295,6 +304,9 @@ class FrameExtractor {
             
             await this.ensureOutputDirectory();
             
+            // 크기 조정·크롭·레터박스 제거 필터 (비디오마다 1번만 계산)
+            config.frameFilter = await this.buildFrameFilter(videoPath, cutPoints, config);
+            
             const extractedFrames = [];
             const totalFrames = cutPoints.length;
             let processedCount = 0;
@@ -312,21 +324,10 @@ class FrameExtractor {
             updateProgress(0, '프레임 추출 준비 중...');
             
             // 병렬 처리를 위한 준비 (M4 MAX 최적화)
-            const os = this.eagleUtils?.getNodeModule('os');
-            const cpuCount = os ? os.cpus().length : 4;
-            
             // 이미지 추출은 클립 추출보다 가벼우므로 더 많은 병렬 처리 가능
-            let maxConcurrency;
-            if (cpuCount >= 12) {
-                // M4 MAX/Pro 급 (12코어 이상): 최대 성능 활용
-                maxConcurrency = Math.min(Math.max(6, Math.floor(cpuCount * 0.9)), 16, cutPoints.length);
-            } else if (cpuCount >= 8) {
-                // M3/M2 Pro 급 (8-11코어): 적극적 활용
-                maxConcurrency = Math.min(Math.max(4, Math.floor(cpuCount * 0.8)), 10, cutPoints.length);
-            } else {
-                // 일반 CPU (8코어 미만): 안전한 활용
-                maxConcurrency = Math.min(Math.max(2, Math.floor(cpuCount * 0.6)), 6, cutPoints.length);
-            }
+            const maxConcurrency = this.eagleUtils ? 
+                this.eagleUtils.getWorkerConcurrency(cutPoints.length) : 
+                Math.min(2, cutPoints.length);
             
             // 추출 방식 결정
             let extractionResults = [];
@@ -372,9 +373,15 @@ class FrameExtractor {
             }
             
             // 결과 처리
-            const validResults = extractionResults.filter(result => result !== null);
+            let validResults = extractionResults.filter(result => result !== null);
             console.log(`🏁 프레임 추출 완료: ${validResults.length}/${totalFrames}개 프레임 추출 성공`);
             
+            // 장면별 후보 중 가장 선명하고 노출이 적절한 프레임만 남김
+            if (config.sceneFramePolicy === 'best') {
+                updateProgress(totalFrames, '장면별 최적 프레임 선택 중...');
+                validResults = await this.selectBestSceneFrames(validResults, videoPath, config);
+            }
+            
             updateProgress(totalFrames, 'Eagle 임포트 준비 중...');
             
             console.log('프레임 추출 완료:', validResults.length, '개의 프레임');
@@ -407,6 +414,483 @@ class FrameExtractor {
         }
     }
 
+    /**
+     * 샘플링 모드에 따른 추출 시점 생성 (컷 감지 대신 일정한 간격으로 추출)
+     * 컷 포인트와 같은 형태(인점 = 아웃점 = 추출 프레임)로 반환하므로 extractFrames에 그대로 전달할 수 있습니다.
+     * @param {Object} videoInfo - 비디오 정보 ({ duration, fps })
+     * @param {string} mode - 'interval' (N초마다) | 'count' (N장 균등 분포) | 'nth' (N프레임마다)
+     * @param {number} value - N
+     * @param {Object} range - { start, end } 추출 구간 (null이면 전체)
+     * @returns {Array} 추출 시점 배열
+     */
+    buildSamplePoints(videoInfo, mode, value, range = null) {
+        const fps = videoInfo.fps;
+        const firstFrame = Math.ceil((range?.start ?? 0) * fps);
+        const lastFrame = Math.max(firstFrame, Math.floor((range?.end ?? videoInfo.duration) * fps) - 1);
+        const frameSpan = lastFrame - firstFrame + 1;
+        
+        let frames = [];
+        switch (mode) {
+            case 'interval':
+            case 'nth': {
+                const step = Math.max(1, Math.round(mode === 'interval' ? value * fps : value));
+                for (let frame = firstFrame; frame <= lastFrame; frame += step) {
+                    frames.push(frame);
+                }
+                break;
+            }
+            case 'count': {
+                // 각 구간의 가운데 프레임 (처음·끝 검은 화면 회피)
+                const count = Math.min(Math.max(1, Math.round(value)), frameSpan);
+                for (let i = 0; i < count; i++) {
+                    frames.push(firstFrame + Math.floor((i + 0.5) * frameSpan / count));
+                }
+                break;
+            }
+            default:
+                throw new Error(`알 수 없는 샘플링 모드입니다: ${mode}`);
+        }
+        
+        if (frames.length > this.maxSamplePoints) {
+            throw new Error(`추출할 프레임이 너무 많습니다 (${frames.length}개, 최대 ${this.maxSamplePoints}개). 간격을 늘려 주세요.`);
+        }
+        
+        console.log(`📐 샘플링 추출 시점 생성 (${mode}, N=${value}): ${frames.length}개`);
+        return frames.map((frame, index) => {
+            const time = frame / fps;
+            return {
+                start: time,
+                end: time,
+                duration: 0,
+                inFrame: frame,
+                outFrame: frame,
+                frameCount: 0,
+                index,
+                middleFrame: frame,
+                middleTime: time,
+                samplingMode: mode
+            };
+        });
+    }
+
+    /**
+     * 장면별 추출 정책에 따라 컷 포인트를 장면당 여러 추출 시점으로 펼침
+     * @param {Array} cutPoints - 정제된 장면 구간 배열 ({ start, inFrame, outFrame })
+     * @param {string} policy - 'middle' | 'first' | 'last' | 'firstLast' | 'firstMiddleLast' | 'even' (N장 균등)
+     * @param {number} count - 'even'일 때 장면당 추출 수
+     * @param {number} fps - 프레임 레이트
+     * @returns {Array} 추출 시점 배열 (sceneIndex, scenePosition 포함)
+     */
+    expandScenePoints(cutPoints, policy, count, fps) {
+        const policies = {
+            middle: ['middle'],
+            first: ['first'],
+            last: ['last'],
+            firstLast: ['first', 'last'],
+            firstMiddleLast: ['first', 'middle', 'last']
+        };
+        if (policy !== 'even' && !policies[policy]) {
+            throw new Error(`알 수 없는 장면별 추출 정책입니다: ${policy}`);
+        }
+        
+        const points = [];
+        cutPoints.forEach((cutPoint, sceneIndex) => {
+            const inFrame = cutPoint.inFrame ?? Math.round(cutPoint.start * fps);
+            const outFrame = cutPoint.outFrame ?? Math.round(cutPoint.end * fps);
+            const lastFrame = Math.max(inFrame, outFrame - 1);
+            
+            let positions;
+            if (policy === 'even') {
+                const n = Math.min(Math.max(1, Math.round(count)), lastFrame - inFrame + 1);
+                const span = lastFrame - inFrame + 1;
+                positions = Array.from({ length: n }, (_, i) => ({
+                    label: `${String(i + 1).padStart(2, '0')}of${String(n).padStart(2, '0')}`,
+                    frame: inFrame + Math.floor((i + 0.5) * span / n)
+                }));
+            } else {
+                const frames = { first: inFrame, middle: Math.round((inFrame + lastFrame) / 2), last: lastFrame };
+                positions = policies[policy]
+                    .map(label => ({ label, frame: frames[label] }))
+                    // 한 프레임짜리 장면은 같은 프레임을 중복 추출하지 않음
+                    .filter((position, i, list) => list.findIndex(p => p.frame === position.frame) === i);
+            }
+            
+            for (const { label, frame } of positions) {
+                const time = frame / fps;
+                points.push({
+                    start: time,
+                    end: time,
+                    duration: 0,
+                    inFrame: frame,
+                    outFrame: frame,
+                    frameCount: 0,
+                    index: points.length,
+                    middleFrame: frame,
+                    middleTime: time,
+                    sceneIndex,
+                    scenePosition: label,
+                    scene: cutPoint
+                });
+            }
+        });
+        
+        console.log(`🎞️ 장면별 추출 시점 생성 (${policy}${policy === 'even' ? `, ${count}장` : ''}): ${cutPoints.length}개 장면 → ${points.length}개 프레임`);
+        return points;
+    }
+
+    /**
+     * 장면별 후보 프레임 중 품질 점수(선명도·대비·밝기)가 가장 높은 프레임 선택
+     * 선택되지 않은 후보 파일은 삭제하고, 선택된 프레임은 기본 파일명(video_frame_003)으로 바꿉니다.
+     * 브라우저가 디코딩할 수 없는 포맷(TIFF 등)은 PNG 대리 이미지로 점수를 매기고, 원본 포맷 후보를 그대로 남깁니다.
+     * @param {Array} frames - 추출된 후보 프레임 (sceneIndex 포함)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} config - 추출 설정
+     * @returns {Promise<Array>} 장면당 1장씩 선택된 프레임 배열
+     */
+    async selectBestSceneFrames(frames, videoPath, config) {
+        if (typeof window.SmartFrameSelector !== 'function') {
+            console.warn('⚠️ SmartFrameSelector 모듈이 없어 후보 프레임을 모두 유지합니다');
+            return frames;
+        }
+        
+        const selector = new SmartFrameSelector();
+        await selector.initialize();
+        
+        const fs = this.eagleUtils?.getFS() || window.require('fs');
+        const videoName = this.eagleUtils?.getBaseName(videoPath) || 'video';
+        
+        // 점수 계산용 이미지 (디코딩 가능한 포맷은 후보 파일 자체)
+        let proxies = null;
+        if (!this.browserImageFormats.includes(config.imageFormat)) {
+            proxies = await this.createProxyImages(frames.map(frame => frame.path), { format: 'png' });
+            if (proxies.paths.every(proxyPath => !proxyPath)) {
+                await this.removeProxyImages(proxies);
+                console.warn(`⚠️ ${config.imageFormat.toUpperCase()} 후보 프레임의 대리 이미지를 만들지 못해 최적 프레임 선택을 건너뜁니다 (후보 모두 유지)`);
+                return frames;
+            }
+        }
+        const scoringPaths = new Map(frames.map((frame, i) => [frame, proxies ? proxies.paths[i] : frame.path]));
+        
+        const scenes = new Map();
+        for (const frame of frames) {
+            if (!scenes.has(frame.sceneIndex)) scenes.set(frame.sceneIndex, []);
+            scenes.get(frame.sceneIndex).push(frame);
+        }
+        
+        const selected = [];
+        for (const [sceneIndex, candidates] of scenes) {
+            const scored = [];
+            for (const candidate of candidates) {
+                const scoringPath = scoringPaths.get(candidate);
+                if (!scoringPath) continue;
+                try {
+                    scored.push({ frame: candidate, quality: await selector.analyzeFrameQuality(scoringPath) });
+                } catch (error) {
+                    console.warn('후보 프레임 분석 실패:', candidate.path, error.message);
+                }
+            }
+            
+            // 분석에 모두 실패하면 가운데 후보 사용
+            scored.sort((a, b) => b.quality.score - a.quality.score);
+            const best = scored[0]?.frame || candidates[Math.floor(candidates.length / 2)];
+            
+            for (const candidate of candidates) {
+                if (candidate !== best && fs.existsSync(candidate.path)) {
+                    fs.unlinkSync(candidate.path);
+                }
+            }
+            
+            const filename = `${videoName}_frame_${(sceneIndex + 1).toString().padStart(3, '0')}.${config.imageFormat}`;
+            const outputPath = this.eagleUtils ? 
+                this.eagleUtils.joinPath(this.outputDir, filename) : 
+                `${this.outputDir}/${filename}`;
+            fs.renameSync(best.path, outputPath);
+            
+            const quality = scored[0]?.frame === best ? scored[0].quality : null;
+            console.log(`✨ 장면 ${sceneIndex + 1}: ${candidates.length}개 후보 중 ${best.scenePosition} 선택` + 
+                (quality ? ` (선명도 ${quality.sharpness.toFixed(1)}, 대비 ${quality.contrast.toFixed(1)}, 밝기 ${quality.brightness.toFixed(0)})` : ''));
+            
+            selected.push({
+                ...best,
+                path: outputPath,
+                filename,
+                frameIndex: sceneIndex + 1,
+                scenePosition: null,
+                qualityScore: quality?.score ?? null,
+                candidateCount: candidates.length
+            });
+        }
+        
+        if (proxies) {
+            await this.removeProxyImages(proxies);
+        }
+        return selected;
+    }
+
+    /**
+     * 대리 이미지 생성 (브라우저가 디코딩할 수 없는 TIFF·AVIF 프레임을 캔버스에서 읽기 위함)
+     * 이미 추출된 이미지를 FFmpeg로 다시 읽어 임시 폴더에 PNG/JPEG로 저장합니다.
+     * @param {Array<string>} imagePaths - 원본 이미지 경로 목록
+     * @param {Object} options - { format: 'png' | 'jpg', maxWidth: 최대 가로 (옵션, 축소만) }
+     * @returns {Promise<Object>} { dir, paths } (paths는 imagePaths와 같은 순서, 변환 실패 항목은 null)
+     */
+    async createProxyImages(imagePaths, options = {}) {
+        const format = options.format === 'jpg' ? 'jpg' : 'png';
+        const baseDir = this.eagleUtils ?
+            await this.eagleUtils.getCacheDirectory('temp') :
+            this.getFallbackOutputDir();
+        const dir = this.eagleUtils ?
+            this.eagleUtils.joinPath(baseDir, `proxy_${Date.now()}`) :
+            `${baseDir}/proxy_${Date.now()}`;
+        
+        if (this.eagleUtils) {
+            await this.eagleUtils.ensureDirectory(dir);
+        } else {
+            window.require('fs').mkdirSync(dir, { recursive: true });
+        }
+        
+        const filters = options.maxWidth ? ['-vf', `scale='min(${options.maxWidth},iw)':-2`] : [];
+        const encoderArgs = format === 'jpg' ? ['-q:v', '3'] : ['-c:v', 'png'];
+        
+        const paths = [];
+        for (const [i, imagePath] of imagePaths.entries()) {
+            const proxyPath = this.eagleUtils ?
+                this.eagleUtils.joinPath(dir, `proxy_${i.toString().padStart(4, '0')}.${format}`) :
+                `${dir}/proxy_${i.toString().padStart(4, '0')}.${format}`;
+            const converted = await this.convertImage([
+                '-i', imagePath,
+                '-frames:v', '1',
+                ...filters,
+                ...encoderArgs,
+                '-y',
+                proxyPath
+            ]);
+            if (!converted) {
+                console.warn('대리 이미지 생성 실패:', imagePath);
+            }
+            paths.push(converted ? proxyPath : null);
+        }
+        
+        console.log(`🖼️ 대리 이미지 생성: ${paths.filter(Boolean).length}/${imagePaths.length}개 (${format.toUpperCase()})`);
+        return { dir, paths };
+    }
+
+    /**
+     * 대리 이미지 임시 폴더 삭제
+     * @param {Object} proxies - createProxyImages 결과
+     */
+    async removeProxyImages(proxies) {
+        try {
+            const fs = this.eagleUtils?.getFS() || window.require('fs');
+            for (const proxyPath of proxies.paths) {
+                if (proxyPath && fs.existsSync(proxyPath)) {
+                    fs.unlinkSync(proxyPath);
+                }
+            }
+            if (fs.existsSync(proxies.dir) && fs.readdirSync(proxies.dir).length === 0) {
+                fs.rmdirSync(proxies.dir);
+            }
+        } catch (error) {
+            console.warn('대리 이미지 삭제 실패:', error.message);
+        }
+    }
+
+    /**
+     * FFmpeg 이미지 변환 실행
+     * @param {Array<string>} args - FFmpeg 인자
+     * @returns {Promise<boolean>} 성공 여부
+     */
+    convertImage(args) {
+        return new Promise((resolve) => {
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ?
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args);
+            } catch (error) {
+                console.warn('FFmpeg 프로세스 시작 실패:', error.message);
+                resolve(false);
+                return;
+            }
+            
+            ffmpeg.stderr?.on('data', () => {});
+            ffmpeg.on('close', (code) => resolve(code === 0));
+            ffmpeg.on('error', () => resolve(false));
+        });
+    }
+
+    /**
+     * 장면별 여러 장 추출 시 파일명 (예: video_scene_003_first.jpg, video_scene_003_02of04.jpg)
+     * @param {string} videoName - 비디오 기본 이름
+     * @param {Object} point - expandScenePoints 결과 항목
+     * @param {string} format - 이미지 포맷
+     * @returns {string} 파일명
+     */
+    getSceneFrameFileName(videoName, point, format) {
+        return `${videoName}_scene_${(point.sceneIndex + 1).toString().padStart(3, '0')}_${point.scenePosition}.${format}`;
+    }
+
+    /**
+     * 출력 프레임 필터 체인 생성 (HDR 톤 매핑 → 레터박스 제거 → 화면비 크롭 → 최대 크기 축소)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Array} cutPoints - 추출 시점 배열 (레터박스 검사 시점 선택에 사용)
+     * @param {Object} config - 설정 객체 ({ toneMapFilter, removeLetterbox, frameAspectRatio, frameMaxWidth, frameMaxHeight })
+     * @returns {Promise<string|null>} FFmpeg 비디오 필터 (적용할 것이 없으면 null)
+     */
+    async buildFrameFilter(videoPath, cutPoints, config) {
+        const filters = [];
+        
+        if (config.toneMapFilter) {
+            filters.push(config.toneMapFilter);
+        }
+        
+        if (config.removeLetterbox) {
+            const crop = await this.detectLetterbox(videoPath, cutPoints);
+            if (crop) {
+                filters.push(`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`);
+            }
+        }
+        
+        const aspect = this.parseAspectRatio(config.frameAspectRatio);
+        if (aspect) {
+            // 중앙 기준으로 지정한 화면비에 맞게 잘라냄 (짝수 크기 유지)
+            const ratio = `${aspect.width}/${aspect.height}`;
+            filters.push(`crop='trunc(min(iw,ih*${ratio})/2)*2':'trunc(min(ih,iw/(${ratio}))/2)*2'`);
+        }
+        
+        const maxWidth = parseInt(config.frameMaxWidth) || 0;
+        const maxHeight = parseInt(config.frameMaxHeight) || 0;
+        if (maxWidth > 0 && maxHeight > 0) {
+            // 원본보다 크게 확대하지 않고 두 제한 안에 들어가도록 축소
+            filters.push(`scale='min(iw,${maxWidth})':'min(ih,${maxHeight})':force_original_aspect_ratio=decrease`);
+        } else if (maxWidth > 0) {
+            filters.push(`scale='min(iw,${maxWidth})':-2`);
+        } else if (maxHeight > 0) {
+            filters.push(`scale=-2:'min(ih,${maxHeight})'`);
+        }
+        
+        if (filters.length === 0) {
+            return null;
+        }
+        
+        const frameFilter = filters.join(',');
+        console.log('🖼️ 프레임 출력 필터:', frameFilter);
+        return frameFilter;
+    }
+
+    /**
+     * 화면비 문자열 파싱
+     * @param {string} value - '16:9', '2.39:1' 등 ('original'이면 크롭하지 않음)
+     * @returns {Object|null} { width, height }
+     */
+    parseAspectRatio(value) {
+        if (!value || value === 'original') {
+            return null;
+        }
+        
+        const [width, height] = String(value).split(':').map(parseFloat);
+        if (!(width > 0) || !(height > 0)) {
+            console.warn(`⚠️ 잘못된 화면비: ${value}`);
+            return null;
+        }
+        return { width, height };
+    }
+
+    /**
+     * 레터박스/필러박스 검은 띠 감지 (cropdetect)
+     * 여러 시점의 감지 영역을 합쳐 사용하므로 어두운 장면 때문에 화면 안쪽까지 잘리지 않습니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Array} cutPoints - 추출 시점 배열
+     * @returns {Promise<Object|null>} { width, height, x, y } (감지 실패 시 null)
+     */
+    async detectLetterbox(videoPath, cutPoints) {
+        const step = Math.max(1, Math.ceil(cutPoints.length / this.letterboxOptions.samples));
+        const times = cutPoints
+            .filter((_, index) => index % step === 0)
+            .map(cutPoint => cutPoint.start + (cutPoint.duration || 0) / 2);
+        
+        let union = null;
+        for (const time of times) {
+            const crop = await this.runCropDetect(videoPath, time);
+            if (!crop) {
+                continue;
+            }
+            
+            if (!union) {
+                union = { ...crop };
+                continue;
+            }
+            const right = Math.max(union.x + union.width, crop.x + crop.width);
+            const bottom = Math.max(union.y + union.height, crop.y + crop.height);
+            union.x = Math.min(union.x, crop.x);
+            union.y = Math.min(union.y, crop.y);
+            union.width = right - union.x;
+            union.height = bottom - union.y;
+        }
+        
+        if (union) {
+            console.log(`🎬 레터박스 감지: ${union.width}x${union.height} (x: ${union.x}, y: ${union.y})`);
+        } else {
+            console.warn('⚠️ 레터박스를 감지하지 못해 원본 영역을 사용합니다');
+        }
+        return union;
+    }
+
+    /**
+     * 특정 시점에서 cropdetect 실행
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {number} time - 검사 시점 (초)
+     * @returns {Promise<Object|null>} { width, height, x, y }
+     */
+    async runCropDetect(videoPath, time) {
+        const { framesPerSample, limit } = this.letterboxOptions;
+        const args = [
+            '-ss', Math.max(0, time).toFixed(3),
+            '-i', videoPath,
+            '-frames:v', framesPerSample.toString(),
+            '-vf', `cropdetect=limit=${limit}:round=2:reset=0`,
+            '-an',
+            '-f', 'null',
+            '-'
+        ];
+        
+        return new Promise((resolve) => {
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ? 
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args);
+            } catch (error) {
+                console.warn('cropdetect 실행 실패:', error.message);
+                resolve(null);
+                return;
+            }
+            
+            let stderr = '';
+            ffmpeg.stderr.on('data', (data) => {
+                stderr += data.toString();
+            });
+            
+            ffmpeg.on('close', () => {
+                // reset=0이므로 마지막 값이 검사한 모든 프레임을 포함하는 영역
+                // (완전히 검은 프레임은 음수 크기가 나오므로 패턴에서 제외됨)
+                const matches = [...stderr.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+                const last = matches[matches.length - 1];
+                resolve(last ? {
+                    width: parseInt(last[1]),
+                    height: parseInt(last[2]),
+                    x: parseInt(last[3]),
+                    y: parseInt(last[4])
+                } : null);
+            });
+            
+            ffmpeg.on('error', (error) => {
+                console.warn('cropdetect 실행 오류:', error.message);
+                resolve(null);
+            });
+        });
+    }
+
     /**
      * 단일 프레임 추출 (개선 버전)
      * @param {string} videoPath - 비디오 파일 경로
@@ -414,15 +898,19 @@ class FrameExtractor {
      * @param {number} frameIndex - 프레임 인덱스
      * @param {Object} settings - 추출 설정
      * @param {number} frameNumber - 실제 프레임 번호 (옵션)
+     * @param {Object} cutPoint - 추출 시점 정보 (장면 내 위치가 있으면 파일명에 반영, 옵션)
      * @returns {Promise<Object>} 추출된 프레임 정보
      */
-    async extractSingleFrame(videoPath, timeSeconds, frameIndex, settings, frameNumber = null) {
+    async extractSingleFrame(videoPath, timeSeconds, frameIndex, settings, frameNumber = null, cutPoint = null) {
         return new Promise((resolve, reject) => {
             const videoName = this.eagleUtils?.getBaseName(videoPath) || 'video';
             let outputFileName;
             
-            // 분석용 프레임 추출 파일명
-            if (settings.analysisFrameNaming && settings.totalDuration > 0) {
+            // 장면별 여러 장 추출 파일명 (장면 번호 + 위치)
+            if (cutPoint?.scenePosition) {
+                outputFileName = this.getSceneFrameFileName(videoName, cutPoint, settings.imageFormat);
+            } else if (settings.analysisFrameNaming && settings.totalDuration > 0) {
+                // 분석용 프레임 추출 파일명
                 const timeRatio = (timeSeconds / settings.totalDuration).toFixed(4);
                 outputFileName = `${videoName}_${frameIndex.toString().padStart(3, '0')}_${timeRatio}.${settings.imageFormat}`;
             } else {
@@ -434,13 +922,18 @@ class FrameExtractor {
                 this.eagleUtils.joinPath(this.outputDir, outputFileName) : 
                 `${this.outputDir}/${outputFileName}`;
             
+            // 분석 구간이 지정되면 구간 시작까지 입력 탐색으로 건너뜀 (-copyts라 출력 -ss는 원본 기준 그대로)
+            const inputArgs = settings.range ?
+                ['-ss', Math.min(settings.range.start, timeSeconds).toFixed(3), '-i', videoPath] :
+                ['-i', videoPath];
+            
             // FFmpeg 명령어 구성 (정확한 프레임 추출 - Accurate Seeking)
             const args = [
-                '-i', videoPath,
+                ...inputArgs,
                 '-ss', timeSeconds.toString(),  // -ss를 -i 뒤에 두어 정확한 프레임 추출
                 '-frames:v', '1',
-                '-vf', 'select=gte(n\\,0)',  // 첫 번째 프레임 선택
-                '-q:v', this.mapQualityToFFmpeg(settings.quality, settings.imageFormat),
+                '-vf', settings.frameFilter ? `select=gte(n\\,0),${settings.frameFilter}` : 'select=gte(n\\,0)',  // 첫 번째 프레임 선택 (+ 크기 조정·크롭)
+                ...this.getImageEncoderArgs(settings.imageFormat, settings.quality, settings.imageEncoder),
                 '-vsync', 'vfr',  // 가변 프레임 레이트 동기화
                 '-copyts',  // 원본 타임스탬프 복사
                 '-y', // 파일 덮어쓰기
@@ -491,6 +984,9 @@ class FrameExtractor {
                     timeSeconds: timeSeconds,
                     frameIndex: frameIndex,
                     frameNumber: frameNumber, // 실제 프레임 번호 추가
+                    sceneIndex: cutPoint?.sceneIndex ?? null,
+                    scenePosition: cutPoint?.scenePosition || null,
+                    samplingMode: cutPoint?.samplingMode || null,
                     fileSize: stats.size,
                     format: settings.imageFormat,
                     quality: settings.quality,
@@ -507,19 +1003,58 @@ class FrameExtractor {
     /**
      * 품질 설정을 FFmpeg 매개변수로 변환
      * @param {number} quality - 품질 (1-10)
-     * @param {string} format - 이미지 포맷 (jpg/png)
+     * @param {string} format - 이미지 포맷 (jpg/png/webp/avif/tiff)
      * @returns {string} FFmpeg 품질 매개변수
      */
     mapQualityToFFmpeg(quality, format) {
         if (format === 'png') {
             // PNG는 무손실이므로 압축 레벨 사용 (0-9, 낮을수록 빠름)
             return Math.max(1, 10 - quality).toString();
+        } else if (format === 'webp') {
+            // WebP는 품질 사용 (0-100, 높을수록 높은 품질)
+            return Math.min(100, Math.max(10, quality * 10)).toString();
+        } else if (format === 'avif') {
+            // AVIF는 CRF 사용 (0-63, 낮을수록 높은 품질)
+            return Math.min(63, Math.max(10, Math.round((10 - quality) * 5) + 15)).toString();
         } else {
             // JPG는 품질 사용 (1-31, 낮을수록 높은 품질)
             return Math.max(1, Math.ceil((11 - quality) * 3)).toString();
         }
     }
 
+    /**
+     * 이미지 포맷별 FFmpeg 인코더 인자 생성
+     * @param {string} format - 이미지 포맷 (jpg/png/webp/avif/tiff)
+     * @param {number} quality - 품질 (1-10)
+     * @param {string} encoder - 사용할 인코더 (AVIF처럼 빌드마다 다른 경우, 옵션)
+     * @returns {Array<string>} FFmpeg 인자 배열
+     */
+    getImageEncoderArgs(format, quality, encoder = null) {
+        const value = this.mapQualityToFFmpeg(quality, format);
+        
+        switch (format) {
+            case 'webp':
+                return ['-c:v', 'libwebp', '-quality', value];
+            case 'avif': {
+                const avifEncoder = encoder || 'libaom-av1';
+                if (avifEncoder === 'librav1e') {
+                    // rav1e는 CRF 대신 양자화값 사용 (0-255)
+                    return ['-c:v', avifEncoder, '-qp', (parseInt(value, 10) * 4).toString()];
+                }
+                const args = ['-c:v', avifEncoder, '-crf', value];
+                if (avifEncoder === 'libaom-av1') {
+                    args.push('-b:v', '0', '-still-picture', '1', '-cpu-used', '6');
+                }
+                return args;
+            }
+            case 'tiff':
+                // 16비트 RGB 무손실 (품질 설정은 사용하지 않음)
+                return ['-c:v', 'tiff', '-pix_fmt', 'rgb48le', '-compression_algo', 'deflate'];
+            default:
+                return ['-q:v', value];
+        }
+    }
+
     /**
      * 프레임 메타데이터 생성 (개선 버전)
      * @param {string} videoPath - 원본 비디오 경로
@@ -663,7 +1198,9 @@ class FrameExtractor {
     async extractSingleFrameFast(videoPath, point, config) {
         return new Promise((resolve, reject) => {
             const videoName = this.eagleUtils?.getBaseName(videoPath) || 'video';
-            const outputFileName = `${videoName}_frame_${point.index.toString().padStart(3, '0')}.${config.imageFormat}`;
+            const outputFileName = point.cutPoint?.scenePosition ?
+                this.getSceneFrameFileName(videoName, point.cutPoint, config.imageFormat) :
+                `${videoName}_frame_${point.index.toString().padStart(3, '0')}.${config.imageFormat}`;
             const outputPath = this.eagleUtils ? 
                 this.eagleUtils.joinPath(this.outputDir, outputFileName) : 
                 `${this.outputDir}/${outputFileName}`;
@@ -673,7 +1210,8 @@ class FrameExtractor {
                 '-ss', point.time.toString(),      // 시간 먼저 지정 (중요!)
                 '-i', videoPath,                   // 입력 파일
                 '-frames:v', '1',                  // 1프레임만 추출
-                '-q:v', this.mapQualityToFFmpeg(config.quality, config.imageFormat),
+                ...(config.frameFilter ? ['-vf', config.frameFilter] : []), // 크기 조정·크롭
+                ...this.getImageEncoderArgs(config.imageFormat, config.quality, config.imageEncoder),
                 '-y',                              // 덮어쓰기
                 outputPath
             ];
@@ -716,6 +1254,9 @@ class FrameExtractor {
                         frameNumber: point.index,
                         fileSize: stats?.size || 0,
                         formattedSize: stats ? this.formatFileSize(stats.size) : '0 bytes',
+                        sceneIndex: point.cutPoint?.sceneIndex ?? null,
+                        scenePosition: point.cutPoint?.scenePosition || null,
+                        samplingMode: point.cutPoint?.samplingMode || null,
                         cutPoint: point.cutPoint
                     });
                 } else {
@@ -26,6 +26,23 @@ class SmartFrameSelector {
         this.initialized = false;
     }
 
+    /**
+     * 이미지 경로의 MIME 타입 결정
+     * @param {string} imagePath - 이미지 경로
+     * @returns {string} MIME 타입
+     */
+    getImageMimeType(imagePath) {
+        const ext = imagePath.toLowerCase().split('.').pop();
+        const mimeTypes = {
+            png: 'image/png',
+            webp: 'image/webp',
+            avif: 'image/avif',
+            tif: 'image/tiff',
+            tiff: 'image/tiff'
+        };
+        return mimeTypes[ext] || 'image/jpeg';
+    }
+
     /**
      * 파일 경로에서 이미지 로드 (최적화된 버전)
      * @param {string} imagePath - 이미지 경로
@@ -38,7 +55,7 @@ class SmartFrameSelector {
                 // M4 MAX의 전용 메모리를 활용한 고속 로딩
                 const buffer = fs.readFileSync(imagePath);
                 const base64 = buffer.toString('base64');
-                const mimeType = imagePath.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
+                const mimeType = this.getImageMimeType(imagePath);
                 
                 // 데이터 URL로 직접 로드 (전용 메모리 활용)
                 img.src = `data:${mimeType};base64,${base64}`;
@@ -297,6 +314,51 @@ class SmartFrameSelector {
         });
     }
 
+    /**
+     * 단일 프레임 품질 분석 (선명도·대비·밝기, 장면별 최적 프레임 선택용)
+     * 선명도 비교가 목적이므로 비율을 유지한 채 축소합니다.
+     * @param {string} imagePath - 이미지 경로
+     * @returns {Promise<Object>} { sharpness, contrast, brightness, score }
+     */
+    async analyzeFrameQuality(imagePath) {
+        await this.initialize();
+        
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            
+            img.onload = () => {
+                try {
+                    const targetWidth = Math.min(480, img.width);
+                    const targetHeight = Math.max(1, Math.round(img.height * targetWidth / img.width));
+                    
+                    this.canvas.width = targetWidth;
+                    this.canvas.height = targetHeight;
+                    this.ctx.imageSmoothingEnabled = true;
+                    this.ctx.imageSmoothingQuality = 'high';
+                    this.ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
+                    
+                    const imageData = this.ctx.getImageData(0, 0, targetWidth, targetHeight);
+                    const quality = {
+                        sharpness: this.calculateSharpness(imageData),
+                        contrast: this.calculateContrast(imageData),
+                        brightness: this.calculateBrightness(imageData)
+                    };
+                    quality.score = this.calculateQualityScore(quality);
+                    
+                    resolve(quality);
+                } catch (error) {
+                    reject(new Error(`이미지 품질 분석 실패: ${error.message}`));
+                }
+            };
+            
+            img.onerror = () => {
+                reject(new Error(`이미지 로드 실패: ${imagePath}`));
+            };
+            
+            this.loadImageFromPath(imagePath, img);
+        });
+    }
+
     /**
      * 파일 경로에서 이미지 로드
      * @param {string} imagePath - 이미지 경로
@@ -308,7 +370,7 @@ class SmartFrameSelector {
             if (fs && fs.existsSync(imagePath)) {
                 const buffer = fs.readFileSync(imagePath);
                 const base64 = buffer.toString('base64');
-                const mimeType = imagePath.toLowerCase().endsWith('.png') ? 'image/png' : 'image/jpeg';
+                const mimeType = this.getImageMimeType(imagePath);
                 img.src = `data:${mimeType};base64,${base64}`;
             } else {
                 // 폴백: 직접 경로 사용 (보안 정책에 따라 제한될 수 있음)
@@ -23,6 +23,48 @@ class VideoAnalyzer {
 
         // 임시 디렉토리는 동적으로 설정
         this.tempDir = null;
+        this.sceneIndexDir = null;
+        this.sceneIndexVersion = 3; // 인덱스 구조가 바뀌면 올려서 이전 캐시 무효화
+        this.sceneScoreCache = new Map(); // 비디오 식별 키 → 장면 분석 결과 (점수·밝기 곡선 + 블랙 구간)
+        
+        // 적응형 감지 파라미터 (PySceneDetect AdaptiveDetector 방식)
+        this.adaptiveOptions = {
+            windowFrames: 2,        // 앞뒤로 비교할 이웃 프레임 수
+            minScore: 0.05,         // 이 점수 미만은 비율이 커도 무시 (정지 화면 노이즈)
+            ratioScale: 10,         // 민감도 → 비율 임계값 배수 (0.3 → 3.0배)
+            flashFrames: 8          // 이 프레임 수 안에 스파이크가 두 번 나오면 플래시로 간주
+        };
+        
+        // 페이드/디졸브 감지 파라미터 (밝기 YAVG는 0~255)
+        this.transitionOptions = {
+            blackMinDuration: 0.1,  // blackdetect 최소 블랙 길이 (초)
+            blackPixelThreshold: 0.10, // blackdetect 픽셀 밝기 임계값 (0~1)
+            fadeLumaStep: 0.3,      // 페이드로 볼 프레임당 최소 밝기 변화
+            maxFadeSeconds: 3.0,    // 블랙 구간 앞뒤로 페이드를 확장할 최대 길이
+            dissolveMinScore: 0.02, // 디졸브 구간 프레임의 최소 장면 점수
+            dissolveMinSeconds: 0.3, // 디졸브 최소 길이
+            dissolveMaxSeconds: 3.0, // 디졸브 최대 길이 (더 길면 카메라 움직임으로 간주)
+            dissolveLumaDelta: 8,   // 디졸브 전후 최소 밝기 차이
+            dissolveTrendRatio: 0.7, // 같은 방향으로 변하는 프레임 비율
+            edgeTolerance: 0.2      // 전환 구간 경계 근처의 하드 컷은 전환에 흡수
+        };
+        
+        // 구간 병렬 장면 감지 파라미터 (긴 비디오를 겹치는 구간으로 나눠 FFmpeg 여러 개로 디코딩)
+        this.parallelDetectionOptions = {
+            minDuration: 600,       // 이보다 짧은 분석 구간은 단일 프로세스로 감지 (초)
+            minSegmentDuration: 120, // 구간 하나의 최소 길이 (초)
+            overlap: 2              // 앞 구간과 겹쳐 디코딩할 길이 (경계 프레임의 장면 점수 확보용, 초)
+        };
+        
+        // 오디오 기반 컷 파라미터
+        this.audioOptions = {
+            beatSnapTolerance: 0.15, // 영상 컷을 비트로 옮길 최대 거리 (초)
+            beatsPerCut: 4          // 오디오 전용 모드에서 컷 사이 비트 수 (4 = 4/4박자 한 마디)
+        };
+        this.audioAnalysisCache = new Map(); // 비디오(+구간) 캐시 키 → 오디오 분석 결과
+        
+        // 최소 장면 길이 기본값 (설정에서 초 또는 프레임 단위로 덮어씀)
+        this.defaultMinSceneLength = { value: 1.0, unit: 'seconds' };
         this.initialized = false;
     }
 
@@ -37,11 +79,17 @@ class VideoAnalyzer {
                 await this.eagleUtils.getCacheDirectory('temp') :
                 this.getFallbackTempDir();
 
+            // 장면 인덱스는 라이브러리 캐시에 보관하여 다음 실행에서 재사용
+            this.sceneIndexDir = this.eagleUtils ? 
+                await this.eagleUtils.getCacheDirectory('scene-index') :
+                this.tempDir;
+
             console.log('VideoAnalyzer 초기화 완료, 임시 디렉토리:', this.tempDir);
             this.initialized = true;
         } catch (error) {
             console.error('VideoAnalyzer 초기화 실패:', error);
             this.tempDir = this.getFallbackTempDir();
+            this.sceneIndexDir = this.tempDir;
             this.initialized = true;
         }
     }
@@ -91,13 +139,16 @@ class VideoAnalyzer {
      * 컷 변화 감지 메인 함수
      * @param {string} videoPath - 비디오 파일 경로
      * @param {number} sensitivity - 감지 민감도 (0.1 ~ 1.0)
-     * @param {function} progressCallback - 진행률 콜백
+     * @param {function} progressCallback - 진행률 콜백 (progress 0~1, message)
      * @param {Object} ffmpegPaths - ffmpeg, ffprobe 경로 (선택사항)
      * @param {number} inHandle - In 포인트 핸들 (프레임 수)
      * @param {number} outHandle - Out 포인트 핸들 (프레임 수)
-     * @returns {Promise<Array>} 컷 포인트 배열
+     * @param {Object} detectionOptions - { detectionMode: 'threshold' | 'adaptive', minSceneLength, minSceneLengthUnit: 'seconds' | 'frames' }
+     *                                   { range: { start, end } } 분석 구간 (초, 원본 파일 기준)
+     *                                   { audioMode: 'off' | 'snap' | 'audio', beatSnapTolerance, beatsPerCut } 오디오 기반 컷
+     * @returns {Promise<Array>} 컷 포인트 배열 (시간은 구간을 지정해도 원본 파일 기준)
      */
-    async detectCutChanges(videoPath, sensitivity = 0.3, progressCallback = null, ffmpegPaths = null, inHandle = 3, outHandle = 3) {
+    async detectCutChanges(videoPath, sensitivity = 0.3, progressCallback = null, ffmpegPaths = null, inHandle = 3, outHandle = 3, detectionOptions = {}) {
         try {
             console.log('컷 변화 감지 시작:', videoPath);
             
@@ -111,16 +162,64 @@ class VideoAnalyzer {
             }
             
             // 1단계: 비디오 정보 가져오기
-            if (progressCallback) progressCallback(0.1);
+            if (progressCallback) progressCallback(0.1, '비디오 정보 확인 중...');
             const videoInfo = await this.getVideoInfo(videoPath);
+            const range = this.normalizeRange(detectionOptions.range, videoInfo);
+            if (range) {
+                console.log(`⏱️ 분석 구간 지정: ${range.start.toFixed(3)}s ~ ${range.end.toFixed(3)}s`);
+            }
+            
+            // 오디오 전용 모드: 영상 디코딩 없이 비트·무음 구간으로 컷 생성
+            const audioMode = detectionOptions.audioMode || 'off';
+            if (audioMode === 'audio') {
+                const audio = await this.getAudioAnalysis(videoPath, videoInfo, (ratio) => {
+                    if (progressCallback) progressCallback(0.3 + ratio * 0.6, `오디오 분석 중... ${Math.round(ratio * 100)}%`);
+                }, range);
+                
+                if (progressCallback) progressCallback(0.9, '컷 포인트 정제 중...');
+                const audioCuts = this.buildAudioCutList(audio, { ...detectionOptions, fps: videoInfo.fps });
+                const refinedAudioCuts = this.refineCutPointsFrameAccurate(audioCuts, videoInfo, inHandle, outHandle, {
+                    ...detectionOptions,
+                    range
+                });
+                
+                console.log('오디오 컷 감지 완료:', refinedAudioCuts.length, '개의 컷 포인트');
+                if (progressCallback) progressCallback(1.0);
+                return refinedAudioCuts;
+            }
+            
+            // 2단계: 장면 점수·밝기 곡선 확보 (인덱스 캐시 → 없으면 FFmpeg 디코딩, 성능 프로파일에 따라 축소 디코딩)
+            if (progressCallback) progressCallback(0.3, '장면 분석 준비 중...');
+            const proxy = this.getProxyOptions(detectionOptions.performanceProfile, videoInfo);
+            if (proxy) {
+                console.log(`⚡ 축소 디코딩으로 장면 감지: 폭 ${proxy.width}px, ${proxy.frameStep}프레임 간격`);
+            }
+            const analysis = await this.getSceneAnalysis(videoPath, videoInfo, progressCallback, range, proxy);
             
-            // 2단계: 장면 변화 감지 (FFmpeg select filter 사용)
-            if (progressCallback) progressCallback(0.3);
-            const cutPoints = await this.detectSceneChanges(videoPath, sensitivity, progressCallback);
+            // 3단계: 민감도로 재임계 후 컷 포인트 정제 및 검증 (프레임 단위로)
+            if (progressCallback) progressCallback(0.9, '컷 포인트 정제 중...');
+            let cuts = this.buildCutList(analysis, sensitivity, { ...detectionOptions, fps: videoInfo.fps });
+            if (analysis.proxy) {
+                // 축소 분석의 후보 컷은 원본 해상도로 주변 프레임을 다시 디코딩해 정확한 위치로 보정
+                cuts = await this.refineCandidateCuts(videoPath, cuts, videoInfo, analysis.proxy, progressCallback);
+            }
             
-            // 3단계: 컷 포인트 정제 및 검증 (프레임 단위로)
-            if (progressCallback) progressCallback(0.9);
-            const refinedCutPoints = this.refineCutPointsFrameAccurate(cutPoints, videoInfo, inHandle, outHandle);
+            // 비트 맞춤 모드: 허용 범위 안의 가장 가까운 비트로 하드 컷 이동 (오디오가 없으면 영상 컷 그대로 사용)
+            if (audioMode === 'snap' && cuts.length > 0) {
+                try {
+                    const audio = await this.getAudioAnalysis(videoPath, videoInfo, (ratio) => {
+                        if (progressCallback) progressCallback(0.9, `오디오 비트 분석 중... ${Math.round(ratio * 100)}%`);
+                    }, range);
+                    cuts = this.snapCutsToBeats(cuts, audio.beats, detectionOptions.beatSnapTolerance ?? this.audioOptions.beatSnapTolerance);
+                } catch (audioError) {
+                    console.warn('⚠️ 오디오 분석 실패, 비트 맞춤 없이 진행:', audioError.message);
+                }
+            }
+            
+            const refinedCutPoints = this.refineCutPointsFrameAccurate(cuts, videoInfo, inHandle, outHandle, {
+                ...detectionOptions,
+                range
+            });
             
             console.log('컷 변화 감지 완료:', refinedCutPoints.length, '개의 컷 포인트');
             
@@ -133,6 +232,409 @@ class VideoAnalyzer {
         }
     }
 
+    /**
+     * 외부 컷 리스트(EDL, FCPXML, Premiere XML)로 구간 생성
+     * 감지 대신 편집자가 확정한 샷 경계를 그대로 사용하며, 반환 구조는 refineCutPointsFrameAccurate와 같습니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {string} cutListPath - 컷 리스트 파일 경로
+     * @param {Object} options - { inHandle, outHandle, timeBase: 'record'(편집본 타임라인) | 'source'(원본 소스), range: { start, end } }
+     * @returns {Promise<Array>} 구간 배열 (이 비디오에 해당하는 샷이 없으면 빈 배열)
+     */
+    async importCutList(videoPath, cutListPath, options = {}) {
+        const { inHandle = 0, outHandle = 0, timeBase = 'record' } = options;
+
+        if (!this.ffmpegPaths) {
+            throw new Error('FFmpeg 경로가 설정되지 않았습니다.');
+        }
+        if (typeof window.CutListParser !== 'function') {
+            throw new Error('CutListParser 모듈을 찾을 수 없습니다');
+        }
+
+        const videoInfo = await this.getVideoInfo(videoPath);
+        const parser = new CutListParser();
+        const cutList = parser.parseFile(cutListPath, videoInfo.fps);
+
+        let events = cutList.events;
+        if (timeBase === 'source') {
+            // 원본 소스 기준이면 이 비디오 파일 이름과 일치하는 샷만 사용
+            // 클립 이름은 확장자를 뺀 이름이 정확히 같아야 하고, 릴 이름은 파일명의 첫 토큰과 같아야 함
+            // (카메라 원본 A001C003_200101.mov ↔ 릴 A001C003, "AX"·"001" 같은 짧은 릴이 엉뚱한 파일과 맞지 않도록)
+            const videoName = (this.eagleUtils?.getBaseName(videoPath) || '').toLowerCase();
+            const leadingToken = videoName.split(/[\s_.-]+/)[0];
+            const stripExtension = name => (name || '').trim().toLowerCase().replace(/\.[^.]+$/, '');
+            events = events.filter(event => {
+                const clipName = stripExtension(event.name);
+                const reel = (event.reel || '').trim().toLowerCase();
+                return (clipName && clipName === videoName) || (reel && (reel === videoName || reel === leadingToken));
+            });
+        }
+
+        // 원본에 시작 타임코드가 있으면 소스 타임코드를 파일 기준 시간으로 되돌림 (00:00:00:00 기준 목록은 그대로)
+        const timecodeOffset = timeBase === 'source' && videoInfo.timecode ?
+            parser.timecodeToSeconds(videoInfo.timecode, videoInfo.fps) : 0;
+        const sourceOffset = timecodeOffset > 0 && events.every(event => event.sourceStart >= timecodeOffset) ?
+            timecodeOffset : 0;
+
+        let ranges = events.map(event => ({
+            start: timeBase === 'source' ? event.sourceStart - sourceOffset : event.recordStart,
+            end: timeBase === 'source' ? event.sourceEnd - sourceOffset : event.recordEnd,
+            name: event.name,
+            transition: event.transition
+        }));
+
+        // 분석 구간이 지정되면 구간과 겹치는 샷만 구간 안으로 잘라서 사용
+        const analysisRange = this.normalizeRange(options.range, videoInfo);
+        if (analysisRange) {
+            ranges = ranges
+                .filter(range => range.end > analysisRange.start && range.start < analysisRange.end)
+                .map(range => ({
+                    ...range,
+                    start: Math.max(range.start, analysisRange.start),
+                    end: Math.min(range.end, analysisRange.end)
+                }));
+        }
+
+        console.log(`📄 컷 리스트 적용 (${timeBase}): ${ranges.length}/${cutList.events.length}개 샷`);
+        return this.buildSegmentsFromRanges(ranges, videoInfo, inHandle, outHandle, cutList.format);
+    }
+
+    /**
+     * 시간 구간 목록을 프레임 정확 구간 배열로 변환 (refineCutPointsFrameAccurate와 같은 구조)
+     * @param {Array} ranges - [{ start, end, name, transition }] 초 단위 구간
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {number} inHandle - In 포인트 핸들 (프레임 수)
+     * @param {number} outHandle - Out 포인트 핸들 (프레임 수)
+     * @param {string} sourceFormat - 구간 출처 ('edl' | 'fcpxml' | 'xmeml')
+     * @returns {Array} 구간 배열
+     */
+    buildSegmentsFromRanges(ranges, videoInfo, inHandle, outHandle, sourceFormat) {
+        const fps = videoInfo.fps;
+        const frameTime = videoInfo.frameTime;
+        const totalFrames = Math.floor(videoInfo.duration * fps);
+        const segments = [];
+
+        for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+            const inFrame = Math.max(0, Math.round(range.start * fps) + inHandle);
+            const outFrame = Math.min(totalFrames, Math.round(range.end * fps) - outHandle);
+
+            if (outFrame <= inFrame) {
+                console.log(`⚠️ 컷 리스트 샷 스킵: 비디오 범위 밖이거나 너무 짧음 - ${range.name || ''} (${range.start.toFixed(2)}s ~ ${range.end.toFixed(2)}s)`);
+                continue;
+            }
+
+            const middleFrame = Math.round((inFrame + outFrame) / 2);
+            segments.push({
+                start: inFrame * frameTime,
+                end: outFrame * frameTime,
+                duration: (outFrame - inFrame) * frameTime,
+                inFrame: inFrame,
+                outFrame: outFrame,
+                frameCount: outFrame - inFrame,
+                index: segments.length,
+                // 이미지 추출용 중간 프레임 정보
+                middleFrame: middleFrame,
+                middleTime: middleFrame * frameTime,
+                // 컷 리스트 정보
+                clipName: range.name || '',
+                transitionIn: range.transition || 'cut',
+                cutListFormat: sourceFormat
+            });
+        }
+
+        console.log(`🎬 컷 리스트 구간 생성 완료: ${segments.length}개 구간`);
+        return segments;
+    }
+
+    /**
+     * 장면 분석 결과 가져오기 (메모리 → 장면 인덱스 → FFmpeg 디코딩 순)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {function} progressCallback - 진행률 콜백
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @param {Object} proxy - { width, frameStep } 축소 디코딩 옵션 (null이면 원본 해상도)
+     * @returns {Promise<Object>} { sceneScores: [{ time, score, luma }], blackSegments: [{ start, end }], videoInfo, proxy }
+     */
+    async getSceneAnalysis(videoPath, videoInfo, progressCallback = null, range = null, proxy = null) {
+        const cacheKey = this.getSceneScoreCacheKey(videoPath);
+        const cached = this.sceneScoreCache.get(cacheKey);
+        if (cached && this.isAnalysisReusable(cached, proxy)) {
+            return this.sliceAnalysis(cached, range);
+        }
+
+        let sceneIndex = this.isSceneIndexEnabled() ? 
+            await this.loadSceneIndex(videoPath, {}) : null;
+        if (sceneIndex && !this.isAnalysisReusable(sceneIndex, proxy)) {
+            console.log('장면 인덱스가 축소 디코딩 결과라 원본 해상도로 재감지');
+            sceneIndex = null;
+        }
+        
+        // 전체 분석 결과가 없으면 지정 구간만 디코딩 (장면 인덱스는 전체 분석만 저장)
+        if (!sceneIndex && range) {
+            const rangeKey = this.getRangeCacheKey(cacheKey, range);
+            const cachedRange = this.sceneScoreCache.get(rangeKey);
+            if (cachedRange && this.isAnalysisReusable(cachedRange, proxy)) {
+                return cachedRange;
+            }
+            
+            const detection = await this.runSceneDetection(videoPath, progressCallback, videoInfo, range, proxy);
+            const rangeAnalysis = { ...detection, videoInfo, range, proxy };
+            if (this.isDetectionComplete(detection, range, videoInfo, proxy)) {
+                this.sceneScoreCache.set(rangeKey, rangeAnalysis);
+            }
+            return rangeAnalysis;
+        }
+        
+        let analysis;
+        if (sceneIndex) {
+            console.log('♻️ 장면 인덱스 재사용:', sceneIndex.sceneScores.length, '개 프레임 점수');
+            analysis = {
+                sceneScores: sceneIndex.sceneScores,
+                blackSegments: sceneIndex.blackSegments || [],
+                videoInfo: sceneIndex.videoInfo || videoInfo,
+                proxy: sceneIndex.proxy || null
+            };
+        } else {
+            const detection = await this.runSceneDetection(videoPath, progressCallback, videoInfo, null, proxy);
+            analysis = { ...detection, videoInfo, proxy };
+            
+            // 디코딩이 중간에 실패한 점수 곡선은 이번 실행에만 쓰고 저장하지 않음
+            if (!this.isDetectionComplete(detection, { start: 0, end: videoInfo.duration }, videoInfo, proxy)) {
+                return this.sliceAnalysis(analysis, range);
+            }
+            
+            if (this.isSceneIndexEnabled()) {
+                await this.saveSceneIndex(videoPath, {}, analysis);
+            }
+        }
+
+        this.sceneScoreCache.set(cacheKey, analysis);
+        return this.sliceAnalysis(analysis, range);
+    }
+
+    /**
+     * 장면 감지 결과가 구간 끝까지 온전한지 확인 (캐시·장면 인덱스 저장 조건)
+     * 모든 FFmpeg 프로세스가 정상 종료했고 마지막 점수가 구간 끝 몇 프레임 안에 있어야 합니다.
+     * @param {Object} detection - runSceneDetection 결과 ({ sceneScores, complete })
+     * @param {Object} span - { start, end } 분석한 구간 (초)
+     * @param {Object} videoInfo - 비디오 정보 객체 (fps)
+     * @param {Object} proxy - { frameStep } 축소 디코딩 옵션 (프레임을 건너뛰면 허용 범위도 늘림)
+     * @returns {boolean} 저장해도 되는지 여부
+     */
+    isDetectionComplete(detection, span, videoInfo, proxy = null) {
+        const lastScore = detection.sceneScores[detection.sceneScores.length - 1];
+        const frameTime = videoInfo?.fps > 0 ? 1 / videoInfo.fps : 0.04;
+        const tolerance = (proxy?.frameStep || 1) * 2 * frameTime + frameTime;
+        const spanEnd = Math.min(span.end, videoInfo?.videoDuration || span.end);
+        const complete = detection.complete && !!lastScore && lastScore.time >= spanEnd - tolerance;
+        
+        if (!complete) {
+            console.warn('⚠️ 장면 감지 결과가 불완전해 캐시·장면 인덱스에 저장하지 않음:', {
+                exitedCleanly: detection.complete,
+                lastScoreTime: lastScore?.time ?? null,
+                spanEnd
+            });
+        }
+        return complete;
+    }
+
+    /**
+     * 저장된 분석 결과를 이번 요청에 재사용할 수 있는지 확인
+     * 원본 해상도 분석은 항상 재사용하고, 축소 디코딩 결과는 같은 축소 옵션일 때만 재사용합니다.
+     * @param {Object} analysis - 저장된 분석 결과 ({ proxy })
+     * @param {Object} proxy - 이번 요청의 축소 디코딩 옵션
+     * @returns {boolean} 재사용 가능 여부
+     */
+    isAnalysisReusable(analysis, proxy) {
+        if (!analysis.proxy) return true;
+        return !!proxy && analysis.proxy.width === proxy.width && analysis.proxy.frameStep === proxy.frameStep;
+    }
+
+    /**
+     * 성능 프로파일에서 축소 디코딩 옵션 결정
+     * @param {string} profileName - 'fast' | 'balanced' | 'quality'
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @returns {Object|null} { width, frameStep } 또는 null (원본 해상도로 감지)
+     */
+    getProxyOptions(profileName, videoInfo) {
+        const profile = this.configManager?.getPerformanceProfile(profileName);
+        if (!profile?.proxyDetection) return null;
+
+        const width = profile.proxyWidth;
+        const frameStep = Math.max(1, profile.proxyFrameStep || 1);
+
+        // 이미 작은 비디오를 프레임 건너뛰기 없이 축소하는 것은 의미 없음
+        if (videoInfo.width <= width && frameStep === 1) return null;
+
+        return { width, frameStep };
+    }
+
+    /**
+     * 분석 구간 정규화 (비디오 길이로 제한, 전체와 같으면 null)
+     * @param {Object} range - { start, end } 초 단위 (end가 없으면 끝까지)
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @returns {Object|null} { start, end } 또는 null (전체 구간)
+     */
+    normalizeRange(range, videoInfo) {
+        if (!range) return null;
+
+        const duration = videoInfo.duration;
+        const start = Math.min(Math.max(range.start || 0, 0), duration);
+        const end = range.end !== null && range.end !== undefined ? Math.min(range.end, duration) : duration;
+
+        if (end <= start) {
+            throw new Error(`분석 구간이 올바르지 않습니다 (${start.toFixed(1)}s ~ ${end.toFixed(1)}s)`);
+        }
+        if (start === 0 && end === duration) return null;
+
+        return { start, end };
+    }
+
+    /**
+     * 구간 분석 결과의 메모리 캐시 키
+     * @param {string} cacheKey - 비디오 캐시 키
+     * @param {Object} range - { start, end }
+     * @returns {string} 캐시 키
+     */
+    getRangeCacheKey(cacheKey, range) {
+        return `${cacheKey}@${range.start.toFixed(3)}-${range.end.toFixed(3)}`;
+    }
+
+    /**
+     * 전체 분석 결과에서 구간에 해당하는 점수·블랙 구간만 추출
+     * @param {Object} analysis - { sceneScores, blackSegments, videoInfo }
+     * @param {Object} range - { start, end } (null이면 그대로 반환)
+     * @returns {Object} 구간 분석 결과
+     */
+    sliceAnalysis(analysis, range) {
+        if (!range) return analysis;
+
+        return {
+            ...analysis,
+            // 구간 첫 프레임은 구간 밖과 비교한 점수이므로 제외
+            sceneScores: analysis.sceneScores.filter(entry => entry.time > range.start && entry.time < range.end),
+            blackSegments: analysis.blackSegments
+                .filter(segment => segment.end > range.start && segment.start < range.end)
+                .map(segment => ({
+                    start: Math.max(segment.start, range.start),
+                    end: Math.min(segment.end, range.end)
+                })),
+            range
+        };
+    }
+
+    /**
+     * 메모리 점수 캐시 키 (같은 경로라도 파일이 바뀌면 다른 키)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @returns {string} 캐시 키
+     */
+    getSceneScoreCacheKey(videoPath) {
+        const stats = this.eagleUtils?.getFileStats(videoPath);
+        return stats ? `${videoPath}:${stats.size}:${stats.mtimeMs}` : videoPath;
+    }
+
+    /**
+     * 민감도 변경 시 예상 컷 수 미리보기 (디코딩 없이 저장된 점수 곡선만 사용)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {number} sensitivity - 감지 민감도
+     * @param {Object} detectionOptions - { detectionMode, minSceneLength, minSceneLengthUnit, range }
+     * @returns {Promise<number|null>} 예상 컷 포인트 수 또는 null (아직 분석되지 않은 경우)
+     */
+    async previewCutCount(videoPath, sensitivity, detectionOptions = {}) {
+        const cacheKey = this.getSceneScoreCacheKey(videoPath);
+        let analysis = this.sceneScoreCache.get(cacheKey);
+
+        if (!analysis && this.isSceneIndexEnabled()) {
+            const sceneIndex = await this.loadSceneIndex(videoPath, {});
+            if (sceneIndex) {
+                analysis = {
+                    sceneScores: sceneIndex.sceneScores,
+                    blackSegments: sceneIndex.blackSegments || [],
+                    videoInfo: sceneIndex.videoInfo,
+                    proxy: sceneIndex.proxy || null
+                };
+                this.sceneScoreCache.set(cacheKey, analysis);
+            }
+        }
+
+        if (analysis) {
+            const videoRange = analysis.videoInfo ? this.normalizeRange(detectionOptions.range, analysis.videoInfo) : null;
+            analysis = this.sliceAnalysis(analysis, videoRange);
+        } else if (detectionOptions.range && this.ffmpegPaths) {
+            // 같은 구간만 분석한 결과가 있으면 그것으로 미리보기
+            const videoRange = this.normalizeRange(detectionOptions.range, await this.getVideoInfo(videoPath));
+            analysis = videoRange ? this.sceneScoreCache.get(this.getRangeCacheKey(cacheKey, videoRange)) : null;
+        }
+
+        if (!analysis) return null;
+        return this.buildCutList(analysis, sensitivity, {
+            ...detectionOptions,
+            fps: analysis.videoInfo?.fps
+        }).length;
+    }
+
+    /**
+     * 컷 검토 타임라인용 썸네일 스트립 생성 (가로로 이어 붙인 한 장의 이미지)
+     * 키프레임만 디코딩하므로 긴 비디오도 빠르게 만들 수 있습니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {number} count - 썸네일 개수
+     * @param {Object} range - { start, end } 분석 구간 (없으면 전체)
+     * @returns {Promise<string|null>} 스트립 이미지 경로 또는 null (생성 실패)
+     */
+    async generateThumbnailStrip(videoPath, videoInfo, count = 24, range = null) {
+        await this.ensureTempDirectory();
+
+        const path = this.eagleUtils?.getNodeModule('path');
+        const baseName = this.eagleUtils ? this.eagleUtils.getBaseName(videoPath) : 'video';
+        const outputPath = path ?
+            path.join(this.tempDir, `${baseName}_timeline.jpg`) :
+            `${this.tempDir}/${baseName}_timeline.jpg`;
+
+        const seekArgs = range ? ['-ss', range.start.toFixed(3), '-to', range.end.toFixed(3)] : [];
+        const stripDuration = range ? range.end - range.start : videoInfo.duration;
+        const args = [
+            '-skip_frame', 'nokey',
+            ...seekArgs,
+            '-i', videoPath,
+            '-vf', `fps=${count}/${Math.max(stripDuration, 1).toFixed(3)},scale=160:-2,tile=${count}x1`,
+            '-frames:v', '1',
+            '-q:v', '5',
+            '-y',
+            outputPath
+        ];
+
+        return new Promise((resolve) => {
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ?
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args);
+            } catch (error) {
+                console.warn('썸네일 스트립 생성 실패:', error.message);
+                resolve(null);
+                return;
+            }
+
+            // stderr를 비워 두지 않으면 파이프가 차서 FFmpeg가 멈출 수 있음
+            ffmpeg.stderr.on('data', () => {});
+
+            ffmpeg.on('close', (code) => {
+                // 썸네일은 검토 보조용이므로 실패해도 타임라인은 표시
+                if (code !== 0) {
+                    console.warn('썸네일 스트립 생성 실패: FFmpeg 종료 코드', code);
+                    resolve(null);
+                    return;
+                }
+                resolve(outputPath);
+            });
+
+            ffmpeg.on('error', (error) => {
+                console.warn('썸네일 스트립 생성 실패:', error.message);
+                resolve(null);
+            });
+        });
+    }
+
     /**
      * 비디오 메타데이터 가져오기 (main.js 호환성)
      * @param {string} videoPath - 비디오 파일 경로
@@ -196,15 +698,34 @@ class VideoAnalyzer {
                     const fps = eval(videoStream.r_frame_rate); // "25/1" 형태를 숫자로 변환
                     const frameTime = 1 / fps; // 한 프레임의 시간
                     
+                    // HDR 전달 특성 (PQ: HDR10/돌비 비전, HLG: 아이폰·방송 카메라)
+                    const colorTransfer = videoStream.color_transfer || null;
+                    const hdr = colorTransfer === 'smpte2084' ? 'pq' :
+                        colorTransfer === 'arib-std-b67' ? 'hlg' : null;
+                    
                     resolve({
                         duration: parseFloat(info.format.duration),
+                        videoDuration: parseFloat(videoStream.duration) || null, // 영상 스트림 길이 (오디오가 더 길면 컨테이너 길이보다 짧음)
                         width: videoStream.width,
                         height: videoStream.height,
                         fps: fps,
                         frameTime: frameTime,
                         totalFrames: Math.floor(parseFloat(info.format.duration) * fps),
                         codec: videoStream.codec_name,
-                        bitrate: parseInt(info.format.bit_rate)
+                        bitrate: parseInt(info.format.bit_rate),
+                        hasAudio: info.streams.some(s => s.codec_type === 'audio'),
+                        pixelFormat: videoStream.pix_fmt || null,
+                        profile: videoStream.profile || null,   // 스마트 렌더 시 원본과 같은 SPS로 인코딩하기 위한 값
+                        level: videoStream.level > 0 ? videoStream.level : null,
+                        refs: videoStream.refs || null,
+                        // 시작 타임코드 (MOV는 tmcd 데이터 스트림, MXF·MP4는 포맷 태그에 기록되는 경우가 많음)
+                        timecode: videoStream.tags?.timecode ||
+                            info.streams.find(s => s.tags?.timecode)?.tags.timecode ||
+                            info.format.tags?.timecode || null,
+                        colorTransfer,
+                        colorPrimaries: videoStream.color_primaries || null,
+                        colorSpace: videoStream.color_space || null,
+                        hdr
                     });
                 } catch (parseError) {
                     reject(new Error('비디오 정보 파싱 실패: ' + parseError.message));
@@ -215,23 +736,56 @@ class VideoAnalyzer {
 
     /**
      * 장면 변화 감지 (FFmpeg select filter 사용)
+     * 모든 프레임의 장면 점수를 한 번에 기록하므로 민감도 변경 시 재디코딩이 필요 없습니다.
+     * 같은 패스에서 프레임 평균 밝기(signalstats)와 블랙 구간(blackdetect)도 수집해 페이드/디졸브 감지에 사용합니다.
+     * 진행률은 FFmpeg -progress 출력의 처리 시각을 실제 비디오 길이로 나눠 계산합니다.
+     * 구간을 지정하면 입력 탐색(-ss/-to)으로 해당 부분만 디코딩하고 시간은 원본 파일 기준으로 되돌려 기록합니다.
+     * 축소 옵션을 지정하면 저해상도·프레임 건너뛰기 스트림으로 점수를 계산합니다 (컷 위치는 refineCandidateCuts로 보정).
      * @param {string} videoPath - 비디오 파일 경로
-     * @param {number} sensitivity - 감지 민감도
-     * @param {function} progressCallback - 진행률 콜백
-     * @returns {Promise<Array>} 시간 기반 컷 포인트 배열
+     * @param {function} progressCallback - 진행률 콜백 (progress 0~1, message)
+     * @param {number} duration - 분석할 길이 (초, 진행률 계산용)
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @param {Object} proxy - { width, frameStep } 축소 디코딩 옵션 (null이면 원본 해상도)
+     * @returns {Promise<Object>} { sceneScores: [{ time, score, luma }], blackSegments: [{ start, end }], complete: FFmpeg 정상 종료 여부 }
      */
-    async detectSceneChanges(videoPath, sensitivity, progressCallback) {
+    async detectSceneChanges(videoPath, progressCallback, duration = 0, range = null, proxy = null) {
         return new Promise((resolve, reject) => {
             console.log('FFmpeg 장면 변화 감지 시작:', {
                 videoPath,
-                sensitivity,
+                duration,
                 ffmpegPath: this.ffmpegPaths.ffmpeg
             });
             
-            // FFmpeg 명령어 구성 - 장면 변화 감지
+            // FFmpeg 명령어 구성 - 모든 프레임의 장면 점수·평균 밝기 출력 (임계값은 나중에 메모리에서 적용)
+            // 진행 상황은 stdout의 -progress 키=값 블록으로 받음
+            const { blackMinDuration, blackPixelThreshold } = this.transitionOptions;
+            const filters = [
+                `select='gte(scene,0)'`,
+                'metadata=print:key=lavfi.scene_score',
+                'signalstats',
+                'metadata=print:key=lavfi.signalstats.YAVG',
+                `blackdetect=d=${blackMinDuration}:pix_th=${blackPixelThreshold}`
+            ];
+            
+            // 축소 디코딩: 프레임 건너뛰기 + 빠른 축소 후 점수 계산 (하드웨어와 무관한 디코더 옵션만 사용)
+            const decodeArgs = [];
+            if (proxy) {
+                filters.unshift(`scale='min(${proxy.width},iw)':-2:flags=fast_bilinear`);
+                if (proxy.frameStep > 1) {
+                    filters.unshift(`framestep=${proxy.frameStep}`);
+                }
+                decodeArgs.push('-skip_loop_filter', 'all', '-flags2', '+fast');
+            }
+            
+            const seekArgs = range ? ['-ss', range.start.toFixed(3), '-to', range.end.toFixed(3)] : [];
+            const timeOffset = range ? range.start : 0; // 입력 탐색 후 타임스탬프는 0부터 시작
             const args = [
+                '-nostats',
+                '-progress', 'pipe:1',
+                ...decodeArgs,
+                ...seekArgs,
                 '-i', videoPath,
-                '-filter:v', `select='gt(scene,${sensitivity})',showinfo`,
+                '-filter:v', filters.join(','),
                 '-f', 'null',
                 '-'
             ];
@@ -249,46 +803,71 @@ class VideoAnalyzer {
             }
             
             let stderr = '';
-            let cutPoints = [];
+            let lineBuffer = '';
+            let sceneScores = [];
+            let blackSegments = [];
+            let currentTime = null;
             let totalFrames = 0;
+            let progressBuffer = '';
+            const startedAt = Date.now();
+            
+            // -progress 출력 파싱: out_time_us(마이크로초) 기준으로 실제 길이 대비 진행률과 ETA 계산
+            ffmpeg.stdout.on('data', (data) => {
+                const lines = (progressBuffer + data.toString()).split('\n');
+                progressBuffer = lines.pop();
+                
+                for (const line of lines) {
+                    const outTimeMatch = line.match(/^out_time_(?:us|ms)=(\d+)/);
+                    if (!outTimeMatch || !progressCallback) continue;
+                    
+                    const processed = parseInt(outTimeMatch[1]) / 1000000;
+                    this.reportDetectionProgress(progressCallback, processed, duration, startedAt);
+                }
+            });
             
             ffmpeg.stderr.on('data', (data) => {
                 const output = data.toString();
-                stderr += output;
+                // 프레임마다 출력되므로 진단용으로 마지막 부분만 보관
+                stderr = (stderr + output).slice(-4000);
                 
-                // 디버깅: FFmpeg 출력 로그
-                if (output.includes('pts_time') || output.includes('time=')) {
-                    console.log('FFmpeg 출력:', output.trim());
-                }
+                // 청크 경계에서 잘린 줄은 다음 청크와 합쳐서 파싱
+                const lines = (lineBuffer + output).split('\n');
+                lineBuffer = lines.pop();
                 
-                // showinfo 필터의 출력에서 타임스탬프 추출
-                const lines = output.split('\n');
                 for (const line of lines) {
-                    // pts_time 추출 (장면 변화 시점)
+                    // metadata 필터 출력: "frame:N pts:M pts_time:T" 다음 줄에 "lavfi.scene_score=S"
                     const ptsMatch = line.match(/pts_time:(\d+\.?\d*)/);  
                     if (ptsMatch) {
                         const time = parseFloat(ptsMatch[1]);
-                        if (!isNaN(time) && time > 0) {
-                            cutPoints.push(time);
-                            console.log('장면 변화 감지:', time, '초');
-                        }
+                        currentTime = !isNaN(time) && time > 0 ? time : null;
+                    }
+                    
+                    const scoreMatch = line.match(/lavfi\.scene_score=(\d+\.?\d*)/);
+                    if (scoreMatch && currentTime !== null) {
+                        sceneScores.push({ time: currentTime + timeOffset, score: parseFloat(scoreMatch[1]) });
+                    }
+                    
+                    // 같은 프레임의 평균 밝기는 직전 점수 항목에 붙임
+                    const lumaMatch = line.match(/lavfi\.signalstats\.YAVG=(\d+\.?\d*)/);
+                    const lastEntry = sceneScores[sceneScores.length - 1];
+                    if (lumaMatch && lastEntry && lastEntry.time === currentTime + timeOffset) {
+                        lastEntry.luma = parseFloat(lumaMatch[1]);
+                    }
+                    
+                    // blackdetect 출력: "black_start:1.2 black_end:2.3 black_duration:1.1"
+                    const blackMatch = line.match(/black_start:(\d+\.?\d*)\s+black_end:(\d+\.?\d*)/);
+                    if (blackMatch) {
+                        blackSegments.push({
+                            start: parseFloat(blackMatch[1]) + timeOffset,
+                            end: parseFloat(blackMatch[2]) + timeOffset
+                        });
                     }
                     
                     // 프레임 카운터 추출
-                    const frameMatch = line.match(/n:(\d+)/);
+                    const frameMatch = line.match(/frame:(\d+)/);
                     if (frameMatch) {
                         totalFrames = parseInt(frameMatch[1]);
                     }
-                    
-                    // 진행률 업데이트
-                    const timeMatch = line.match(/time=(\d+):(\d+):(\d+\.\d+)/);
-                    if (timeMatch && progressCallback) {
-                        const [, hours, minutes, seconds] = timeMatch;
-                        const currentTime = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseFloat(seconds);
-                        // 대략적인 진행률 계산
-                        const estimatedProgress = Math.min(currentTime / 120, 0.8); // 최대 80%
-                        progressCallback(0.3 + estimatedProgress * 0.5);
-                    }
                 }
             });
 
@@ -296,48 +875,798 @@ class VideoAnalyzer {
                 console.log('FFmpeg 장면 변화 감지 완료:', {
                     code,
                     totalFrames,
-                    cutPointsFound: cutPoints.length,
+                    scoredFrames: sceneScores.length,
+                    blackSegments: blackSegments.length,
+                    elapsedSeconds: ((Date.now() - startedAt) / 1000).toFixed(1),
                     stderr: stderr.slice(-500) // 마지막 500자만 로그
                 });
                 
-                if (code !== 0 && cutPoints.length === 0) {
-                    console.warn('FFmpeg 종료 코드:', code, '하지만 처리 계속');
+                if (code !== 0) {
+                    console.warn('FFmpeg 종료 코드:', code, '하지만 처리 계속 (결과는 저장하지 않음)');
                 }
                 
-                // 중복 제거 및 정렬
-                const uniqueCutPoints = [...new Set(cutPoints)].sort((a, b) => a - b);
-                
-                // 최소 간격 필터링 (1초 이상 차이나는 것만)
-                const filteredCutPoints = [];
-                let lastTime = -1;
+                resolve({ sceneScores, blackSegments, complete: code === 0 });
+            });
+
+            ffmpeg.on('error', (error) => {
+                console.error('FFmpeg 장면 변화 감지 프로세스 오류:', error);
+                reject(new Error(`FFmpeg 프로세스 시작 실패: ${error.message}`));
+            });
+        });
+    }
+
+    /**
+     * 오디오 분석 결과 가져오기 (메모리 캐시 → 없으면 AudioAnalyzer로 디코딩)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {function} progressCallback - 진행 콜백 (ratio 0~1)
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @returns {Promise<Object>} { silences, onsets, beats, tempo }
+     */
+    async getAudioAnalysis(videoPath, videoInfo, progressCallback = null, range = null) {
+        if (videoInfo.hasAudio === false) {
+            throw new Error('오디오 트랙이 없습니다');
+        }
+        if (typeof window.AudioAnalyzer !== 'function') {
+            throw new Error('AudioAnalyzer 모듈을 찾을 수 없습니다');
+        }
+        
+        const cacheKey = this.getSceneScoreCacheKey(videoPath);
+        const key = range ? this.getRangeCacheKey(cacheKey, range) : cacheKey;
+        if (this.audioAnalysisCache.has(key)) {
+            return this.audioAnalysisCache.get(key);
+        }
+        
+        const duration = range ? range.end - range.start : videoInfo.duration;
+        const audioAnalyzer = new AudioAnalyzer(this.ffmpegPaths);
+        const audio = await audioAnalyzer.analyze(videoPath, range, (processed) => {
+            if (progressCallback && duration > 0) progressCallback(Math.min(processed / duration, 1));
+        });
+        
+        this.audioAnalysisCache.set(key, audio);
+        return audio;
+    }
+
+    /**
+     * 오디오 분석 결과로 컷 목록 생성 (오디오 전용 모드)
+     * beatsPerCut 비트마다 컷을 두고, 무음 구간의 시작·끝에도 컷을 둡니다.
+     * @param {Object} audio - { silences, beats }
+     * @param {Object} options - { beatsPerCut, minSceneLength, minSceneLengthUnit, fps }
+     * @returns {Array} [{ time, transitionType: 'cut', start, end }] 시간순 컷 목록
+     */
+    buildAudioCutList(audio, options = {}) {
+        const beatsPerCut = Math.max(1, Math.round(options.beatsPerCut || this.audioOptions.beatsPerCut));
+        const beatCuts = audio.beats.filter((_, index) => index > 0 && index % beatsPerCut === 0);
+        const silenceCuts = audio.silences.flatMap(silence => [silence.start, silence.end]);
+        
+        // 최소 장면 길이보다 가까운 컷은 무음 경계를 우선해 제거
+        const fps = options.fps || 30;
+        const minSceneFrames = this.getMinSceneFrames(options, fps);
+        const candidates = [
+            ...silenceCuts.map(time => ({ time, priority: 1 })),
+            ...beatCuts.map(time => ({ time, priority: 0 }))
+        ].sort((a, b) => b.priority - a.priority || a.time - b.time);
+        
+        const kept = [];
+        for (const candidate of candidates) {
+            const frame = Math.round(candidate.time * fps);
+            if (frame > 0 && kept.every(time => Math.abs(Math.round(time * fps) - frame) >= minSceneFrames)) {
+                kept.push(candidate.time);
+            }
+        }
+        
+        console.log(`🎵 오디오 컷 생성 (${beatsPerCut}비트 간격, 무음 ${audio.silences.length}개 구간, 템포 ${audio.tempo ? audio.tempo.toFixed(1) : '-'} BPM): ${kept.length}개`);
+        return kept.sort((a, b) => a - b).map(time => ({ time, transitionType: 'cut', start: time, end: time }));
+    }
+
+    /**
+     * 하드 컷을 허용 범위 안의 가장 가까운 비트로 이동 (페이드·디졸브는 그대로)
+     * @param {Array} cuts - buildCutList 결과 [{ time, transitionType, start, end }]
+     * @param {Array} beats - 비트 시각 목록 (오름차순, 초)
+     * @param {number} tolerance - 최대 이동 거리 (초)
+     * @returns {Array} 비트에 맞춘 컷 목록 (같은 비트로 모인 컷은 하나로 합침)
+     */
+    snapCutsToBeats(cuts, beats, tolerance) {
+        if (beats.length === 0) return cuts;
+        
+        let snappedCount = 0;
+        const snapped = cuts.map(cut => {
+            if (cut.transitionType !== 'cut') return cut;
+            
+            // 이진 탐색으로 가장 가까운 비트 찾기
+            let low = 0;
+            let high = beats.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (beats[mid] < cut.time) low = mid + 1;
+                else high = mid;
+            }
+            const nearest = [beats[low], beats[low - 1]]
+                .filter(beat => beat !== undefined)
+                .reduce((best, beat) => Math.abs(beat - cut.time) < Math.abs(best - cut.time) ? beat : best);
+            
+            if (Math.abs(nearest - cut.time) > tolerance) return cut;
+            snappedCount++;
+            return { ...cut, time: nearest, start: nearest, end: nearest };
+        });
+        
+        const unique = snapped
+            .sort((a, b) => a.time - b.time)
+            .filter((cut, index, list) => index === 0 || cut.time !== list[index - 1].time);
+        
+        console.log(`🎵 비트 맞춤: ${snappedCount}/${cuts.length}개 컷 이동 (허용 ±${tolerance}s)`);
+        return unique;
+    }
+
+    /**
+     * 장면 감지 실행 (분석 구간이 길면 구간 병렬, 아니면 단일 FFmpeg 프로세스)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {function} progressCallback - 진행률 콜백
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체)
+     * @param {Object} proxy - { width, frameStep } 축소 디코딩 옵션
+     * @returns {Promise<Object>} { sceneScores, blackSegments, complete }
+     */
+    async runSceneDetection(videoPath, progressCallback, videoInfo, range = null, proxy = null) {
+        const span = range || { start: 0, end: videoInfo?.duration || 0 };
+        const spanDuration = span.end - span.start;
+        const { minDuration, minSegmentDuration } = this.parallelDetectionOptions;
+        const parallelEnabled = this.configManager ? 
+            this.configManager.get('processing.parallelDetection') !== false : true;
+        
+        const segmentCount = parallelEnabled && this.eagleUtils && spanDuration >= minDuration ?
+            this.eagleUtils.getWorkerConcurrency(Math.floor(spanDuration / minSegmentDuration)) : 1;
+        
+        if (segmentCount < 2) {
+            return this.detectSceneChanges(videoPath, progressCallback, spanDuration, range, proxy);
+        }
+        return this.detectSceneChangesParallel(videoPath, progressCallback, span, segmentCount, proxy);
+    }
+
+    /**
+     * 구간 병렬 장면 감지
+     * 각 구간은 앞 구간과 overlap만큼 겹쳐 디코딩하고, 병합할 때는 자기 구간의 점수만 남겨 경계 중복을 제거합니다.
+     * 경계에 걸친 블랙 구간은 양쪽 결과를 이어 붙입니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {function} progressCallback - 진행률 콜백
+     * @param {Object} span - { start, end } 전체 분석 구간 (초)
+     * @param {number} segmentCount - 나눌 구간 수 (= 동시 실행 FFmpeg 수)
+     * @param {Object} proxy - { width, frameStep } 축소 디코딩 옵션
+     * @returns {Promise<Object>} { sceneScores, blackSegments, complete }
+     */
+    async detectSceneChangesParallel(videoPath, progressCallback, span, segmentCount, proxy = null) {
+        const { overlap } = this.parallelDetectionOptions;
+        const segmentLength = (span.end - span.start) / segmentCount;
+        const segments = Array.from({ length: segmentCount }, (_, i) => {
+            const start = span.start + i * segmentLength;
+            const end = i === segmentCount - 1 ? span.end : start + segmentLength;
+            return { start, end, decodeStart: Math.max(span.start, start - overlap) };
+        });
+        
+        console.log(`🚀 구간 병렬 장면 감지: ${segmentCount}개 구간 (구간당 약 ${this.formatSeconds(segmentLength)})`);
+        
+        // 구간별 처리 시각을 합산해 전체 진행률·ETA 보고
+        const totalDecode = segments.reduce((sum, seg) => sum + (seg.end - seg.decodeStart), 0);
+        const processed = new Array(segmentCount).fill(0);
+        const startedAt = Date.now();
+        
+        const results = await Promise.all(segments.map((segment, i) => {
+            const decodeDuration = segment.end - segment.decodeStart;
+            const segmentProgress = progressCallback ? (progress) => {
+                // 구간별 콜백은 0.3~0.9로 매핑돼 오므로 처리 시각으로 되돌림
+                processed[i] = Math.max(0, (progress - 0.3) / 0.6) * decodeDuration;
+                const total = processed.reduce((sum, value) => sum + value, 0);
+                this.reportDetectionProgress(progressCallback, total, totalDecode, startedAt);
+            } : null;
+            
+            return this.detectSceneChanges(videoPath, segmentProgress, decodeDuration, 
+                { start: segment.decodeStart, end: segment.end }, proxy);
+        }));
+        
+        const sceneScores = results.flatMap((result, i) => result.sceneScores.filter(entry => 
+            entry.time >= segments[i].start && (i === segmentCount - 1 || entry.time < segments[i].end)));
+        const blackSegments = this.mergeBlackSegments(results.flatMap(result => result.blackSegments));
+        
+        // 한 구간이라도 실패하면 병합 결과에 구멍이 생기므로 불완전으로 표시
+        const complete = results.every(result => result.complete);
+        
+        console.log('구간 병렬 장면 감지 병합 완료:', {
+            scoredFrames: sceneScores.length,
+            blackSegments: blackSegments.length,
+            failedSegments: results.filter(result => !result.complete).length,
+            elapsedSeconds: ((Date.now() - startedAt) / 1000).toFixed(1)
+        });
+        
+        return { sceneScores, blackSegments, complete };
+    }
+
+    /**
+     * 겹치거나 맞닿은 블랙 구간 병합 (구간 경계에서 잘린 블랙 구간 복원)
+     * @param {Array} blackSegments - [{ start, end }]
+     * @returns {Array} 시간순으로 병합된 블랙 구간
+     */
+    mergeBlackSegments(blackSegments) {
+        const merged = [];
+        const tolerance = 0.05;
+        
+        for (const segment of [...blackSegments].sort((a, b) => a.start - b.start)) {
+            const last = merged[merged.length - 1];
+            if (last && segment.start <= last.end + tolerance) {
+                last.end = Math.max(last.end, segment.end);
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * 축소 분석으로 찾은 하드 컷 후보를 원본 해상도로 보정
+     * 페이드·디졸브는 구간 단위라 축소 결과를 그대로 사용합니다.
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Array} candidates - buildCutList 결과 [{ time, transitionType, start, end }]
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {Object} proxy - { width, frameStep } 축소 디코딩 옵션
+     * @param {function} progressCallback - 진행률 콜백
+     * @returns {Promise<Array>} 보정된 컷 목록
+     */
+    async refineCandidateCuts(videoPath, candidates, videoInfo, proxy, progressCallback = null) {
+        const hardCuts = candidates.filter(cut => cut.transitionType === 'cut');
+        const windowFrames = proxy.frameStep + 2; // 건너뛴 프레임 + 앞뒤 여유
+        const batchSize = 4;
+        let done = 0;
+        
+        for (let i = 0; i < hardCuts.length; i += batchSize) {
+            const batch = hardCuts.slice(i, i + batchSize);
+            await Promise.all(batch.map(async (cut) => {
+                const exactTime = await this.findExactCutTime(videoPath, cut.time, videoInfo, windowFrames);
+                if (exactTime !== null) {
+                    cut.time = cut.start = cut.end = exactTime;
+                }
+            }));
+            
+            done += batch.length;
+            if (progressCallback) progressCallback(0.9, `컷 위치 정밀 보정 중... ${done}/${hardCuts.length}`);
+        }
+        
+        console.log('🎯 후보 컷 정밀 보정 완료:', hardCuts.length, '개');
+        return candidates.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 후보 시각 주변을 원본 해상도로 디코딩해 장면 점수가 가장 큰 프레임 시각 찾기
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {number} time - 후보 컷 시각 (초)
+     * @param {Object} videoInfo - 비디오 정보 객체
+     * @param {number} windowFrames - 후보 앞뒤로 확인할 프레임 수
+     * @returns {Promise<number|null>} 보정된 시각 (실패 시 null)
+     */
+    findExactCutTime(videoPath, time, videoInfo, windowFrames) {
+        return new Promise((resolve) => {
+            // 창 첫 프레임은 비교 대상이 없어 점수가 0이므로 한 프레임 더 앞에서 시작
+            const start = Math.max(0, time - (windowFrames + 1) * videoInfo.frameTime);
+            const end = Math.min(videoInfo.duration, time + windowFrames * videoInfo.frameTime);
+            const args = [
+                '-nostats',
+                '-ss', start.toFixed(3),
+                '-to', end.toFixed(3),
+                '-i', videoPath,
+                '-filter:v', `select='gte(scene,0)',metadata=print:key=lavfi.scene_score`,
+                '-an',
+                '-f', 'null',
+                '-'
+            ];
+
+            let ffmpeg;
+            try {
+                ffmpeg = this.eagleUtils ? 
+                    this.eagleUtils.spawn(this.ffmpegPaths.ffmpeg, args) :
+                    window.require('child_process').spawn(this.ffmpegPaths.ffmpeg, args);
+            } catch (error) {
+                console.warn('컷 위치 보정 실패, 축소 분석 시각 사용:', error.message);
+                resolve(null);
+                return;
+            }
+            
+            let lineBuffer = '';
+            let currentTime = null;
+            let best = null;
+            
+            ffmpeg.stderr.on('data', (data) => {
+                const lines = (lineBuffer + data.toString()).split('\n');
+                lineBuffer = lines.pop();
                 
-                for (const time of uniqueCutPoints) {
-                    if (time - lastTime >= 1.0) {
-                        filteredCutPoints.push(time);
-                        lastTime = time;
+                for (const line of lines) {
+                    const ptsMatch = line.match(/pts_time:(\d+\.?\d*)/);
+                    if (ptsMatch) {
+                        currentTime = parseFloat(ptsMatch[1]);
+                    }
+                    
+                    const scoreMatch = line.match(/lavfi\.scene_score=(\d+\.?\d*)/);
+                    if (scoreMatch && currentTime !== null) {
+                        const score = parseFloat(scoreMatch[1]);
+                        if (!best || score > best.score) {
+                            best = { time: currentTime + start, score };
+                        }
                     }
                 }
-                
-                console.log('최종 필터링된 컷 포인트:', filteredCutPoints);
-                resolve(filteredCutPoints);
+            });
+
+            ffmpeg.on('close', () => {
+                resolve(best && best.score > 0 ? best.time : null);
             });
 
             ffmpeg.on('error', (error) => {
-                console.error('FFmpeg 장면 변화 감지 프로세스 오류:', error);
-                reject(new Error(`FFmpeg 프로세스 시작 실패: ${error.message}`));
+                console.warn('컷 위치 보정 실패, 축소 분석 시각 사용:', error.message);
+                resolve(null);
             });
         });
     }
 
+    /**
+     * 장면 감지 진행률 및 남은 시간 보고 (분석 구간 0.3 ~ 0.9에 매핑)
+     * @param {function} progressCallback - 진행률 콜백 (progress 0~1, message)
+     * @param {number} processed - FFmpeg가 처리한 비디오 시각 (초)
+     * @param {number} duration - 비디오 길이 (초)
+     * @param {number} startedAt - 감지 시작 시각 (Date.now())
+     */
+    reportDetectionProgress(progressCallback, processed, duration, startedAt) {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        
+        // 길이를 모르면 처리 시각만 표시 (진행률은 고정)
+        if (!duration || duration <= 0) {
+            progressCallback(0.3, `장면 분석 중... ${this.formatSeconds(processed)} 처리`);
+            return;
+        }
+        
+        const ratio = Math.min(Math.max(processed / duration, 0), 1);
+        let message = `장면 분석 중... ${Math.round(ratio * 100)}%`;
+        
+        // 초반 몇 초는 속도 추정이 불안정하므로 ETA 생략
+        if (ratio > 0.01 && elapsed >= 2) {
+            const remaining = elapsed * (1 - ratio) / ratio;
+            message += ` (남은 시간 약 ${this.formatSeconds(remaining)})`;
+        }
+        
+        progressCallback(0.3 + ratio * 0.6, message);
+    }
+
+    /**
+     * 초 단위 시간을 읽기 쉬운 문자열로 변환
+     * @param {number} totalSeconds - 초
+     * @returns {string} 예: '1시간 2분', '3분 20초', '45초'
+     */
+    formatSeconds(totalSeconds) {
+        const rounded = Math.max(0, Math.round(totalSeconds));
+        const hours = Math.floor(rounded / 3600);
+        const minutes = Math.floor((rounded % 3600) / 60);
+        const seconds = rounded % 60;
+        
+        if (hours > 0) return `${hours}시간 ${minutes}분`;
+        if (minutes > 0) return `${minutes}분 ${seconds}초`;
+        return `${seconds}초`;
+    }
+
+    /**
+     * 하드 컷과 페이드/디졸브 전환을 합친 컷 목록 생성
+     * 전환 구간 안(또는 경계 근처)에서 잡힌 하드 컷은 전환이 만든 가짜 컷이므로 제거합니다.
+     * @param {Object} analysis - { sceneScores, blackSegments } 장면 분석 결과
+     * @param {number} sensitivity - 감지 민감도
+     * @param {Object} options - { detectionMode, minSceneLength, minSceneLengthUnit, fps }
+     * @returns {Array} [{ time, transitionType: 'cut' | 'fade' | 'dissolve', start, end }] 시간순 컷 목록
+     */
+    buildCutList(analysis, sensitivity, options = {}) {
+        const hardCuts = this.thresholdSceneScores(analysis.sceneScores, sensitivity, options);
+        const transitions = this.detectTransitions(analysis, sensitivity);
+        const { edgeTolerance } = this.transitionOptions;
+        
+        const cuts = hardCuts
+            .filter(time => !transitions.some(t => time >= t.start - edgeTolerance && time <= t.end + edgeTolerance))
+            .map(time => ({ time, transitionType: 'cut', start: time, end: time }));
+        
+        return [...cuts, ...transitions].sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 점진적 전환 감지 (블랙 구간 기반 페이드 + 밝기 추세 기반 디졸브)
+     * @param {Object} analysis - { sceneScores: [{ time, score, luma }], blackSegments: [{ start, end }] }
+     * @param {number} sensitivity - 감지 민감도 (이 점수를 넘는 프레임은 하드 컷으로 보고 디졸브에서 제외)
+     * @returns {Array} [{ time, transitionType, start, end }] 전환 목록
+     */
+    detectTransitions(analysis, sensitivity) {
+        const { sceneScores, blackSegments = [] } = analysis;
+        const fades = blackSegments.map(segment => this.expandFadeRange(sceneScores, segment));
+        const dissolves = this.detectDissolves(sceneScores, sensitivity)
+            .filter(dissolve => !fades.some(fade => dissolve.start <= fade.end && dissolve.end >= fade.start));
+        
+        if (fades.length > 0 || dissolves.length > 0) {
+            console.log(`🌗 전환 감지: 페이드 ${fades.length}개, 디졸브 ${dissolves.length}개`);
+        }
+        return [...fades, ...dissolves];
+    }
+
+    /**
+     * 블랙 구간 앞뒤로 밝기가 단조롭게 변하는 프레임까지 페이드 범위 확장
+     * @param {Array} sceneScores - [{ time, score, luma }] 프레임별 장면 점수
+     * @param {Object} segment - { start, end } blackdetect 구간
+     * @returns {Object} { time, transitionType: 'fade', start, end }
+     */
+    expandFadeRange(sceneScores, segment) {
+        const { fadeLumaStep, maxFadeSeconds } = this.transitionOptions;
+        let start = segment.start;
+        let end = segment.end;
+        
+        // 페이드 아웃: 블랙 시작 전으로 거슬러 올라가며 밝기가 계속 높아지는 동안 확장
+        let i = this.findScoreIndex(sceneScores, segment.start);
+        while (i > 0 && sceneScores[i - 1].luma !== undefined && sceneScores[i].luma !== undefined &&
+               sceneScores[i - 1].luma - sceneScores[i].luma >= fadeLumaStep &&
+               segment.start - sceneScores[i - 1].time <= maxFadeSeconds) {
+            i--;
+            start = sceneScores[i].time;
+        }
+        
+        // 페이드 인: 블랙 끝 이후로 밝기가 계속 올라가는 동안 확장
+        let j = this.findScoreIndex(sceneScores, segment.end);
+        while (j >= 0 && j < sceneScores.length - 1 && sceneScores[j + 1].luma !== undefined && sceneScores[j].luma !== undefined &&
+               sceneScores[j + 1].luma - sceneScores[j].luma >= fadeLumaStep &&
+               sceneScores[j + 1].time - segment.end <= maxFadeSeconds) {
+            j++;
+            end = sceneScores[j].time;
+        }
+        
+        return {
+            time: (segment.start + segment.end) / 2,
+            transitionType: 'fade',
+            start,
+            end
+        };
+    }
+
+    /**
+     * 디졸브 감지 - 하드 컷에 못 미치는 장면 점수가 일정 시간 이어지면서 밝기가 한 방향으로 변하는 구간
+     * @param {Array} sceneScores - [{ time, score, luma }] 프레임별 장면 점수
+     * @param {number} sensitivity - 감지 민감도
+     * @returns {Array} [{ time, transitionType: 'dissolve', start, end }] 디졸브 목록
+     */
+    detectDissolves(sceneScores, sensitivity) {
+        const {
+            dissolveMinScore, dissolveMinSeconds, dissolveMaxSeconds,
+            dissolveLumaDelta, dissolveTrendRatio
+        } = this.transitionOptions;
+        const dissolves = [];
+        let runStart = -1;
+        
+        for (let i = 0; i <= sceneScores.length; i++) {
+            const entry = sceneScores[i];
+            const inRun = entry && entry.score >= dissolveMinScore && entry.score <= sensitivity;
+            
+            if (inRun) {
+                if (runStart < 0) runStart = i;
+                continue;
+            }
+            if (runStart < 0) continue;
+            
+            const run = sceneScores.slice(runStart, i);
+            runStart = -1;
+            
+            const runDuration = run[run.length - 1].time - run[0].time;
+            if (runDuration < dissolveMinSeconds || runDuration > dissolveMaxSeconds) continue;
+            
+            // 밝기 추세 확인: 전후 차이가 충분하고 대부분의 프레임이 같은 방향으로 변해야 함
+            const lumas = run.map(frame => frame.luma).filter(luma => luma !== undefined);
+            if (lumas.length < 2) continue;
+            
+            const totalDelta = lumas[lumas.length - 1] - lumas[0];
+            if (Math.abs(totalDelta) < dissolveLumaDelta) continue;
+            
+            let sameDirection = 0;
+            for (let k = 1; k < lumas.length; k++) {
+                if (Math.sign(lumas[k] - lumas[k - 1]) === Math.sign(totalDelta)) sameDirection++;
+            }
+            if (sameDirection / (lumas.length - 1) < dissolveTrendRatio) continue;
+            
+            dissolves.push({
+                time: (run[0].time + run[run.length - 1].time) / 2,
+                transitionType: 'dissolve',
+                start: run[0].time,
+                end: run[run.length - 1].time
+            });
+        }
+        
+        return dissolves;
+    }
+
+    /**
+     * 주어진 시각에 가장 가까운 점수 항목 인덱스 (이진 탐색)
+     * @param {Array} sceneScores - 시간순 [{ time }] 배열
+     * @param {number} time - 찾을 시각 (초)
+     * @returns {number} 인덱스 (배열이 비어 있으면 -1)
+     */
+    findScoreIndex(sceneScores, time) {
+        if (sceneScores.length === 0) return -1;
+        
+        let low = 0;
+        let high = sceneScores.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (sceneScores[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        
+        // 앞 항목이 더 가까우면 앞 항목 사용
+        if (low > 0 && time - sceneScores[low - 1].time < sceneScores[low].time - time) {
+            return low - 1;
+        }
+        return low;
+    }
+
+    /**
+     * 장면 점수 곡선에 민감도 임계값 적용 (재디코딩 없이 메모리에서 처리)
+     * @param {Array} sceneScores - [{ time, score }] 프레임별 장면 점수
+     * @param {number} sensitivity - 감지 민감도
+     * @param {Object} options - { detectionMode: 'threshold' | 'adaptive', minSceneLength, minSceneLengthUnit, fps }
+     * @returns {Array} 시간 기반 컷 포인트 배열
+     */
+    thresholdSceneScores(sceneScores, sensitivity, options = {}) {
+        const detectionMode = options.detectionMode || 'threshold';
+        const cutPoints = detectionMode === 'adaptive' ?
+            this.detectAdaptiveCuts(sceneScores, sensitivity) :
+            sceneScores
+                .filter(entry => entry.score > sensitivity)
+                .map(entry => entry.time);
+
+        // 중복 제거 및 정렬
+        const uniqueCutPoints = [...new Set(cutPoints)].sort((a, b) => a - b);
+        
+        // 최소 장면 길이 필터링 (프레임 단위로 비교해 부동소수점 오차 방지)
+        const fps = options.fps || 30;
+        const minSceneFrames = this.getMinSceneFrames(options, fps);
+        const filteredCutPoints = [];
+        let lastFrame = -Infinity;
+        
+        for (const time of uniqueCutPoints) {
+            const frame = Math.round(time * fps);
+            if (frame - lastFrame >= minSceneFrames) {
+                filteredCutPoints.push(time);
+                lastFrame = frame;
+            }
+        }
+        
+        console.log(`민감도 ${sensitivity} 적용 (${detectionMode}, 최소 ${minSceneFrames}프레임): ${filteredCutPoints.length}개 컷 포인트`);
+        return filteredCutPoints;
+    }
+
+    /**
+     * 최소 장면 길이를 프레임 수로 변환
+     * @param {Object} options - { minSceneLength, minSceneLengthUnit: 'seconds' | 'frames' }
+     * @param {number} fps - 프레임 레이트
+     * @returns {number} 최소 장면 프레임 수 (1 이상)
+     */
+    getMinSceneFrames(options, fps) {
+        const value = options.minSceneLength ?? this.defaultMinSceneLength.value;
+        const unit = options.minSceneLengthUnit || this.defaultMinSceneLength.unit;
+        const frames = unit === 'frames' ? value : value * fps;
+        return Math.max(1, Math.round(frames));
+    }
+
+    /**
+     * 적응형 컷 감지 - 각 프레임 점수를 주변 프레임 평균과 비교
+     * 어두운 장면의 약한 컷은 주변 대비로 잡고, 빠른 팬처럼 전체적으로 높은 구간은 무시합니다.
+     * @param {Array} sceneScores - [{ time, score }] 프레임별 장면 점수
+     * @param {number} sensitivity - 감지 민감도 (낮을수록 작은 비율에도 컷 판정)
+     * @returns {Array} 시간 기반 컷 포인트 배열 (플래시 제거 후)
+     */
+    detectAdaptiveCuts(sceneScores, sensitivity) {
+        const { windowFrames, minScore, ratioScale, flashFrames } = this.adaptiveOptions;
+        const ratioThreshold = sensitivity * ratioScale;
+        const candidates = [];
+        
+        for (let i = 0; i < sceneScores.length; i++) {
+            const score = sceneScores[i].score;
+            if (score < minScore) continue;
+            
+            // 자기 자신을 제외한 앞뒤 windowFrames 프레임의 평균
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - windowFrames); j <= Math.min(sceneScores.length - 1, i + windowFrames); j++) {
+                if (j === i) continue;
+                sum += sceneScores[j].score;
+                count++;
+            }
+            
+            const localAverage = count > 0 ? sum / count : 0;
+            // 주변이 완전히 정지(0)면 비율이 무한대이므로 최소 점수만 넘으면 컷으로 간주
+            const ratio = localAverage > 0 ? score / localAverage : Infinity;
+            
+            if (ratio >= ratioThreshold) {
+                candidates.push({ index: i, time: sceneScores[i].time });
+            }
+        }
+        
+        return this.suppressFlashes(candidates, flashFrames);
+    }
+
+    /**
+     * 플래시 억제 - 짧은 간격으로 연달아 나온 스파이크 쌍(들어가고 나오는 플래시)은 둘 다 제거
+     * @param {Array} candidates - [{ index, time }] 프레임 순서대로 정렬된 컷 후보
+     * @param {number} flashFrames - 플래시로 볼 최대 프레임 간격
+     * @returns {Array} 시간 기반 컷 포인트 배열
+     */
+    suppressFlashes(candidates, flashFrames) {
+        const cutPoints = [];
+        let suppressed = 0;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const next = candidates[i + 1];
+            if (next && next.index - candidates[i].index <= flashFrames) {
+                // 플래시 직후에 이어지는 후보까지 한 번에 건너뜀
+                let j = i + 1;
+                while (candidates[j + 1] && candidates[j + 1].index - candidates[j].index <= flashFrames) {
+                    j++;
+                }
+                suppressed += j - i + 1;
+                i = j;
+                continue;
+            }
+            cutPoints.push(candidates[i].time);
+        }
+        
+        if (suppressed > 0) {
+            console.log(`⚡ 플래시 억제: ${suppressed}개 스파이크 제거`);
+        }
+        return cutPoints;
+    }
+
+    /**
+     * 장면 인덱스 캐시 사용 여부
+     * @returns {boolean} 캐시 사용 여부
+     */
+    isSceneIndexEnabled() {
+        const cacheEnabled = this.configManager ? this.configManager.get('cache.enabled') !== false : true;
+        return this.options.enableCaching && cacheEnabled;
+    }
+
+    /**
+     * 비디오 파일 식별 정보 생성 (크기 + 수정 시각 + 선두 64KB 해시)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @returns {Object|null} { size, mtimeMs, hash } 또는 null
+     */
+    getVideoSignature(videoPath) {
+        const fs = this.eagleUtils?.getFS();
+        const crypto = this.eagleUtils?.getNodeModule('crypto');
+        if (!fs || !crypto) return null;
+
+        try {
+            const stats = fs.statSync(videoPath);
+            const headSize = Math.min(64 * 1024, stats.size);
+            const head = Buffer.alloc(headSize);
+            const fd = fs.openSync(videoPath, 'r');
+            try {
+                fs.readSync(fd, head, 0, headSize, 0);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            const hash = crypto.createHash('md5')
+                .update(`${stats.size}:${stats.mtimeMs}:`)
+                .update(head)
+                .digest('hex');
+
+            return { size: stats.size, mtimeMs: stats.mtimeMs, hash };
+        } catch (error) {
+            console.warn('비디오 식별 정보 생성 실패:', videoPath, error);
+            return null;
+        }
+    }
+
+    /**
+     * 장면 인덱스 파일 경로
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} signature - getVideoSignature 결과
+     * @returns {string} 인덱스 파일 경로
+     */
+    getSceneIndexPath(videoPath, signature) {
+        const videoName = this.eagleUtils?.getBaseName(videoPath) || 'video';
+        const fileName = `${videoName}_${signature.hash.slice(0, 12)}.scenes.json`;
+        return this.eagleUtils ? 
+            this.eagleUtils.joinPath(this.sceneIndexDir, fileName) : 
+            `${this.sceneIndexDir}/${fileName}`;
+    }
+
+    /**
+     * 저장된 장면 인덱스 로드 (원본과 파라미터가 일치할 때만)
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} params - 점수 곡선에 영향을 주는 감지 파라미터
+     * @returns {Promise<Object|null>} 장면 인덱스 또는 null
+     */
+    async loadSceneIndex(videoPath, params) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+
+        const fs = this.eagleUtils?.getFS();
+        const signature = this.getVideoSignature(videoPath);
+        if (!fs || !signature) return null;
+
+        const indexPath = this.getSceneIndexPath(videoPath, signature);
+        if (!fs.existsSync(indexPath)) return null;
+
+        try {
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            const sameSource = index.version === this.sceneIndexVersion &&
+                index.source?.hash === signature.hash &&
+                index.source?.size === signature.size &&
+                index.source?.mtimeMs === signature.mtimeMs;
+            const sameParams = Object.keys(params).every(key => index.params?.[key] === params[key]);
+
+            if (!sameSource || !sameParams) {
+                console.log('장면 인덱스 불일치, 재감지 필요:', { sameSource, sameParams });
+                return null;
+            }
+
+            return index;
+        } catch (error) {
+            console.warn('장면 인덱스 로드 실패:', indexPath, error);
+            return null;
+        }
+    }
+
+    /**
+     * 장면 인덱스 저장
+     * @param {string} videoPath - 비디오 파일 경로
+     * @param {Object} params - 점수 곡선에 영향을 주는 감지 파라미터
+     * @param {Object} data - { sceneScores, blackSegments, videoInfo, proxy }
+     * @returns {Promise<string|null>} 저장된 인덱스 경로 또는 null
+     */
+    async saveSceneIndex(videoPath, params, data) {
+        const fs = this.eagleUtils?.getFS();
+        const signature = this.getVideoSignature(videoPath);
+        if (!fs || !signature) return null;
+
+        try {
+            await this.eagleUtils.ensureDirectory(this.sceneIndexDir);
+            const indexPath = this.getSceneIndexPath(videoPath, signature);
+            const index = {
+                version: this.sceneIndexVersion,
+                createdAt: new Date().toISOString(),
+                videoPath: videoPath,
+                source: signature,
+                params: params,
+                proxy: data.proxy || null,
+                videoInfo: data.videoInfo,
+                sceneScores: data.sceneScores || [],
+                blackSegments: data.blackSegments || []
+            };
+
+            fs.writeFileSync(indexPath, JSON.stringify(index));
+            console.log('💾 장면 인덱스 저장 완료:', indexPath);
+            return indexPath;
+        } catch (error) {
+            // 인덱스 저장 실패는 감지 결과에 영향을 주지 않음
+            console.warn('장면 인덱스 저장 실패:', error);
+            return null;
+        }
+    }
+
     /**
      * 컷 포인트 정제 및 구간 생성 (프레임 단위 정확도) - 수정됨
-     * @param {Array} cutPoints - 원본 컷 포인트 배열 (초 단위) - 장면 변화 지점들
+     * @param {Array} cutPoints - 원본 컷 포인트 배열 (초 단위 숫자 또는 { time, transitionType, start, end }) - 장면 변화 지점들
      * @param {Object} videoInfo - 비디오 정보 객체
      * @param {number} inHandle - In 포인트 핸들 (프레임 수)
      * @param {number} outHandle - Out 포인트 핸들 (프레임 수)
+     * @param {Object} options - { sceneScores, blackSegments, sensitivity, detectionMode } 지정 시 점수 곡선에서 컷 목록을 다시 만들어 cutPoints 대체
+     *                          { minSceneLength, minSceneLengthUnit } 구간 최소 길이 (기본 1초)
+     *                          { range: { start, end } } 분석 구간 (첫 인점·마지막 아웃점을 구간 경계로 제한)
      * @returns {Array} 정제된 컷 포인트 구간 배열
      */
-    refineCutPointsFrameAccurate(cutPoints, videoInfo, inHandle = 3, outHandle = 3) {
+    refineCutPointsFrameAccurate(cutPoints, videoInfo, inHandle = 3, outHandle = 3, options = {}) {
+        if (options.sceneScores) {
+            cutPoints = this.buildCutList(options, options.sensitivity ?? 0.3, { ...options, fps: videoInfo.fps });
+        }
+        
         console.log('컷 포인트 정제 시작 (올바른 인아웃 적용):', { 
             cutPoints, 
             fps: videoInfo.fps,
@@ -349,42 +1678,62 @@ class VideoAnalyzer {
         
         if (cutPoints.length === 0) {
             console.log('컷 포인트가 없어 기본 추출 사용');
-            return this.generateDefaultCutPointsFrameAccurate(videoInfo, inHandle, outHandle);
+            return this.generateDefaultCutPointsFrameAccurate(videoInfo, inHandle, outHandle, options.range);
         }
 
         const refined = [];
         const fps = videoInfo.fps;
         const frameTime = videoInfo.frameTime;
+        const minSceneFrames = this.getMinSceneFrames(options, fps);
+        const rangeStartFrame = options.range ? Math.round(options.range.start * fps) : 0;
+        const rangeEndFrame = options.range ? Math.round(options.range.end * fps) : Math.floor(videoInfo.duration * fps);
         
-        // 컷 포인트를 프레임 번호로 변환 (장면 변화 지점들)
-        const cutFrames = cutPoints.map(time => Math.round(time * fps));
-        
-        // 중복 제거 및 정렬
-        const uniqueCutFrames = [...new Set(cutFrames)].sort((a, b) => a - b);
+        // 컷 포인트를 프레임 번호로 변환 (숫자는 하드 컷, 객체는 전환 구간 포함)
+        const cutFrameMap = new Map();
+        for (const cut of cutPoints) {
+            const normalized = typeof cut === 'number' ?
+                { time: cut, transitionType: 'cut', start: cut, end: cut } : cut;
+            const cutFrame = Math.round(normalized.time * fps);
+            
+            // 같은 프레임에 여러 컷이 있으면 먼저 나온 것 사용 (중복 제거)
+            if (!cutFrameMap.has(cutFrame)) {
+                cutFrameMap.set(cutFrame, {
+                    cutFrame,
+                    startFrame: Math.round((normalized.start ?? normalized.time) * fps),
+                    endFrame: Math.round((normalized.end ?? normalized.time) * fps),
+                    transitionType: normalized.transitionType || 'cut'
+                });
+            }
+        }
+        const uniqueCuts = [...cutFrameMap.values()].sort((a, b) => a.cutFrame - b.cutFrame);
         
-        console.log('장면 변화 프레임 번호:', uniqueCutFrames);
+        console.log('장면 변화 프레임 번호:', uniqueCuts.map(cut => 
+            cut.transitionType === 'cut' ? cut.cutFrame : `${cut.transitionType}[${cut.startFrame}-${cut.endFrame}]`));
         
         // 🎯 올바른 로직: 각 컷 포인트를 아웃점으로 사용
         // 구간들: [0 ~ 첫컷], [첫컷 ~ 둘째컷], [둘째컷 ~ 셋째컷], ..., [마지막컷 ~ 끝]
+        // 페이드/디졸브는 전환 시작 프레임을 아웃점 기준, 전환 끝 프레임을 다음 인점 기준으로 사용
         
-        let previousCutFrame = 0; // 이전 컷 지점 (첫 번째는 비디오 시작)
+        let previousCutFrame = rangeStartFrame; // 이전 컷(전환이면 전환 끝) 지점 (첫 번째는 비디오 또는 분석 구간 시작)
+        let previousTransition = null;
         
-        for (let i = 0; i < uniqueCutFrames.length; i++) {
-            const currentCutFrame = uniqueCutFrames[i]; // 현재 컷 변화 지점
+        for (let i = 0; i < uniqueCuts.length; i++) {
+            const currentCut = uniqueCuts[i];
+            const currentCutFrame = currentCut.cutFrame; // 현재 컷 변화 지점
             
             // 🎯 수정된 로직:
-            // 인점 = 이전 컷 지점 + inHandle
-            // 아웃점 = 현재 컷 지점 - outHandle
+            // 인점 = 이전 컷(전환 끝) 지점 + inHandle
+            // 아웃점 = 현재 컷(전환 시작) 지점 - outHandle
             const inFrame = previousCutFrame + inHandle;
-            const outFrame = Math.max(currentCutFrame - outHandle, inFrame + Math.round(fps)); // 최소 1초 보장
+            const outFrame = Math.max(currentCut.startFrame - outHandle, inFrame + minSceneFrames); // 최소 장면 길이 보장
             
             // 프레임을 시간으로 변환
             const inTime = inFrame * frameTime;
             const outTime = outFrame * frameTime;
             const duration = outTime - inTime;
             
-            // 최소 1초 이상의 구간만 포함
-            if (duration >= 1.0 && outFrame > inFrame) {
+            // 최소 장면 길이 이상의 구간만 포함
+            if (outFrame - inFrame >= minSceneFrames) {
                 refined.push({
                     start: inTime,
                     end: outTime,
@@ -398,7 +1747,10 @@ class VideoAnalyzer {
                     middleTime: Math.round((inFrame + outFrame) / 2) * frameTime,
                     // 디버깅 정보
                     cutChangeFrame: currentCutFrame,
-                    cutChangeTime: currentCutFrame * frameTime
+                    cutChangeTime: currentCutFrame * frameTime,
+                    // 구간 앞뒤 전환 종류 ('cut' | 'fade' | 'dissolve')
+                    transitionIn: previousTransition,
+                    transitionOut: currentCut.transitionType
                 });
                 
                 console.log(`✅ 구간 ${refined.length}: 인점 프레임${inFrame}(${inTime.toFixed(3)}s) → 아웃점 프레임${outFrame}(${outTime.toFixed(3)}s) | 컷변화: 프레임${currentCutFrame} | 중간: 프레임${Math.round((inFrame + outFrame) / 2)}`);
@@ -406,16 +1758,16 @@ class VideoAnalyzer {
                 console.log(`⚠️ 구간 스킵: 너무 짧음 - 인점 프레임${inFrame} → 아웃점 프레임${outFrame} (${duration.toFixed(2)}초)`);
             }
             
-            // 다음 구간을 위해 이전 컷 지점 업데이트
-            previousCutFrame = currentCutFrame;
+            // 다음 구간을 위해 이전 컷 지점 업데이트 (전환이면 전환이 끝난 뒤부터)
+            previousCutFrame = Math.max(currentCut.endFrame, currentCutFrame);
+            previousTransition = currentCut.transitionType;
         }
         
-        // 마지막 구간: 마지막 컷부터 비디오 끝까지
-        const totalFrames = Math.floor(videoInfo.duration * fps);
+        // 마지막 구간: 마지막 컷부터 비디오(또는 분석 구간) 끝까지
         const lastInFrame = previousCutFrame + inHandle;
-        const lastOutFrame = totalFrames - outHandle;
+        const lastOutFrame = rangeEndFrame - outHandle;
         
-        if (lastOutFrame > lastInFrame && (lastOutFrame - lastInFrame) >= fps) { // 최소 1초
+        if (lastOutFrame > lastInFrame && (lastOutFrame - lastInFrame) >= minSceneFrames) { // 최소 장면 길이
             const lastInTime = lastInFrame * frameTime;
             const lastOutTime = lastOutFrame * frameTime;
             const lastDuration = lastOutTime - lastInTime;
@@ -432,7 +1784,8 @@ class VideoAnalyzer {
                 middleFrame: Math.round((lastInFrame + lastOutFrame) / 2),
                 middleTime: Math.round((lastInFrame + lastOutFrame) / 2) * frameTime,
                 // 마지막 구간 표시
-                isLastSegment: true
+                isLastSegment: true,
+                transitionIn: previousTransition
             });
             
             console.log(`✅ 마지막 구간 ${refined.length}: 인점 프레임${lastInFrame}(${lastInTime.toFixed(3)}s) → 아웃점 프레임${lastOutFrame}(${lastOutTime.toFixed(3)}s) | 중간: 프레임${Math.round((lastInFrame + lastOutFrame) / 2)}`);
@@ -444,7 +1797,7 @@ class VideoAnalyzer {
         // 여전히 비어있으면 기본 추출 사용
         if (refined.length === 0) {
             console.log('정제 후에도 비어있어 기본 추출 사용');
-            return this.generateDefaultCutPointsFrameAccurate(videoInfo, inHandle, outHandle);
+            return this.generateDefaultCutPointsFrameAccurate(videoInfo, inHandle, outHandle, options.range);
         }
         
         return refined;
@@ -455,23 +1808,26 @@ class VideoAnalyzer {
      * @param {Object} videoInfo - 비디오 정보 객체
      * @param {number} inHandle - In 포인트 핸들 (프레임 수)
      * @param {number} outHandle - Out 포인트 핸들 (프레임 수)
+     * @param {Object} range - { start, end } 분석 구간 (없으면 전체)
      * @returns {Array} 기본 컷 포인트 구간 배열
      */
-    generateDefaultCutPointsFrameAccurate(videoInfo, inHandle = 3, outHandle = 3) {
-        console.log('기본 컷 포인트 생성 (프레임 단위):', videoInfo.duration, '초');
+    generateDefaultCutPointsFrameAccurate(videoInfo, inHandle = 3, outHandle = 3, range = null) {
+        const rangeStart = range ? range.start : 0;
+        const rangeEnd = range ? range.end : videoInfo.duration;
+        console.log('기본 컷 포인트 생성 (프레임 단위):', rangeStart, '~', rangeEnd, '초');
         
         const defaultPoints = [];
         const interval = 10; // 10초 간격
         const fps = videoInfo.fps;
         const frameTime = videoInfo.frameTime;
-        const totalFrames = videoInfo.totalFrames;
+        const totalFrames = range ? Math.round(rangeEnd * fps) : videoInfo.totalFrames;
         
-        for (let i = 0; i < videoInfo.duration; i += interval) {
+        for (let i = rangeStart; i < rangeEnd; i += interval) {
             const startFrame = Math.round(i * fps);
             let endFrame = Math.min(Math.round((i + interval) * fps) - 1, totalFrames - 1);
             
             // 마지막 구간이 아닌 경우 outHandle 프레임 적용
-            if (i + interval < videoInfo.duration) {
+            if (i + interval < rangeEnd) {
                 endFrame = Math.round((i + interval) * fps) - outHandle;
             }
             
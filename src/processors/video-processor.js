@@ -15,16 +15,52 @@ class VideoProcessor {
         this.clipExtractor = null;
         this.videoConcatenator = null;
         this.eagleImporter = null;
+        this.cutTimelineEditor = null;
         
         // 처리 설정
         this.settings = {
             sensitivity: 0.3,
+            detectionMode: 'threshold',
+            frameSamplingMode: 'cuts', // 프레임 추출 시점 ('cuts' | 'interval' | 'count' | 'nth')
+            frameSamplingValue: 10,    // 샘플링 N (초 / 장 / 프레임)
+            sceneFramePolicy: 'middle', // 장면별 추출 위치 ('middle' | 'first' | 'last' | 'firstLast' | 'firstMiddleLast' | 'even' | 'best')
+            sceneFrameCount: 3,        // 'even'일 때 장면당 추출 수, 'best'일 때 비교할 후보 수
+            performanceProfile: 'quality', // 장면 감지 속도/정확도 ('fast' | 'balanced' | 'quality')
+            audioMode: 'off',   // 오디오 기반 컷 ('off' | 'snap' | 'audio')
+            beatSnapTolerance: 0.15,
+            beatsPerCut: 4,
+            minSceneLength: 1.0,
+            minSceneLengthUnit: 'seconds',
+            reviewCutsBeforeExtraction: false,
+            rangeStart: null,   // 분석 구간 시작 (초, null이면 처음부터)
+            rangeEnd: null,     // 분석 구간 끝 (초, null이면 끝까지)
             format: 'png',
             quality: 8,
+            frameMaxWidth: 0,   // 프레임 최대 가로 (0이면 제한 없음)
+            frameMaxHeight: 0,  // 프레임 최대 세로 (0이면 제한 없음)
+            frameAspectRatio: 'original', // 화면비 크롭 ('original' | '16:9' | '4:3' | '1:1' | '4:5' | '9:16' | '2.39:1')
+            removeLetterbox: false,
+            keepHdr: false,     // HDR 소스를 SDR로 톤 매핑하지 않고 유지
             inHandle: 3,
             outHandle: 3,
+            clipProfile: 'h264_mp4',   // 클립 출력 프로파일 (코덱 + 컨테이너, ClipExtractor.clipProfiles)
+            clipRateControl: 'bitrate', // 'bitrate' (고정 Mbps) | 'crf' (출력 품질 기준) | 'size' (목표 MB, 2패스)
+            clipBitrate: 5,            // Mbps
+            clipTargetSizeMB: 8,       // 목표 크기 모드의 클립당 최대 크기 (MB)
+            clipCopyMode: 'off',       // 'off' (재인코딩) | 'keyframe' (키프레임 정렬 복사) | 'smart' (첫 GOP만 재인코딩)
+            clipMinDuration: 0.5,      // 초 (짧은 장면은 이 길이까지 늘림, 0이면 그대로)
+            clipMaxDuration: 30,       // 초 (0이면 제한 없음)
+            clipLongSceneMode: 'truncate', // 'truncate' (최대 길이에서 자름) | 'split' (연속 구간으로 분할)
+            animatedPreview: 'off',    // 장면 움짤 ('off' | 'gif' | 'webp')
+            animatedWidth: 480,        // 움짤 가로 (px)
+            animatedFps: 12,
+            animatedMaxDuration: 6,    // 초 (0이면 클립 전체)
             extractionMethod: 'unified',
             duplicateHandling: 'overwrite',
+            exportSceneList: false,
+            importSceneListToEagle: false,
+            contactSheet: false,       // 추출 프레임 콘택트 시트 생성
+            contactSheetColumns: 4,
             analysisFrameNaming: false,
             smartFrameSelection: true,
             targetFrameCount: 10
@@ -115,6 +151,21 @@ class VideoProcessor {
         } else {
             throw new Error('EagleImporter 모듈을 찾을 수 없습니다');
         }
+        
+        // CutTimelineEditor 초기화 (없으면 컷 검토 없이 바로 추출)
+        if (typeof window.CutTimelineEditor === 'function') {
+            this.cutTimelineEditor = new CutTimelineEditor(this.stateManager);
+            
+            // 처리가 중단되면 대기 중인 컷 검토도 취소로 종료
+            this.stateManager.onChange('batchCancelled', (cancelled) => {
+                if (cancelled) {
+                    this.cutTimelineEditor.finish(false);
+                }
+            });
+            console.log('✅ CutTimelineEditor 초기화 완료');
+        } else {
+            console.warn('⚠️ CutTimelineEditor 모듈을 찾을 수 없습니다 (컷 검토 기능 비활성화)');
+        }
     }
     
     /**
@@ -157,18 +208,115 @@ class VideoProcessor {
         if (elements.sensitivitySlider) {
             this.settings.sensitivity = parseFloat(elements.sensitivitySlider.value);
         }
+        if (elements.detectionMode) {
+            this.settings.detectionMode = elements.detectionMode.value;
+        }
+        if (elements.frameSamplingMode) {
+            this.settings.frameSamplingMode = elements.frameSamplingMode.value;
+        }
+        if (elements.frameSamplingValue) {
+            this.settings.frameSamplingValue = parseFloat(elements.frameSamplingValue.value);
+        }
+        if (elements.sceneFramePolicy) {
+            this.settings.sceneFramePolicy = elements.sceneFramePolicy.value;
+        }
+        if (elements.sceneFrameCount) {
+            this.settings.sceneFrameCount = parseInt(elements.sceneFrameCount.value);
+        }
+        if (elements.performanceProfile) {
+            this.settings.performanceProfile = elements.performanceProfile.value;
+        }
+        if (elements.audioMode) {
+            this.settings.audioMode = elements.audioMode.value;
+        }
+        if (elements.beatSnapTolerance) {
+            this.settings.beatSnapTolerance = parseFloat(elements.beatSnapTolerance.value);
+        }
+        if (elements.beatsPerCut) {
+            this.settings.beatsPerCut = parseInt(elements.beatsPerCut.value);
+        }
+        if (elements.minSceneLengthUnit) {
+            this.settings.minSceneLengthUnit = elements.minSceneLengthUnit.value;
+        }
+        if (elements.minSceneLength) {
+            // 저장되는 설정과 같은 범위로 제한 (프레임: 1~300, 초: 0.1~10)
+            const value = parseFloat(elements.minSceneLength.value);
+            this.settings.minSceneLength = this.settings.minSceneLengthUnit === 'frames' ?
+                Math.max(1, Math.min(300, Math.round(value) || 25)) :
+                Math.max(0.1, Math.min(10, value || 1.0));
+        }
+        if (elements.reviewCutsBeforeExtraction) {
+            this.settings.reviewCutsBeforeExtraction = elements.reviewCutsBeforeExtraction.checked;
+        }
+        if (elements.rangeStart) {
+            this.settings.rangeStart = this.parseRangeInput(elements.rangeStart.value, '시작');
+        }
+        if (elements.rangeEnd) {
+            this.settings.rangeEnd = this.parseRangeInput(elements.rangeEnd.value, '끝');
+        }
         if (elements.formatSelect) {
             this.settings.format = elements.formatSelect.value;
         }
         if (elements.qualitySlider) {
             this.settings.quality = parseInt(elements.qualitySlider.value);
         }
+        if (elements.frameMaxWidth) {
+            this.settings.frameMaxWidth = parseInt(elements.frameMaxWidth.value) || 0;
+        }
+        if (elements.frameMaxHeight) {
+            this.settings.frameMaxHeight = parseInt(elements.frameMaxHeight.value) || 0;
+        }
+        if (elements.frameAspectRatio) {
+            this.settings.frameAspectRatio = elements.frameAspectRatio.value;
+        }
+        if (elements.removeLetterbox) {
+            this.settings.removeLetterbox = elements.removeLetterbox.checked;
+        }
+        if (elements.keepHdr) {
+            this.settings.keepHdr = elements.keepHdr.checked;
+        }
         if (elements.inHandleSlider) {
             this.settings.inHandle = parseInt(elements.inHandleSlider.value);
         }
         if (elements.outHandleSlider) {
             this.settings.outHandle = parseInt(elements.outHandleSlider.value);
         }
+        if (elements.clipProfile) {
+            this.settings.clipProfile = elements.clipProfile.value;
+        }
+        if (elements.clipRateControl) {
+            this.settings.clipRateControl = elements.clipRateControl.value;
+        }
+        if (elements.clipBitrate) {
+            this.settings.clipBitrate = parseFloat(elements.clipBitrate.value) || 5;
+        }
+        if (elements.clipTargetSizeMB) {
+            this.settings.clipTargetSizeMB = parseFloat(elements.clipTargetSizeMB.value) || 8;
+        }
+        if (elements.clipCopyMode) {
+            this.settings.clipCopyMode = elements.clipCopyMode.value;
+        }
+        if (elements.clipMinDuration) {
+            this.settings.clipMinDuration = Math.max(0, parseFloat(elements.clipMinDuration.value) || 0);
+        }
+        if (elements.clipMaxDuration) {
+            this.settings.clipMaxDuration = Math.max(0, parseFloat(elements.clipMaxDuration.value) || 0);
+        }
+        if (elements.clipLongSceneMode) {
+            this.settings.clipLongSceneMode = elements.clipLongSceneMode.value;
+        }
+        if (elements.animatedPreview) {
+            this.settings.animatedPreview = elements.animatedPreview.value;
+        }
+        if (elements.animatedWidth) {
+            this.settings.animatedWidth = parseInt(elements.animatedWidth.value) || 480;
+        }
+        if (elements.animatedFps) {
+            this.settings.animatedFps = parseInt(elements.animatedFps.value) || 12;
+        }
+        if (elements.animatedMaxDuration) {
+            this.settings.animatedMaxDuration = Math.max(0, parseFloat(elements.animatedMaxDuration.value) || 0);
+        }
         if (elements.extractionMethod) {
             this.settings.extractionMethod = elements.extractionMethod.value;
         }
@@ -178,6 +326,18 @@ class VideoProcessor {
         if (elements.analysisFrameNaming) {
             this.settings.analysisFrameNaming = elements.analysisFrameNaming.checked;
         }
+        if (elements.exportSceneList) {
+            this.settings.exportSceneList = elements.exportSceneList.checked;
+        }
+        if (elements.contactSheet) {
+            this.settings.contactSheet = elements.contactSheet.checked;
+        }
+        if (elements.contactSheetColumns) {
+            this.settings.contactSheetColumns = parseInt(elements.contactSheetColumns.value) || 4;
+        }
+        if (elements.importSceneListToEagle) {
+            this.settings.importSceneListToEagle = elements.importSceneListToEagle.checked;
+        }
         if (elements.smartFrameSelection) {
             this.settings.smartFrameSelection = elements.smartFrameSelection.checked;
         }
@@ -240,16 +400,27 @@ class VideoProcessor {
             }
             
             const videoMetadata = await this.analyzer.getVideoMetadata(videoFile.path);
-            const cutPoints = await this.analyzer.detectCutChanges(
-                videoFile.path,
-                this.settings.sensitivity,
-                (progress) => this.progressManager.updateStageProgress('analyze', progress),
-                this.ffmpegPaths,
-                this.settings.inHandle,
-                this.settings.outHandle
-            );
+            const range = this.analyzer.normalizeRange(this.getAnalysisRange(), videoMetadata);
+            
+            // 샘플링 추출만 하는 경우 컷 감지 생략 (장면 목록을 내보낼 때는 감지 필요)
+            const samplesFrames = this.settings.frameSamplingMode !== 'cuts' && (mode === 'all' || mode === 'frames');
+            const needsCuts = !(samplesFrames && mode === 'frames') || this.settings.exportSceneList;
+            let cutPoints = needsCuts ? await this.analyzeCutPoints(videoFile, range) : [];
+            
+            this.progressManager.completeStage('analyze', needsCuts ? 
+                `${cutPoints.length}개 컷 포인트 감지 완료` : '샘플링 추출 - 컷 감지 생략');
             
-            this.progressManager.completeStage('analyze', `${cutPoints.length}개 컷 포인트 감지 완료`);
+            // 추출 전 컷 검토 (타임라인에서 수정한 구간으로 교체)
+            if (this.settings.reviewCutsBeforeExtraction && needsCuts && mode !== 'concat') {
+                cutPoints = await this.reviewCutPoints(videoFile, videoMetadata, cutPoints, range);
+                
+                // 검토 취소는 실패가 아니므로 추출 없이 종료
+                if (!cutPoints) {
+                    this.progressManager.cancel('컷 검토 취소');
+                    this.uiController?.showNotification(`${videoFile.name}: 컷 검토를 취소해 추출을 건너뛰었습니다`, 'info');
+                    return null;
+                }
+            }
             
             let results = {
                 videoFile,
@@ -257,24 +428,44 @@ class VideoProcessor {
                 cutPoints,
                 extractedFrames: [],
                 extractedClips: [],
+                sceneListFiles: [],
+                contactSheetFiles: [],
                 importResults: []
             };
             
             // 2단계: 처리 모드에 따른 추출
+            const toneMapFilter = await this.getToneMapFilter(videoMetadata);
+            
             if (mode === 'all' || mode === 'frames') {
-                results.extractedFrames = await this.extractFrames(videoFile, cutPoints);
+                const framePoints = this.getFramePoints(videoMetadata, cutPoints, range);
+                results.extractedFrames = await this.extractFrames(videoFile, framePoints, range, toneMapFilter);
+                
+                // 콘택트 시트는 프레임 임포트(임시 파일 정리) 전에 생성
+                if (this.settings.contactSheet && results.extractedFrames.length > 0) {
+                    results.contactSheetFiles = await this.exportContactSheet(videoFile, videoMetadata, results.extractedFrames);
+                }
             }
             
             if (mode === 'all' || mode === 'clips') {
-                results.extractedClips = await this.extractClips(videoFile, cutPoints);
+                results.extractedClips = await this.extractClips(videoFile, cutPoints, range, {
+                    toneMapFilter,
+                    hdrSource: this.settings.keepHdr ? videoMetadata.hdr : null,
+                    sourceInfo: videoMetadata
+                });
             }
             
             if (mode === 'concat') {
                 results.concatenatedVideo = await this.concatenateVideos([videoFile]);
             }
             
+            // 장면 목록 내보내기 (편집 프로그램 전달용)
+            if (this.settings.exportSceneList && mode !== 'concat') {
+                results.sceneListFiles = await this.exportSceneList(videoFile, videoMetadata, cutPoints);
+            }
+            
             // 3단계: Eagle 임포트
-            if (results.extractedFrames.length > 0 || results.extractedClips.length > 0) {
+            const hasSceneListToImport = this.settings.importSceneListToEagle && results.sceneListFiles.length > 0;
+            if (results.extractedFrames.length > 0 || results.extractedClips.length > 0 || hasSceneListToImport) {
                 results.importResults = await this.importToEagle(results);
             }
             
@@ -290,6 +481,103 @@ class VideoProcessor {
         }
     }
     
+    /**
+     * 분석 구간 입력값을 초로 변환 (비어 있으면 null, 형식이 잘못되면 전체 구간으로 넘어가지 않도록 오류)
+     * @param {string} value - 입력값 ("90", "1:30", "00:01:30.5")
+     * @param {string} label - 오류 메시지용 이름 ('시작' | '끝')
+     * @returns {number|null} 초 단위 시간
+     */
+    parseRangeInput(value, label) {
+        const text = (value || '').trim();
+        if (!text) return null;
+        
+        const seconds = window.eagleUtils?.parseTimeInput(text) ?? null;
+        if (seconds === null) {
+            throw new Error(`분석 구간 ${label} 값 "${text}"의 형식이 올바르지 않습니다 (예: 90, 1:30, 00:01:30.5)`);
+        }
+        return seconds;
+    }
+    
+    /**
+     * 분석 구간 설정값 (시작·끝 모두 비어 있으면 null = 전체)
+     * @returns {Object|null} { start, end }
+     */
+    getAnalysisRange() {
+        const { rangeStart, rangeEnd } = this.settings;
+        if (rangeStart === null && rangeEnd === null) {
+            return null;
+        }
+        return { start: rangeStart || 0, end: rangeEnd };
+    }
+    
+    /**
+     * 컷 포인트 구간 확보 - 컷 리스트가 지정되어 있으면 편집자 컷 사용, 없으면 자동 감지
+     * @param {Object} range - { start, end } 분석 구간 (null이면 전체, 시간은 원본 파일 기준)
+     */
+    async analyzeCutPoints(videoFile, range = null) {
+        const cutList = this.stateManager.getCutList();
+        
+        if (cutList) {
+            // 편집자가 확정한 샷 경계이므로 핸들 없이 그대로 사용
+            const segments = await this.analyzer.importCutList(videoFile.path, cutList.path, {
+                timeBase: cutList.timeBase,
+                range
+            });
+            
+            if (segments.length > 0) {
+                return segments;
+            }
+            console.warn(`⚠️ 컷 리스트에 ${videoFile.name}에 해당하는 샷이 없어 자동 감지로 진행`);
+        }
+        
+        return await this.analyzer.detectCutChanges(
+            videoFile.path,
+            this.settings.sensitivity,
+            (progress, message) => this.progressManager.updateStageProgress('analyze', progress, message),
+            this.ffmpegPaths,
+            this.settings.inHandle,
+            this.settings.outHandle,
+            {
+                detectionMode: this.settings.detectionMode,
+                performanceProfile: this.settings.performanceProfile,
+                audioMode: this.settings.audioMode,
+                beatSnapTolerance: this.settings.beatSnapTolerance,
+                beatsPerCut: this.settings.beatsPerCut,
+                minSceneLength: this.settings.minSceneLength,
+                minSceneLengthUnit: this.settings.minSceneLengthUnit,
+                range
+            }
+        );
+    }
+    
+    /**
+     * 컷 검토 - 타임라인 편집이 끝날 때까지 대기
+     * @returns {Promise<Array|null>} 편집된 구간 배열 (검토를 취소하면 null)
+     */
+    async reviewCutPoints(videoFile, videoMetadata, cutPoints, range = null) {
+        if (!this.cutTimelineEditor) {
+            return cutPoints;
+        }
+        
+        const thumbnailStrip = await this.analyzer.generateThumbnailStrip(videoFile.path, videoMetadata, 24, range);
+        this.progressManager.updateStageProgress('analyze', 1, '✂️ 컷 검토 대기 중... (타임라인에서 확인 후 추출)');
+        
+        const reviewed = await this.cutTimelineEditor.review(videoFile, videoMetadata, cutPoints, {
+            inHandle: this.settings.inHandle,
+            outHandle: this.settings.outHandle,
+            thumbnailStrip,
+            range
+        });
+        
+        if (!reviewed) {
+            console.log('🚫 컷 검토 취소 - 추출 건너뜀');
+            return null;
+        }
+        
+        console.log(`✂️ 컷 검토 반영: ${cutPoints.length}개 → ${reviewed.length}개 구간`);
+        return reviewed;
+    }
+    
     /**
      * 배치 처리
      */
@@ -319,6 +607,13 @@ class VideoProcessor {
                     
                     // 개별 파일 처리
                     const result = await this.processSingleFile(videoFile, mode);
+                    
+                    // 컷 검토를 취소한 파일은 건너뜀
+                    if (!result) {
+                        batchResults.push({ videoFile, cancelled: true, success: false });
+                        this.progressManager.completeBatchItem(`${videoFile.name} 건너뜀`);
+                        continue;
+                    }
                     batchResults.push(result);
                     
                     // 배치 항목 완료
@@ -351,19 +646,111 @@ class VideoProcessor {
         }
     }
     
+    /**
+     * 장면별 여러 장 추출한 프레임의 파일별 주석 (장면 번호·장면 내 위치·시점)
+     * @returns {Object|null} 파일 경로 → 주석 (장면 위치 정보가 없으면 null)
+     */
+    getSceneFrameAnnotations(frames, videoName) {
+        const sceneFrames = frames.filter(frame => frame.scenePosition);
+        if (sceneFrames.length === 0) return null;
+        
+        const annotations = {};
+        for (const frame of sceneFrames) {
+            annotations[frame.path] = this.eagleImporter.generateAnnotation(videoName, 'frame', {
+                sceneIndex: frame.sceneIndex,
+                position: frame.scenePosition,
+                timestamp: `${frame.timeSeconds.toFixed(3)}초`
+            });
+        }
+        return annotations;
+    }
+    
+    /**
+     * 스트림 복사 클립의 파일별 주석 (감지된 컷 대비 시작 경계 이동량, 움짤에도 같은 주석)
+     * @returns {Object|null} 파일 경로 → 주석 (재인코딩 클립만 있으면 null)
+     */
+    getClipBoundaryAnnotations(clips, videoName) {
+        const copiedClips = clips.filter(clip => clip.boundary);
+        if (copiedClips.length === 0) return null;
+        
+        const annotations = {};
+        for (const clip of copiedClips) {
+            annotations[clip.path] = this.eagleImporter.generateAnnotation(videoName, 'clip', {
+                duration: clip.duration.toFixed(3),
+                timestamp: `${clip.startTime.toFixed(3)}초`,
+                boundaryShift: this.eagleImporter.formatBoundaryShift(clip.boundary, clip.method)
+            });
+            if (clip.animatedPreview) {
+                annotations[clip.animatedPreview.path] = annotations[clip.path];
+            }
+        }
+        return annotations;
+    }
+    
+    /**
+     * 프레임 추출 시점 결정 - 샘플링 모드면 일정 간격, 아니면 장면별 추출 정책에 따라 컷 포인트를 펼침
+     * @returns {Array} FrameExtractor에 전달할 추출 시점 배열
+     */
+    getFramePoints(videoMetadata, cutPoints, range = null) {
+        if (this.settings.frameSamplingMode !== 'cuts') {
+            return this.frameExtractor.buildSamplePoints(
+                videoMetadata, this.settings.frameSamplingMode, this.settings.frameSamplingValue, range);
+        }
+        if (this.settings.sceneFramePolicy === 'best') {
+            // 장면마다 균등 분포 후보를 추출한 뒤 FrameExtractor가 가장 좋은 1장만 남김
+            return this.frameExtractor.expandScenePoints(
+                cutPoints, 'even', this.settings.sceneFrameCount, videoMetadata.fps);
+        }
+        if (this.settings.sceneFramePolicy && this.settings.sceneFramePolicy !== 'middle') {
+            return this.frameExtractor.expandScenePoints(
+                cutPoints, this.settings.sceneFramePolicy, this.settings.sceneFrameCount, videoMetadata.fps);
+        }
+        return cutPoints;
+    }
+    
+    /**
+     * HDR 소스용 SDR 톤 매핑 필터 결정
+     * HDR 유지 설정이거나 SDR 소스면 null을 반환합니다.
+     */
+    async getToneMapFilter(videoMetadata) {
+        if (!videoMetadata?.hdr || this.settings.keepHdr) {
+            return null;
+        }
+        
+        const hasZscale = window.hasFFmpegFilter ? await window.hasFFmpegFilter('zscale') : true;
+        if (!hasZscale) {
+            console.warn('⚠️ FFmpeg에 zscale 필터(libzimg)가 없어 HDR 톤 매핑을 건너뜁니다');
+            return null;
+        }
+        
+        console.log(`🌈 HDR(${videoMetadata.hdr.toUpperCase()}) 소스 감지 - SDR 톤 매핑 적용`);
+        return window.eagleUtils?.getToneMapFilter(videoMetadata) || null;
+    }
+    
     /**
      * 프레임 추출
      */
-    async extractFrames(videoFile, cutPoints) {
+    async extractFrames(videoFile, cutPoints, range = null, toneMapFilter = null) {
         try {
             this.progressManager.startStage('extract', 0, '프레임 추출 중...');
             
+            // 포맷별 사용할 인코더 (AVIF는 FFmpeg 빌드마다 다름)
+            const formatSupport = window.getImageFormatSupport ? await window.getImageFormatSupport() : null;
+            
             // FrameExtractor에 전달할 설정 객체 생성
             const extractSettings = {
                 imageFormat: this.settings.format,  // FrameExtractor는 'imageFormat' 키를 사용
+                imageEncoder: formatSupport?.[this.settings.format] || null,
                 quality: this.settings.quality,
+                frameMaxWidth: this.settings.frameMaxWidth,
+                frameMaxHeight: this.settings.frameMaxHeight,
+                frameAspectRatio: this.settings.frameAspectRatio,
+                removeLetterbox: this.settings.removeLetterbox,
+                toneMapFilter,
                 extractionMethod: this.settings.extractionMethod,
-                analysisFrameNaming: this.settings.analysisFrameNaming
+                analysisFrameNaming: this.settings.analysisFrameNaming,
+                sceneFramePolicy: this.settings.frameSamplingMode === 'cuts' ? this.settings.sceneFramePolicy : null,
+                range
             };
             
             const extractedFrames = await this.frameExtractor.extractFrames(
@@ -382,7 +769,9 @@ class VideoProcessor {
                 conditionMet: this.settings.smartFrameSelection && extractedFrames.frames?.length > this.settings.targetFrameCount
             });
             
-            if (this.settings.smartFrameSelection && extractedFrames.frames?.length > this.settings.targetFrameCount) {
+            // 장면별 여러 장 추출은 처음·끝 프레임을 모두 남겨야 하므로 선별하지 않음
+            const hasScenePositions = extractedFrames.frames?.some(frame => frame.scenePosition);
+            if (this.settings.smartFrameSelection && !hasScenePositions && extractedFrames.frames?.length > this.settings.targetFrameCount) {
                 this.progressManager.updateStageProgress('extract', 0.8, '스마트 프레임 선별 중...');
                 
                 if (typeof window.SmartFrameSelector === 'function') {
@@ -441,20 +830,20 @@ class VideoProcessor {
     /**
      * 클립 추출
      */
-    async extractClips(videoFile, cutPoints) {
+    async extractClips(videoFile, cutPoints, range = null, clipOptions = {}) {
         try {
             this.progressManager.startStage('extract', 0, '클립 추출 중...');
             
             const extractedClips = await this.clipExtractor.extractClips(
                 videoFile.path,
                 cutPoints,
-                this.settings,
+                { ...this.settings, range, ...clipOptions },
                 (progress) => this.progressManager.updateStageProgress('extract', progress),
                 this.ffmpegPaths
             );
             
-            this.progressManager.completeStage('extract', `${extractedClips.length}개 클립 추출 완료`);
-            return extractedClips;
+            this.progressManager.completeStage('extract', `${extractedClips.count || 0}개 클립 추출 완료`);
+            return extractedClips.clips || [];
             
         } catch (error) {
             console.error('클립 추출 실패:', error);
@@ -462,6 +851,85 @@ class VideoProcessor {
         }
     }
     
+    /**
+     * 장면 목록 내보내기 - 클립과 같은 폴더에 EDL/FCPXML/CSV 저장
+     */
+    async exportSceneList(videoFile, videoMetadata, cutPoints) {
+        try {
+            if (typeof window.CutListExporter !== 'function') {
+                console.warn('⚠️ CutListExporter 모듈을 찾을 수 없습니다 (장면 목록 내보내기 건너뜀)');
+                return [];
+            }
+            
+            // 클립 추출기와 같은 규칙으로 폴더 결정: clips/[동영상명]
+            const clipsDir = await window.eagleUtils.getCacheDirectory('clips');
+            const outputDir = window.eagleUtils.joinPath(clipsDir, window.eagleUtils.getBaseName(videoFile.path));
+            
+            const exporter = new CutListExporter();
+            return await exporter.exportSceneList(cutPoints, {
+                videoPath: videoFile.path,
+                videoInfo: videoMetadata,
+                outputDir,
+                inHandle: this.settings.inHandle,
+                outHandle: this.settings.outHandle
+            });
+            
+        } catch (error) {
+            // 내보내기 실패는 추출 결과에 영향을 주지 않도록 경고만 남김
+            console.error('장면 목록 내보내기 실패:', error);
+            await this.errorHandler.handleError(error, 'scene_list_export', {
+                level: 'warning',
+                shouldNotify: true
+            });
+            return [];
+        }
+    }
+    
+    /**
+     * 콘택트 시트 생성 - 프레임과 같은 폴더에 격자 이미지와 PDF 저장
+     * 출력 포맷(TIFF·AVIF 등)과 무관하게 캔버스에서 읽을 수 있도록 FFmpeg로 축소한 JPEG 썸네일로 시트를 만듭니다.
+     */
+    async exportContactSheet(videoFile, videoMetadata, frames) {
+        let thumbnails = null;
+        try {
+            if (typeof window.ContactSheetGenerator !== 'function') {
+                console.warn('⚠️ ContactSheetGenerator 모듈을 찾을 수 없습니다 (콘택트 시트 생성 건너뜀)');
+                return [];
+            }
+            
+            this.progressManager.updateStageProgress('extract', 0.95, '콘택트 시트 생성 중...');
+            
+            const generator = new ContactSheetGenerator();
+            thumbnails = await this.frameExtractor.createProxyImages(frames.map(frame => frame.path), {
+                format: 'jpg',
+                maxWidth: generator.options.thumbWidth
+            });
+            // 썸네일 변환에 실패한 프레임은 원본으로 시도
+            const sheetFrames = frames.map((frame, i) => ({ ...frame, path: thumbnails.paths[i] || frame.path }));
+            
+            return await generator.generate(sheetFrames, {
+                videoPath: videoFile.path,
+                videoInfo: videoMetadata,
+                metadata: this.frameExtractor.generateMetadata(videoFile.path, frames),
+                outputDir: this.frameExtractor.outputDir,
+                columns: this.settings.contactSheetColumns
+            });
+            
+        } catch (error) {
+            // 생성 실패는 추출 결과에 영향을 주지 않도록 경고만 남김
+            console.error('콘택트 시트 생성 실패:', error);
+            await this.errorHandler.handleError(error, 'contact_sheet_export', {
+                level: 'warning',
+                shouldNotify: true
+            });
+            return [];
+        } finally {
+            if (thumbnails) {
+                await this.frameExtractor.removeProxyImages(thumbnails);
+            }
+        }
+    }
+    
     /**
      * Eagle 임포트
      */
@@ -481,29 +949,61 @@ class VideoProcessor {
                     {
                         duplicateHandling: this.settings.duplicateHandling,
                         createFolder: true,
-                        type: 'frame'
+                        type: 'frame',
+                        fileAnnotations: this.getSceneFrameAnnotations(results.extractedFrames, videoName)
                     }
                 );
                 this.progressManager.updateStageProgress('import', 0.5);
                 importResults.push(frameImportResult);
             }
             
-            // 클립 임포트
+            // 클립 임포트 (움짤 미리보기는 클립과 같은 태그·주석으로 함께 임포트)
             if (results.extractedClips.length > 0) {
-                const clipPaths = results.extractedClips.map(clip => clip.path);
+                const clipPaths = results.extractedClips.flatMap(clip =>
+                    clip.animatedPreview ? [clip.path, clip.animatedPreview.path] : [clip.path]);
                 const clipImportResult = await this.eagleImporter.importToEagle(
                     clipPaths,
                     videoName,
                     {
                         duplicateHandling: this.settings.duplicateHandling,
                         createFolder: true,
-                        type: 'clip'
+                        type: 'clip',
+                        fileAnnotations: this.getClipBoundaryAnnotations(results.extractedClips, videoName)
                     }
                 );
                 this.progressManager.updateStageProgress('import', 1.0);
                 importResults.push(clipImportResult);
             }
             
+            // 콘택트 시트 임포트
+            if (results.contactSheetFiles?.length > 0) {
+                const contactSheetImportResult = await this.eagleImporter.importToEagle(
+                    results.contactSheetFiles.map(file => file.path),
+                    videoName,
+                    {
+                        duplicateHandling: this.settings.duplicateHandling,
+                        createFolder: true,
+                        type: 'contact-sheet'
+                    }
+                );
+                importResults.push(contactSheetImportResult);
+            }
+            
+            // 장면 목록 임포트 (클립 폴더의 원본 파일은 유지)
+            if (this.settings.importSceneListToEagle && results.sceneListFiles?.length > 0) {
+                const sceneListImportResult = await this.eagleImporter.importToEagle(
+                    results.sceneListFiles.map(file => file.path),
+                    videoName,
+                    {
+                        duplicateHandling: this.settings.duplicateHandling,
+                        createFolder: true,
+                        cleanupAfterImport: false,
+                        type: 'scene-list'
+                    }
+                );
+                importResults.push(sceneListImportResult);
+            }
+            
             this.progressManager.completeStage('import', `${importResults.length}개 파일 그룹 임포트 완료`);
             return importResults;
             
@@ -390,6 +390,48 @@ class FileService {
         }
     }
     
+    /**
+     * 컷 리스트 파일 선택 (EDL, FCPXML, Premiere XML)
+     * @param {string} timeBase - 'record'(편집본 타임라인) | 'source'(원본 소스)
+     * @returns {Promise<boolean>} 선택 여부
+     */
+    async selectCutListFile(timeBase = 'record') {
+        try {
+            if (typeof eagle === 'undefined' || !eagle.dialog?.showOpenDialog) {
+                this.uiController.showNotification('파일 선택 대화상자를 사용할 수 없습니다.', 'error');
+                return false;
+            }
+            
+            const result = await eagle.dialog.showOpenDialog({
+                title: '컷 리스트 선택',
+                properties: ['openFile'],
+                filters: [
+                    { name: 'Cut List', extensions: ['edl', 'fcpxml', 'xml'] }
+                ]
+            });
+            
+            if (!result || result.canceled || !result.filePaths?.length) {
+                return false;
+            }
+            
+            const filePath = result.filePaths[0];
+            const name = filePath.split(/[\\/]/).pop();
+            this.stateManager.setCutList({ path: filePath, name, timeBase });
+            
+            this.uiController.showNotification(`컷 리스트 적용: ${name}`, 'success');
+            console.log('📄 컷 리스트 선택 완료:', filePath);
+            return true;
+            
+        } catch (error) {
+            console.error('컷 리스트 선택 실패:', error);
+            await this.errorHandler.handleError(error, 'cut_list_selection', {
+                level: 'error',
+                shouldNotify: true
+            });
+            return false;
+        }
+    }
+    
     /**
      * 파일 선택 초기화
      */
@@ -0,0 +1,501 @@
+/**
+ * Cut Timeline Editor
+ * 추출 전 컷 포인트 검토 및 편집 타임라인 (컷 추가·삭제·프레임 단위 이동, 장면 병합·분할)
+ */
+class CutTimelineEditor {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+
+        // 편집 상태
+        this.scenes = [];           // [{ inFrame, outFrame, transitionIn, transitionOut, ... }]
+        this.originalScenes = [];   // 초기화용 감지 결과
+        this.videoInfo = null;
+        this.inHandle = 0;
+        this.outHandle = 0;
+        this.selectedCut = -1;      // scenes[i]와 scenes[i + 1] 사이 경계
+        this.selectedScene = -1;
+        this.playheadFrame = 0;
+        this.viewRange = null;      // 타임라인에 표시할 프레임 구간 { startFrame, endFrame }
+
+        // 검토 완료 대기 Promise
+        this.pendingReview = null;
+        this.listenersAttached = false;
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    /**
+     * 컷 포인트 검토 시작 - 사용자가 추출을 계속하거나 취소할 때까지 대기
+     * @param {Object} videoFile - 비디오 파일 정보
+     * @param {Object} videoInfo - 비디오 정보 (fps, frameTime, duration)
+     * @param {Array} segments - refineCutPointsFrameAccurate 형식의 구간 배열
+     * @param {Object} options - { inHandle, outHandle, thumbnailStrip, range: { start, end } 분석 구간 }
+     * @returns {Promise<Array|null>} 편집된 구간 배열 또는 null (취소)
+     */
+    review(videoFile, videoInfo, segments, options = {}) {
+        const elements = this.stateManager.getElements();
+        if (!elements.cutReviewSection || !elements.cutTimelineTrack) {
+            console.warn('⚠️ 컷 검토 타임라인 요소를 찾을 수 없어 감지 결과를 그대로 사용');
+            return Promise.resolve(segments);
+        }
+
+        this.attachListeners();
+
+        this.videoInfo = videoInfo;
+        this.inHandle = options.inHandle || 0;
+        this.outHandle = options.outHandle || 0;
+        this.viewRange = {
+            startFrame: options.range ? Math.round(options.range.start * videoInfo.fps) : 0,
+            endFrame: options.range ?
+                Math.round(options.range.end * videoInfo.fps) :
+                Math.max(Math.floor(videoInfo.duration * videoInfo.fps), 1)
+        };
+        this.scenes = segments.map(segment => ({ ...segment }));
+        this.originalScenes = segments.map(segment => ({ ...segment }));
+        this.selectedCut = -1;
+        this.selectedScene = this.scenes.length > 0 ? 0 : -1;
+        this.playheadFrame = this.scenes[0]?.inFrame || 0;
+
+        if (elements.cutReviewVideoName) {
+            elements.cutReviewVideoName.textContent = videoFile.name;
+        }
+
+        // 썸네일 스트립은 배경으로 깔고 그 위에 장면 블록 표시
+        elements.cutTimelineTrack.style.backgroundImage = options.thumbnailStrip ?
+            `url("${window.eagleUtils.toFileURL(options.thumbnailStrip)}")` : 'none';
+
+        elements.cutReviewSection.style.display = 'block';
+        elements.cutReviewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        document.addEventListener('keydown', this.handleKeyDown);
+
+        this.render();
+        console.log(`✂️ 컷 검토 시작: ${videoFile.name} (${this.scenes.length}개 장면)`);
+
+        return new Promise((resolve) => {
+            this.pendingReview = resolve;
+        });
+    }
+
+    /**
+     * 검토 종료 - 편집 결과(또는 null)로 대기 중인 Promise 해제
+     * @param {boolean} confirmed - 추출 계속 여부
+     */
+    finish(confirmed) {
+        if (!this.pendingReview) return;
+
+        const elements = this.stateManager.getElements();
+        if (elements.cutReviewSection) {
+            elements.cutReviewSection.style.display = 'none';
+        }
+        document.removeEventListener('keydown', this.handleKeyDown);
+
+        const resolve = this.pendingReview;
+        this.pendingReview = null;
+
+        if (confirmed) {
+            const segments = this.buildSegments();
+            console.log(`✅ 컷 검토 완료: ${segments.length}개 장면으로 추출 진행`);
+            resolve(segments);
+        } else {
+            console.log('🚫 컷 검토 취소');
+            resolve(null);
+        }
+    }
+
+    /**
+     * 버튼·타임라인 이벤트 리스너 등록 (최초 1회)
+     */
+    attachListeners() {
+        if (this.listenersAttached) return;
+
+        const elements = this.stateManager.getElements();
+        const actions = {
+            cutNudgeBackBtn: () => this.nudgeCut(-1),
+            cutNudgeForwardBtn: () => this.nudgeCut(1),
+            addCutBtn: () => this.addCut(this.playheadFrame),
+            deleteCutBtn: () => this.deleteCut(this.selectedCut),
+            mergeSceneBtn: () => this.mergeWithNext(this.selectedScene),
+            splitSceneBtn: () => this.splitScene(this.selectedScene),
+            resetCutsBtn: () => this.reset(),
+            confirmCutsBtn: () => this.finish(true),
+            cancelCutReviewBtn: () => this.finish(false)
+        };
+
+        Object.entries(actions).forEach(([id, action]) => {
+            if (elements[id]) {
+                elements[id].addEventListener('click', action);
+            }
+        });
+
+        if (elements.cutTimelineTrack) {
+            elements.cutTimelineTrack.addEventListener('click', (event) => this.handleTrackClick(event));
+            elements.cutTimelineTrack.addEventListener('dblclick', (event) => {
+                this.addCut(this.getFrameFromEvent(event));
+            });
+        }
+
+        this.listenersAttached = true;
+    }
+
+    /**
+     * 키보드 편집 (←/→: 선택한 컷 1프레임 이동, Shift: 10프레임, Delete: 컷 삭제)
+     */
+    handleKeyDown(event) {
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+        const step = event.shiftKey ? 10 : 1;
+        if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+            event.preventDefault();
+            if (this.selectedCut >= 0) {
+                this.nudgeCut(event.key === 'ArrowLeft' ? -step : step);
+            } else {
+                this.movePlayhead(event.key === 'ArrowLeft' ? -step : step);
+            }
+        } else if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            this.deleteCut(this.selectedCut);
+        }
+    }
+
+    /**
+     * 타임라인 클릭 - 컷 마커면 컷 선택, 아니면 재생 헤드 이동 및 장면 선택
+     */
+    handleTrackClick(event) {
+        const cutIndex = event.target.dataset?.cutIndex;
+        if (cutIndex !== undefined) {
+            this.selectedCut = parseInt(cutIndex);
+            this.selectedScene = -1;
+            this.playheadFrame = this.getCutFrame(this.selectedCut);
+        } else {
+            this.playheadFrame = this.getFrameFromEvent(event);
+            this.selectedCut = -1;
+            this.selectedScene = this.findSceneAt(this.playheadFrame);
+        }
+        this.render();
+    }
+
+    /**
+     * 마우스 위치 → 프레임 번호
+     */
+    getFrameFromEvent(event) {
+        const rect = this.stateManager.getElements().cutTimelineTrack.getBoundingClientRect();
+        const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+        return this.viewRange.startFrame + Math.round(ratio * this.getViewFrames());
+    }
+
+    /**
+     * 재생 헤드 이동
+     * @param {number} delta - 이동할 프레임 수
+     */
+    movePlayhead(delta) {
+        this.playheadFrame = Math.min(Math.max(this.playheadFrame + delta, this.viewRange.startFrame), this.viewRange.endFrame);
+        this.selectedScene = this.findSceneAt(this.playheadFrame);
+        this.render();
+    }
+
+    /**
+     * 재생 헤드 위치에 컷 추가 (해당 장면을 둘로 나눔)
+     * @param {number} frame - 컷 프레임
+     */
+    addCut(frame) {
+        const sceneIndex = this.findSceneAt(frame);
+        if (sceneIndex < 0) {
+            this.showHint('장면 안쪽을 선택한 뒤 컷을 추가하세요');
+            return;
+        }
+        this.splitAt(sceneIndex, frame);
+    }
+
+    /**
+     * 컷 삭제 (앞뒤 장면 병합)
+     * @param {number} cutIndex - 경계 인덱스
+     */
+    deleteCut(cutIndex) {
+        if (cutIndex < 0 || cutIndex >= this.scenes.length - 1) {
+            this.showHint('삭제할 컷을 먼저 선택하세요');
+            return;
+        }
+        this.mergeWithNext(cutIndex);
+    }
+
+    /**
+     * 선택한 장면을 다음 장면과 병합
+     * @param {number} sceneIndex - 장면 인덱스
+     */
+    mergeWithNext(sceneIndex) {
+        if (sceneIndex < 0 || sceneIndex >= this.scenes.length - 1) {
+            this.showHint('병합할 다음 장면이 없습니다');
+            return;
+        }
+
+        const current = this.scenes[sceneIndex];
+        const next = this.scenes[sceneIndex + 1];
+        this.scenes.splice(sceneIndex, 2, {
+            ...current,
+            outFrame: next.outFrame,
+            transitionOut: next.transitionOut,
+            cutChangeFrame: next.cutChangeFrame,
+            isLastSegment: next.isLastSegment
+        });
+
+        this.selectedCut = -1;
+        this.selectedScene = sceneIndex;
+        this.render();
+    }
+
+    /**
+     * 선택한 장면 분할 (재생 헤드가 장면 안에 있으면 그 위치, 아니면 중간)
+     * @param {number} sceneIndex - 장면 인덱스
+     */
+    splitScene(sceneIndex) {
+        const scene = this.scenes[sceneIndex];
+        if (!scene) {
+            this.showHint('분할할 장면을 먼저 선택하세요');
+            return;
+        }
+
+        const insideScene = this.playheadFrame > scene.inFrame && this.playheadFrame < scene.outFrame;
+        const frame = insideScene ? this.playheadFrame : Math.round((scene.inFrame + scene.outFrame) / 2);
+        this.splitAt(sceneIndex, frame);
+    }
+
+    /**
+     * 장면을 지정 프레임에서 분할 (새 경계에도 핸들 적용)
+     * @param {number} sceneIndex - 장면 인덱스
+     * @param {number} frame - 컷 프레임
+     */
+    splitAt(sceneIndex, frame) {
+        const scene = this.scenes[sceneIndex];
+        const leftOut = frame - this.outHandle;
+        const rightIn = frame + this.inHandle;
+
+        if (leftOut <= scene.inFrame || rightIn >= scene.outFrame) {
+            this.showHint('핸들을 적용하면 장면이 너무 짧아져 분할할 수 없습니다');
+            return;
+        }
+
+        this.scenes.splice(sceneIndex, 1,
+            { ...scene, outFrame: leftOut, transitionOut: 'cut', cutChangeFrame: frame, isLastSegment: false },
+            { ...scene, inFrame: rightIn, transitionIn: 'cut' }
+        );
+
+        this.selectedCut = sceneIndex;
+        this.selectedScene = -1;
+        this.playheadFrame = frame;
+        this.render();
+    }
+
+    /**
+     * 선택한 컷을 프레임 단위로 이동 (앞 장면 아웃점과 뒤 장면 인점을 함께 이동)
+     * @param {number} delta - 이동할 프레임 수 (음수면 앞으로)
+     */
+    nudgeCut(delta) {
+        const cutIndex = this.selectedCut;
+        if (cutIndex < 0 || cutIndex >= this.scenes.length - 1) {
+            this.showHint('이동할 컷을 먼저 선택하세요');
+            return;
+        }
+
+        const left = this.scenes[cutIndex];
+        const right = this.scenes[cutIndex + 1];
+
+        // 양쪽 장면 모두 최소 1프레임은 남도록 제한
+        const minDelta = left.inFrame + 1 - left.outFrame;
+        const maxDelta = right.outFrame - 1 - right.inFrame;
+        const applied = Math.min(Math.max(delta, minDelta), maxDelta);
+        if (applied === 0) return;
+
+        left.outFrame += applied;
+        right.inFrame += applied;
+        if (left.cutChangeFrame !== undefined) {
+            left.cutChangeFrame += applied;
+        }
+
+        this.playheadFrame = this.getCutFrame(cutIndex);
+        this.render();
+    }
+
+    /**
+     * 감지 결과로 되돌리기
+     */
+    reset() {
+        this.scenes = this.originalScenes.map(segment => ({ ...segment }));
+        this.selectedCut = -1;
+        this.selectedScene = this.scenes.length > 0 ? 0 : -1;
+        this.render();
+    }
+
+    /**
+     * 편집된 장면 → refineCutPointsFrameAccurate 형식 구간 배열
+     * @returns {Array} 구간 배열
+     */
+    buildSegments() {
+        const frameTime = this.videoInfo.frameTime;
+
+        return this.scenes.map((scene, index) => {
+            const middleFrame = Math.round((scene.inFrame + scene.outFrame) / 2);
+            const segment = {
+                ...scene,
+                start: scene.inFrame * frameTime,
+                end: scene.outFrame * frameTime,
+                duration: (scene.outFrame - scene.inFrame) * frameTime,
+                frameCount: scene.outFrame - scene.inFrame,
+                index,
+                middleFrame,
+                middleTime: middleFrame * frameTime
+            };
+
+            // 병합·이동으로 바뀐 컷 변화 지점 반영
+            if (scene.cutChangeFrame !== undefined) {
+                segment.cutChangeTime = scene.cutChangeFrame * frameTime;
+            } else {
+                delete segment.cutChangeTime;
+            }
+            return segment;
+        });
+    }
+
+    /**
+     * 경계 인덱스의 컷 프레임 (핸들 사이 중간 지점)
+     * @param {number} cutIndex - 경계 인덱스
+     * @returns {number} 프레임 번호
+     */
+    getCutFrame(cutIndex) {
+        const left = this.scenes[cutIndex];
+        const right = this.scenes[cutIndex + 1];
+        return left.cutChangeFrame ?? Math.round((left.outFrame + right.inFrame) / 2);
+    }
+
+    /**
+     * 프레임이 속한 장면 인덱스
+     * @param {number} frame - 프레임 번호
+     * @returns {number} 장면 인덱스 (없으면 -1)
+     */
+    findSceneAt(frame) {
+        return this.scenes.findIndex(scene => frame >= scene.inFrame && frame < scene.outFrame);
+    }
+
+    /**
+     * 타임라인에 표시되는 프레임 수 (분석 구간이 있으면 구간 길이)
+     */
+    getViewFrames() {
+        return Math.max(this.viewRange.endFrame - this.viewRange.startFrame, 1);
+    }
+
+    /**
+     * 타임라인 렌더링
+     */
+    render() {
+        const elements = this.stateManager.getElements();
+        const track = elements.cutTimelineTrack;
+        const viewFrames = this.getViewFrames();
+        const toPercent = (frame) => `${(frame / viewFrames * 100).toFixed(3)}%`;
+        const toPosition = (frame) => toPercent(frame - this.viewRange.startFrame);
+
+        track.innerHTML = '';
+
+        this.scenes.forEach((scene, index) => {
+            const block = document.createElement('div');
+            block.className = 'timeline-scene' + (index === this.selectedScene ? ' selected' : '');
+            block.style.left = toPosition(scene.inFrame);
+            block.style.width = toPercent(scene.outFrame - scene.inFrame);
+            block.textContent = index + 1;
+            block.title = `장면 ${index + 1}: ${this.formatTimecode(scene.inFrame)} ~ ${this.formatTimecode(scene.outFrame)} (${scene.outFrame - scene.inFrame}프레임)`;
+            track.appendChild(block);
+        });
+
+        for (let i = 0; i < this.scenes.length - 1; i++) {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-cut' + (i === this.selectedCut ? ' selected' : '');
+            if (this.scenes[i].transitionOut && this.scenes[i].transitionOut !== 'cut') {
+                marker.classList.add(this.scenes[i].transitionOut);
+            }
+            marker.style.left = toPosition(this.getCutFrame(i));
+            marker.dataset.cutIndex = i;
+            marker.title = `컷 ${i + 1}: 프레임 ${this.getCutFrame(i)}`;
+            track.appendChild(marker);
+        }
+
+        const playhead = document.createElement('div');
+        playhead.className = 'timeline-playhead';
+        playhead.style.left = toPosition(this.playheadFrame);
+        track.appendChild(playhead);
+
+        this.renderInfo();
+    }
+
+    /**
+     * 선택 정보·버튼 상태 갱신
+     */
+    renderInfo() {
+        const elements = this.stateManager.getElements();
+        const hasCut = this.selectedCut >= 0;
+        const hasScene = this.selectedScene >= 0;
+
+        if (elements.cutReviewCount) {
+            elements.cutReviewCount.textContent = `${this.scenes.length}개 장면`;
+        }
+
+        if (elements.cutReviewInfo) {
+            if (hasCut) {
+                const frame = this.getCutFrame(this.selectedCut);
+                elements.cutReviewInfo.textContent = `컷 ${this.selectedCut + 1} 선택 · 프레임 ${frame} (${this.formatTimecode(frame)}) · ←/→ 1프레임, Shift 10프레임 이동`;
+            } else if (hasScene) {
+                const scene = this.scenes[this.selectedScene];
+                elements.cutReviewInfo.textContent = `장면 ${this.selectedScene + 1} 선택 · ${this.formatTimecode(scene.inFrame)} ~ ${this.formatTimecode(scene.outFrame)} · 재생 헤드 ${this.formatTimecode(this.playheadFrame)}`;
+            } else {
+                elements.cutReviewInfo.textContent = `재생 헤드 ${this.formatTimecode(this.playheadFrame)} · 컷 마커를 클릭해 선택, 더블클릭으로 컷 추가`;
+            }
+        }
+
+        const buttonStates = {
+            cutNudgeBackBtn: !hasCut,
+            cutNudgeForwardBtn: !hasCut,
+            deleteCutBtn: !hasCut,
+            addCutBtn: this.findSceneAt(this.playheadFrame) < 0,
+            mergeSceneBtn: !hasScene || this.selectedScene >= this.scenes.length - 1,
+            splitSceneBtn: !hasScene,
+            confirmCutsBtn: this.scenes.length === 0
+        };
+        Object.entries(buttonStates).forEach(([id, disabled]) => {
+            if (elements[id]) {
+                elements[id].disabled = disabled;
+            }
+        });
+    }
+
+    /**
+     * 편집 불가 안내
+     */
+    showHint(message) {
+        const elements = this.stateManager.getElements();
+        if (elements.cutReviewInfo) {
+            elements.cutReviewInfo.textContent = `⚠️ ${message}`;
+        }
+    }
+
+    /**
+     * 프레임 → HH:MM:SS:FF 타임코드
+     * @param {number} frame - 프레임 번호
+     * @returns {string} 타임코드
+     */
+    formatTimecode(frame) {
+        const fps = Math.round(this.videoInfo.fps) || 30;
+        const totalSeconds = Math.floor(frame / fps);
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return [
+            Math.floor(totalSeconds / 3600),
+            Math.floor(totalSeconds / 60) % 60,
+            totalSeconds % 60,
+            frame % fps
+        ].map(pad).join(':');
+    }
+}
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CutTimelineEditor;
+} else if (typeof window !== 'undefined') {
+    window.CutTimelineEditor = CutTimelineEditor;
+}
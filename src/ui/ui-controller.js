@@ -60,8 +60,18 @@ class UIController {
         
         // 설정 컨트롤 비활성화
         const settingsControls = [
-            'sensitivitySlider', 'qualitySlider', 'formatSelect',
-            'inHandleSlider', 'outHandleSlider'
+            'sensitivitySlider', 'detectionMode', 'frameSamplingMode', 'frameSamplingValue',
+            'sceneFramePolicy', 'sceneFrameCount', 'performanceProfile', 'minSceneLength', 'minSceneLengthUnit',
+            'audioMode', 'beatSnapTolerance', 'beatsPerCut',
+            'reviewCutsBeforeExtraction', 'rangeStart', 'rangeEnd',
+            'cutListBtn', 'clearCutListBtn', 'cutListTimeBase',
+            'exportSceneList', 'importSceneListToEagle', 'contactSheet', 'contactSheetColumns',
+            'qualitySlider', 'formatSelect',
+            'frameMaxWidth', 'frameMaxHeight', 'frameAspectRatio', 'removeLetterbox', 'keepHdr',
+            'inHandleSlider', 'outHandleSlider',
+            'clipProfile', 'clipRateControl', 'clipBitrate', 'clipTargetSizeMB', 'clipCopyMode',
+            'clipMinDuration', 'clipMaxDuration', 'clipLongSceneMode',
+            'animatedPreview', 'animatedWidth', 'animatedFps', 'animatedMaxDuration'
         ];
         
         settingsControls.forEach(controlId => {
@@ -71,6 +81,20 @@ class UIController {
             }
         });
         
+        // 샘플링 N은 컷 기준 추출일 때, 장면당 추출 수는 균등 분포·최적 프레임 선택일 때만 사용
+        if (!isProcessing && elements.frameSamplingMode && elements.frameSamplingValue) {
+            elements.frameSamplingValue.disabled = elements.frameSamplingMode.value === 'cuts';
+        }
+        if (!isProcessing && elements.sceneFramePolicy && elements.sceneFrameCount) {
+            elements.sceneFrameCount.disabled = !['even', 'best'].includes(elements.sceneFramePolicy.value);
+        }
+        if (!isProcessing && elements.clipRateControl && elements.clipBitrate) {
+            elements.clipBitrate.disabled = elements.clipRateControl.value !== 'bitrate';
+        }
+        if (!isProcessing && elements.clipRateControl && elements.clipTargetSizeMB) {
+            elements.clipTargetSizeMB.disabled = elements.clipRateControl.value !== 'size';
+        }
+        
         // 파일 선택 비활성화
         if (elements.selectFileBtn) {
             elements.selectFileBtn.disabled = isProcessing;
@@ -383,6 +407,107 @@ class UIController {
                 <h3>처리 완료</h3>
                 <p>총 ${results.totalCount || 0}개의 파일이 처리되었습니다.</p>
             </div>
+            ${this.generateClipAdjustmentHTML(results.extractedClips)}
+            ${this.generateClipSizeHTML(results.extractedClips)}
+            ${this.generateClipBoundaryHTML(results.extractedClips)}
+        `;
+    }
+    
+    /**
+     * 길이 제한으로 변경된 클립 경고 (늘림·자름·분할)
+     * @param {Array} clips - 추출된 클립 (durationAdjustment가 있는 클립만 표시, 분할 조각은 장면당 한 줄)
+     * @returns {string} HTML (변경된 클립이 없으면 빈 문자열)
+     */
+    generateClipAdjustmentHTML(clips) {
+        const adjustedClips = (clips || []).filter(clip =>
+            clip.durationAdjustment && (clip.durationAdjustment.type !== 'split' || clip.durationAdjustment.part === 1));
+        if (adjustedClips.length === 0) return '';
+        
+        const items = adjustedClips.map(clip => {
+            const { type, original, duration, parts } = clip.durationAdjustment;
+            const from = `${original.duration.toFixed(1)}초`;
+            const message = type === 'padded' ? `${from} → ${duration.toFixed(1)}초로 늘림` :
+                type === 'truncated' ? `${from} → ${duration.toFixed(1)}초로 자름 (뒤쪽 ${(original.duration - duration).toFixed(1)}초 제외)` :
+                `${from} 장면을 ${parts}개 클립(각 ${duration.toFixed(1)}초)으로 분할`;
+            return `
+                <div class="batch-result-item">
+                    <strong>클립 ${clip.clipIndex}</strong> · ${message}
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="batch-results-detail">
+                <h4>⚠️ 길이 제한으로 변경된 클립 ${adjustedClips.length}개</h4>
+                <div class="batch-results-list">${items}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * 목표 크기 모드에서 목표를 넘은 클립 경고
+     * @param {Array} clips - 추출된 클립 (sizeTarget이 있는 클립 중 초과한 것만 표시)
+     * @returns {string} HTML (초과한 클립이 없으면 빈 문자열)
+     */
+    generateClipSizeHTML(clips) {
+        const oversizedClips = (clips || []).filter(clip => clip.sizeTarget && clip.sizeTarget.actualMB > clip.sizeTarget.targetMB);
+        if (oversizedClips.length === 0) return '';
+        
+        const items = oversizedClips.map(clip => `
+                <div class="batch-result-item">
+                    <strong>${this.escapeHTML(clip.filename)}</strong> · ${clip.sizeTarget.actualMB}MB (목표 ${clip.sizeTarget.targetMB}MB)
+                </div>
+            `).join('');
+        
+        return `
+            <div class="batch-results-detail">
+                <h4>⚠️ 목표 크기를 넘은 클립 ${oversizedClips.length}개</h4>
+                <div class="batch-results-list">${items}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * HTML 특수 문자 이스케이프 (파일명처럼 사용자 입력이 들어간 값을 innerHTML에 넣을 때)
+     * @param {*} value - 원본 값
+     * @returns {string} 이스케이프된 문자열
+     */
+    escapeHTML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    /**
+     * 스트림 복사 클립의 경계 이동 목록 (감지된 컷 → 실제 클립 시작)
+     * @param {Array} clips - 추출된 클립 (boundary가 있는 클립만 표시)
+     * @returns {string} HTML (표시할 클립이 없으면 빈 문자열)
+     */
+    generateClipBoundaryHTML(clips) {
+        const copiedClips = (clips || []).filter(clip => clip.boundary);
+        if (copiedClips.length === 0) return '';
+        
+        const items = copiedClips.map(clip => {
+            const { detectedStart, startShift, startShiftFrames } = clip.boundary;
+            const method = clip.method === 'smart-render' ? '스마트 렌더' : '키프레임 정렬';
+            const shift = startShiftFrames === 0 ? '이동 없음' :
+                `${startShift > 0 ? '+' : ''}${startShift.toFixed(3)}초 (${startShiftFrames}프레임)`;
+            return `
+                <div class="batch-result-item">
+                    <strong>클립 ${clip.clipIndex}</strong> · 컷 ${detectedStart.toFixed(3)}초 → 시작 ${clip.startTime.toFixed(3)}초
+                    <br><small>${shift} · ${method}</small>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="batch-results-detail">
+                <h4>클립 경계 이동 (스트림 복사)</h4>
+                <div class="batch-results-list">${items}</div>
+            </div>
         `;
     }
 }
@@ -6,6 +6,23 @@ class FFmpegManager {
     constructor() {
         this.ffmpegPaths = null;
         this.isInitialized = false;
+        this.imageFormatSupport = null;
+        this.filters = null;
+        this.encoders = null;
+        
+        // 프레임 이미지 포맷별 인코더 후보 (우선순위 순)
+        this.imageFormatEncoders = {
+            jpg: ['mjpeg'],
+            png: ['png'],
+            webp: ['libwebp'],
+            avif: ['libaom-av1', 'libsvtav1', 'librav1e'],
+            tiff: ['tiff']
+        };
+        
+        // 인코더 외에 별도 먹서가 필요한 포맷
+        this.imageFormatMuxers = {
+            avif: 'avif'
+        };
         
         // 기본 FFmpeg 경로들 (시스템별)
         this.defaultPaths = {
@@ -332,6 +349,134 @@ class FFmpegManager {
         }
     }
     
+    /**
+     * 이미지 포맷 지원 여부 확인
+     * 설치된 FFmpeg의 인코더/먹서 목록을 기준으로 포맷별 사용할 인코더를 결정합니다.
+     * @returns {Promise<Object>} 포맷별 인코더 이름 (미지원 포맷은 null)
+     */
+    async getImageFormatSupport() {
+        if (this.imageFormatSupport) {
+            return this.imageFormatSupport;
+        }
+        
+        const [encoders, muxers] = await Promise.all([
+            this.getEncoders(),
+            this.listComponents('-muxers')
+        ]);
+        
+        const support = {};
+        for (const [format, candidates] of Object.entries(this.imageFormatEncoders)) {
+            if (!encoders) {
+                // 목록을 읽지 못하면 기존 기본 포맷만 허용
+                support[format] = (format === 'jpg' || format === 'png') ? candidates[0] : null;
+                continue;
+            }
+            
+            const muxer = this.imageFormatMuxers[format];
+            const hasMuxer = !muxer || !muxers || muxers.has(muxer);
+            const encoder = candidates.find(name => encoders.has(name)) || null;
+            support[format] = hasMuxer ? encoder : null;
+        }
+        
+        console.log('🖼️ 이미지 포맷 지원 현황:', support);
+        
+        // 목록 조회에 실패한 경우 다음 호출에서 다시 시도
+        if (encoders) {
+            this.imageFormatSupport = support;
+        }
+        return support;
+    }
+    
+    /**
+     * 설치된 FFmpeg 인코더 목록 (조회 성공 시 캐시)
+     * @returns {Promise<Set<string>|null>} 인코더 이름 집합
+     */
+    async getEncoders() {
+        if (!this.encoders) {
+            this.encoders = await this.listComponents('-encoders');
+        }
+        return this.encoders;
+    }
+    
+    /**
+     * 인코더 사용 가능 여부 확인
+     * @param {string} name - 인코더 이름
+     * @returns {Promise<boolean>} 사용 가능 여부 (목록 조회 실패 시 true)
+     */
+    async hasEncoder(name) {
+        const encoders = await this.getEncoders();
+        return encoders ? encoders.has(name) : true;
+    }
+    
+    /**
+     * 필터 사용 가능 여부 확인 (zscale처럼 빌드에 따라 빠질 수 있는 필터용)
+     * @param {string} name - 필터 이름
+     * @returns {Promise<boolean>} 사용 가능 여부 (목록 조회 실패 시 true)
+     */
+    async hasFilter(name) {
+        if (!this.filters) {
+            this.filters = await this.listComponents('-filters');
+        }
+        return this.filters ? this.filters.has(name) : true;
+    }
+    
+    /**
+     * FFmpeg 구성 요소 목록 조회 (-encoders, -muxers 등)
+     * @param {string} flag - FFmpeg 목록 옵션
+     * @returns {Promise<Set<string>|null>} 구성 요소 이름 집합
+     */
+    async listComponents(flag) {
+        if (!this.ffmpegPaths || !window.require) {
+            return null;
+        }
+        
+        try {
+            const { spawn } = window.require('child_process');
+            
+            return await new Promise((resolve) => {
+                const ffmpeg = spawn(this.ffmpegPaths.ffmpeg, ['-hide_banner', flag], {
+                    stdio: ['ignore', 'pipe', 'pipe']
+                });
+                
+                let output = '';
+                ffmpeg.stdout.on('data', (data) => {
+                    output += data.toString();
+                });
+                
+                ffmpeg.on('close', (code) => {
+                    if (code !== 0) {
+                        resolve(null);
+                        return;
+                    }
+                    
+                    // 예: " V....D libwebp   libwebp WebP image" / "  E avif   AVIF"
+                    const names = new Set();
+                    const pattern = /^\s*[A-Z.]{1,6}\s+([\w-]+)\s/;
+                    for (const line of output.split('\n')) {
+                        const match = line.match(pattern);
+                        if (match) {
+                            names.add(match[1]);
+                        }
+                    }
+                    resolve(names);
+                });
+                
+                ffmpeg.on('error', () => {
+                    resolve(null);
+                });
+                
+                setTimeout(() => {
+                    ffmpeg.kill();
+                    resolve(null);
+                }, 5000);
+            });
+            
+        } catch (error) {
+            console.error(`FFmpeg ${flag} 목록 조회 실패:`, error);
+            return null;
+        }
+    }
+    
     /**
      * 현재 상태 조회
      */
@@ -11,17 +11,56 @@ class SettingsManager {
         this.defaultSettings = {
             // 비디오 분석 설정
             sensitivity: 0.3,
+            detectionMode: 'threshold',
+            frameSamplingMode: 'cuts',
+            frameSamplingValue: 10,
+            sceneFramePolicy: 'middle',
+            sceneFrameCount: 3,
+            performanceProfile: 'quality',
+            audioMode: 'off',
+            beatSnapTolerance: 0.15,
+            beatsPerCut: 4,
+            minSceneLength: 1.0,
+            minSceneLengthUnit: 'seconds',
+            reviewCutsBeforeExtraction: false,
+            rangeStart: '',     // 분석 구간 시작 (비우면 처음부터)
+            rangeEnd: '',       // 분석 구간 끝 (비우면 끝까지)
             inHandle: 3,
             outHandle: 3,
             
+            // 클립 출력 설정
+            clipProfile: 'h264_mp4',
+            clipRateControl: 'bitrate',
+            clipBitrate: 5,     // Mbps
+            clipTargetSizeMB: 8,
+            clipCopyMode: 'off',
+            clipMinDuration: 0.5,   // 초 (0이면 늘리지 않음)
+            clipMaxDuration: 30,    // 초 (0이면 제한 없음)
+            clipLongSceneMode: 'truncate',
+            animatedPreview: 'off',     // 'off' | 'gif' | 'webp'
+            animatedWidth: 480,
+            animatedFps: 12,
+            animatedMaxDuration: 6,     // 초 (0이면 클립 전체)
+            
             // 출력 설정
             format: 'png',
             quality: 8,
+            frameMaxWidth: 0,   // 0이면 제한 없음
+            frameMaxHeight: 0,
+            frameAspectRatio: 'original',
+            removeLetterbox: false,
+            keepHdr: false,
             
             // 추출 방식 설정
             extractionMethod: 'unified',
             duplicateHandling: 'overwrite',
             
+            // 장면 목록 내보내기 설정
+            exportSceneList: false,
+            contactSheet: false,
+            contactSheetColumns: 4,
+            importSceneListToEagle: false,
+            
             // 프레임 설정
             analysisFrameNaming: false,
             smartFrameSelection: true,
@@ -51,6 +90,70 @@ class SettingsManager {
                 settings.sensitivity = parseFloat(elements.sensitivitySlider.value) || this.defaultSettings.sensitivity;
             }
             
+            // 컷 감지 방식
+            if (elements.detectionMode) {
+                settings.detectionMode = elements.detectionMode.value || this.defaultSettings.detectionMode;
+            }
+            
+            // 프레임 추출 시점 (샘플링 모드)
+            if (elements.frameSamplingMode) {
+                settings.frameSamplingMode = elements.frameSamplingMode.value || this.defaultSettings.frameSamplingMode;
+            }
+            
+            if (elements.frameSamplingValue) {
+                settings.frameSamplingValue = parseFloat(elements.frameSamplingValue.value) || this.defaultSettings.frameSamplingValue;
+            }
+            
+            // 장면별 추출 위치
+            if (elements.sceneFramePolicy) {
+                settings.sceneFramePolicy = elements.sceneFramePolicy.value || this.defaultSettings.sceneFramePolicy;
+            }
+            
+            if (elements.sceneFrameCount) {
+                settings.sceneFrameCount = parseInt(elements.sceneFrameCount.value) || this.defaultSettings.sceneFrameCount;
+            }
+            
+            // 감지 속도 (축소 디코딩 프로파일)
+            if (elements.performanceProfile) {
+                settings.performanceProfile = elements.performanceProfile.value || this.defaultSettings.performanceProfile;
+            }
+            
+            // 오디오 기반 컷
+            if (elements.audioMode) {
+                settings.audioMode = elements.audioMode.value || this.defaultSettings.audioMode;
+            }
+            
+            if (elements.beatSnapTolerance) {
+                settings.beatSnapTolerance = parseFloat(elements.beatSnapTolerance.value) || this.defaultSettings.beatSnapTolerance;
+            }
+            
+            if (elements.beatsPerCut) {
+                settings.beatsPerCut = parseInt(elements.beatsPerCut.value) || this.defaultSettings.beatsPerCut;
+            }
+            
+            // 최소 장면 길이
+            if (elements.minSceneLength) {
+                settings.minSceneLength = parseFloat(elements.minSceneLength.value) || this.defaultSettings.minSceneLength;
+            }
+            
+            if (elements.minSceneLengthUnit) {
+                settings.minSceneLengthUnit = elements.minSceneLengthUnit.value || this.defaultSettings.minSceneLengthUnit;
+            }
+            
+            // 추출 전 컷 검토
+            if (elements.reviewCutsBeforeExtraction) {
+                settings.reviewCutsBeforeExtraction = elements.reviewCutsBeforeExtraction.checked;
+            }
+            
+            // 분석 구간
+            if (elements.rangeStart) {
+                settings.rangeStart = elements.rangeStart.value.trim();
+            }
+            
+            if (elements.rangeEnd) {
+                settings.rangeEnd = elements.rangeEnd.value.trim();
+            }
+            
             // 포맷 선택
             if (elements.formatSelect) {
                 settings.format = elements.formatSelect.value || this.defaultSettings.format;
@@ -61,6 +164,27 @@ class SettingsManager {
                 settings.quality = parseInt(elements.qualitySlider.value) || this.defaultSettings.quality;
             }
             
+            // 프레임 크기·크롭
+            if (elements.frameMaxWidth) {
+                settings.frameMaxWidth = parseInt(elements.frameMaxWidth.value) || 0;
+            }
+            
+            if (elements.frameMaxHeight) {
+                settings.frameMaxHeight = parseInt(elements.frameMaxHeight.value) || 0;
+            }
+            
+            if (elements.frameAspectRatio) {
+                settings.frameAspectRatio = elements.frameAspectRatio.value || this.defaultSettings.frameAspectRatio;
+            }
+            
+            if (elements.removeLetterbox) {
+                settings.removeLetterbox = elements.removeLetterbox.checked;
+            }
+            
+            if (elements.keepHdr) {
+                settings.keepHdr = elements.keepHdr.checked;
+            }
+            
             // 핸들 슬라이더들
             if (elements.inHandleSlider) {
                 settings.inHandle = parseInt(elements.inHandleSlider.value) || this.defaultSettings.inHandle;
@@ -70,6 +194,60 @@ class SettingsManager {
                 settings.outHandle = parseInt(elements.outHandleSlider.value) || this.defaultSettings.outHandle;
             }
             
+            // 클립 출력 설정
+            if (elements.clipProfile) {
+                settings.clipProfile = elements.clipProfile.value || this.defaultSettings.clipProfile;
+            }
+            
+            if (elements.clipRateControl) {
+                settings.clipRateControl = elements.clipRateControl.value || this.defaultSettings.clipRateControl;
+            }
+            
+            if (elements.clipBitrate) {
+                settings.clipBitrate = parseFloat(elements.clipBitrate.value) || this.defaultSettings.clipBitrate;
+            }
+            
+            if (elements.clipTargetSizeMB) {
+                settings.clipTargetSizeMB = parseFloat(elements.clipTargetSizeMB.value) || this.defaultSettings.clipTargetSizeMB;
+            }
+            
+            if (elements.clipCopyMode) {
+                settings.clipCopyMode = elements.clipCopyMode.value || this.defaultSettings.clipCopyMode;
+            }
+            
+            // 클립 길이 제한 (0은 유효한 값이므로 빈 입력일 때만 기본값)
+            if (elements.clipMinDuration) {
+                const value = parseFloat(elements.clipMinDuration.value);
+                settings.clipMinDuration = isNaN(value) ? this.defaultSettings.clipMinDuration : value;
+            }
+            
+            if (elements.clipMaxDuration) {
+                const value = parseFloat(elements.clipMaxDuration.value);
+                settings.clipMaxDuration = isNaN(value) ? this.defaultSettings.clipMaxDuration : value;
+            }
+            
+            if (elements.clipLongSceneMode) {
+                settings.clipLongSceneMode = elements.clipLongSceneMode.value || this.defaultSettings.clipLongSceneMode;
+            }
+            
+            // 움짤 미리보기 설정
+            if (elements.animatedPreview) {
+                settings.animatedPreview = elements.animatedPreview.value || this.defaultSettings.animatedPreview;
+            }
+            
+            if (elements.animatedWidth) {
+                settings.animatedWidth = parseInt(elements.animatedWidth.value) || this.defaultSettings.animatedWidth;
+            }
+            
+            if (elements.animatedFps) {
+                settings.animatedFps = parseInt(elements.animatedFps.value) || this.defaultSettings.animatedFps;
+            }
+            
+            if (elements.animatedMaxDuration) {
+                const value = parseFloat(elements.animatedMaxDuration.value);
+                settings.animatedMaxDuration = isNaN(value) ? this.defaultSettings.animatedMaxDuration : value;
+            }
+            
             // 추출 방식
             if (elements.extractionMethod) {
                 settings.extractionMethod = elements.extractionMethod.value || this.defaultSettings.extractionMethod;
@@ -85,6 +263,22 @@ class SettingsManager {
                 settings.analysisFrameNaming = elements.analysisFrameNaming.checked;
             }
             
+            if (elements.exportSceneList) {
+                settings.exportSceneList = elements.exportSceneList.checked;
+            }
+            
+            if (elements.contactSheet) {
+                settings.contactSheet = elements.contactSheet.checked;
+            }
+            
+            if (elements.contactSheetColumns) {
+                settings.contactSheetColumns = parseInt(elements.contactSheetColumns.value) || this.defaultSettings.contactSheetColumns;
+            }
+            
+            if (elements.importSceneListToEagle) {
+                settings.importSceneListToEagle = elements.importSceneListToEagle.checked;
+            }
+            
             if (elements.smartFrameSelection) {
                 settings.smartFrameSelection = elements.smartFrameSelection.checked;
             }
@@ -125,11 +319,100 @@ class SettingsManager {
                 this.updateSensitivityValue();
             }
             
+            // 컷 감지 방식
+            if (elements.detectionMode && targetSettings.detectionMode) {
+                elements.detectionMode.value = targetSettings.detectionMode;
+            }
+            
+            // 프레임 추출 시점
+            if (elements.frameSamplingMode && targetSettings.frameSamplingMode) {
+                elements.frameSamplingMode.value = targetSettings.frameSamplingMode;
+                if (elements.frameSamplingValue) {
+                    elements.frameSamplingValue.disabled = targetSettings.frameSamplingMode === 'cuts';
+                }
+            }
+            
+            if (elements.frameSamplingValue && targetSettings.frameSamplingValue !== undefined) {
+                elements.frameSamplingValue.value = targetSettings.frameSamplingValue;
+            }
+            
+            // 장면별 추출 위치
+            if (elements.sceneFramePolicy && targetSettings.sceneFramePolicy) {
+                elements.sceneFramePolicy.value = targetSettings.sceneFramePolicy;
+                if (elements.sceneFrameCount) {
+                    elements.sceneFrameCount.disabled = !['even', 'best'].includes(targetSettings.sceneFramePolicy);
+                }
+            }
+            
+            if (elements.sceneFrameCount && targetSettings.sceneFrameCount !== undefined) {
+                elements.sceneFrameCount.value = targetSettings.sceneFrameCount;
+            }
+            
+            // 감지 속도
+            if (elements.performanceProfile && targetSettings.performanceProfile) {
+                elements.performanceProfile.value = targetSettings.performanceProfile;
+            }
+            
+            // 오디오 기반 컷
+            if (elements.audioMode && targetSettings.audioMode) {
+                elements.audioMode.value = targetSettings.audioMode;
+            }
+            
+            if (elements.beatSnapTolerance && targetSettings.beatSnapTolerance !== undefined) {
+                elements.beatSnapTolerance.value = targetSettings.beatSnapTolerance;
+            }
+            
+            if (elements.beatsPerCut && targetSettings.beatsPerCut !== undefined) {
+                elements.beatsPerCut.value = targetSettings.beatsPerCut;
+            }
+            
+            // 최소 장면 길이
+            if (elements.minSceneLengthUnit && targetSettings.minSceneLengthUnit) {
+                elements.minSceneLengthUnit.value = targetSettings.minSceneLengthUnit;
+            }
+            
+            if (elements.reviewCutsBeforeExtraction && targetSettings.reviewCutsBeforeExtraction !== undefined) {
+                elements.reviewCutsBeforeExtraction.checked = targetSettings.reviewCutsBeforeExtraction;
+            }
+            
+            if (elements.rangeStart && targetSettings.rangeStart !== undefined) {
+                elements.rangeStart.value = targetSettings.rangeStart;
+            }
+            
+            if (elements.rangeEnd && targetSettings.rangeEnd !== undefined) {
+                elements.rangeEnd.value = targetSettings.rangeEnd;
+            }
+            
+            if (elements.minSceneLength && targetSettings.minSceneLength !== undefined) {
+                elements.minSceneLength.value = targetSettings.minSceneLength;
+            }
+            
             // 포맷 선택
             if (elements.formatSelect && targetSettings.format) {
                 elements.formatSelect.value = targetSettings.format;
             }
             
+            // 프레임 크기·크롭
+            if (elements.frameMaxWidth && targetSettings.frameMaxWidth !== undefined) {
+                elements.frameMaxWidth.value = targetSettings.frameMaxWidth;
+            }
+            
+            if (elements.frameMaxHeight && targetSettings.frameMaxHeight !== undefined) {
+                elements.frameMaxHeight.value = targetSettings.frameMaxHeight;
+            }
+            
+            if (elements.frameAspectRatio && targetSettings.frameAspectRatio) {
+                elements.frameAspectRatio.value = targetSettings.frameAspectRatio;
+            }
+            
+            if (elements.removeLetterbox && targetSettings.removeLetterbox !== undefined) {
+                elements.removeLetterbox.checked = targetSettings.removeLetterbox;
+            }
+            
+            if (elements.keepHdr && targetSettings.keepHdr !== undefined) {
+                elements.keepHdr.checked = targetSettings.keepHdr;
+            }
+            
             // 품질 슬라이더
             if (elements.qualitySlider && targetSettings.quality !== undefined) {
                 elements.qualitySlider.value = targetSettings.quality;
@@ -147,6 +430,62 @@ class SettingsManager {
                 this.updateOutHandleValue();
             }
             
+            // 클립 출력 설정
+            if (elements.clipProfile && targetSettings.clipProfile) {
+                elements.clipProfile.value = targetSettings.clipProfile;
+            }
+            
+            if (elements.clipRateControl && targetSettings.clipRateControl) {
+                elements.clipRateControl.value = targetSettings.clipRateControl;
+                if (elements.clipBitrate) {
+                    elements.clipBitrate.disabled = targetSettings.clipRateControl !== 'bitrate';
+                }
+                if (elements.clipTargetSizeMB) {
+                    elements.clipTargetSizeMB.disabled = targetSettings.clipRateControl !== 'size';
+                }
+            }
+            
+            if (elements.clipBitrate && targetSettings.clipBitrate !== undefined) {
+                elements.clipBitrate.value = targetSettings.clipBitrate;
+            }
+            
+            if (elements.clipTargetSizeMB && targetSettings.clipTargetSizeMB !== undefined) {
+                elements.clipTargetSizeMB.value = targetSettings.clipTargetSizeMB;
+            }
+            
+            if (elements.clipCopyMode && targetSettings.clipCopyMode) {
+                elements.clipCopyMode.value = targetSettings.clipCopyMode;
+            }
+            
+            if (elements.clipMinDuration && targetSettings.clipMinDuration !== undefined) {
+                elements.clipMinDuration.value = targetSettings.clipMinDuration;
+            }
+            
+            if (elements.clipMaxDuration && targetSettings.clipMaxDuration !== undefined) {
+                elements.clipMaxDuration.value = targetSettings.clipMaxDuration;
+            }
+            
+            if (elements.clipLongSceneMode && targetSettings.clipLongSceneMode) {
+                elements.clipLongSceneMode.value = targetSettings.clipLongSceneMode;
+            }
+            
+            // 움짤 미리보기 설정
+            if (elements.animatedPreview && targetSettings.animatedPreview) {
+                elements.animatedPreview.value = targetSettings.animatedPreview;
+            }
+            
+            if (elements.animatedWidth && targetSettings.animatedWidth !== undefined) {
+                elements.animatedWidth.value = targetSettings.animatedWidth;
+            }
+            
+            if (elements.animatedFps && targetSettings.animatedFps !== undefined) {
+                elements.animatedFps.value = targetSettings.animatedFps;
+            }
+            
+            if (elements.animatedMaxDuration && targetSettings.animatedMaxDuration !== undefined) {
+                elements.animatedMaxDuration.value = targetSettings.animatedMaxDuration;
+            }
+            
             // 추출 방식
             if (elements.extractionMethod && targetSettings.extractionMethod) {
                 elements.extractionMethod.value = targetSettings.extractionMethod;
@@ -162,6 +501,22 @@ class SettingsManager {
                 elements.analysisFrameNaming.checked = targetSettings.analysisFrameNaming;
             }
             
+            if (elements.exportSceneList && targetSettings.exportSceneList !== undefined) {
+                elements.exportSceneList.checked = targetSettings.exportSceneList;
+            }
+            
+            if (elements.contactSheet && targetSettings.contactSheet !== undefined) {
+                elements.contactSheet.checked = targetSettings.contactSheet;
+            }
+            
+            if (elements.contactSheetColumns && targetSettings.contactSheetColumns !== undefined) {
+                elements.contactSheetColumns.value = targetSettings.contactSheetColumns;
+            }
+            
+            if (elements.importSceneListToEagle && targetSettings.importSceneListToEagle !== undefined) {
+                elements.importSceneListToEagle.checked = targetSettings.importSceneListToEagle;
+            }
+            
             if (elements.smartFrameSelection && targetSettings.smartFrameSelection !== undefined) {
                 elements.smartFrameSelection.checked = targetSettings.smartFrameSelection;
                 this.toggleSmartSelectionOptions(targetSettings.smartFrameSelection);
@@ -228,6 +583,40 @@ class SettingsManager {
             validated.sensitivity = Math.max(0.1, Math.min(0.7, parseFloat(settings.sensitivity) || 0.3));
         }
         
+        // 최소 장면 길이 (초: 0.1 ~ 10, 프레임: 1 ~ 300)
+        const validSceneLengthUnits = ['seconds', 'frames'];
+        if (settings.minSceneLengthUnit && validSceneLengthUnits.includes(settings.minSceneLengthUnit)) {
+            validated.minSceneLengthUnit = settings.minSceneLengthUnit;
+        }
+        
+        if (settings.minSceneLength !== undefined) {
+            const inFrames = (validated.minSceneLengthUnit || settings.minSceneLengthUnit) === 'frames';
+            validated.minSceneLength = inFrames ?
+                Math.max(1, Math.min(300, parseInt(settings.minSceneLength) || 25)) :
+                Math.max(0.1, Math.min(10, parseFloat(settings.minSceneLength) || 1.0));
+        }
+        
+        // 오디오 기반 컷 (허용 범위 0.02 ~ 1초, 컷 간격 1 ~ 32비트)
+        if (settings.beatSnapTolerance !== undefined) {
+            validated.beatSnapTolerance = Math.max(0.02, Math.min(1, parseFloat(settings.beatSnapTolerance) || 0.15));
+        }
+        
+        if (settings.beatsPerCut !== undefined) {
+            validated.beatsPerCut = Math.max(1, Math.min(32, parseInt(settings.beatsPerCut) || 4));
+        }
+        
+        if (settings.reviewCutsBeforeExtraction !== undefined) {
+            validated.reviewCutsBeforeExtraction = Boolean(settings.reviewCutsBeforeExtraction);
+        }
+        
+        // 분석 구간 (잘못된 형식은 비움 = 전체 구간)
+        ['rangeStart', 'rangeEnd'].forEach(key => {
+            if (settings[key] !== undefined) {
+                const seconds = window.eagleUtils?.parseTimeInput(settings[key]);
+                validated[key] = seconds === null || seconds === undefined ? '' : String(settings[key]).trim();
+            }
+        });
+        
         // 품질 (1 ~ 10)
         if (settings.quality !== undefined) {
             validated.quality = Math.max(1, Math.min(10, parseInt(settings.quality) || 8));
@@ -248,11 +637,119 @@ class SettingsManager {
         }
         
         // 문자열 설정들
-        const validFormats = ['jpg', 'png'];
+        const validFormats = ['jpg', 'png', 'webp', 'avif', 'tiff'];
         if (settings.format && validFormats.includes(settings.format)) {
             validated.format = settings.format;
         }
         
+        // 프레임 최대 크기 (0 = 제한 없음, 최대 16384)
+        if (settings.frameMaxWidth !== undefined) {
+            validated.frameMaxWidth = Math.max(0, Math.min(16384, parseInt(settings.frameMaxWidth) || 0));
+        }
+        
+        if (settings.frameMaxHeight !== undefined) {
+            validated.frameMaxHeight = Math.max(0, Math.min(16384, parseInt(settings.frameMaxHeight) || 0));
+        }
+        
+        const validAspectRatios = ['original', '16:9', '4:3', '1:1', '4:5', '9:16', '2.39:1'];
+        if (settings.frameAspectRatio && validAspectRatios.includes(settings.frameAspectRatio)) {
+            validated.frameAspectRatio = settings.frameAspectRatio;
+        }
+        
+        const validClipProfiles = ['h264_mp4', 'hevc_mp4', 'prores_proxy_mov', 'prores_hq_mov', 'vp9_webm', 'av1_webm', 'h264_mkv'];
+        if (settings.clipProfile && validClipProfiles.includes(settings.clipProfile)) {
+            validated.clipProfile = settings.clipProfile;
+        }
+        
+        const validClipRateControls = ['bitrate', 'crf', 'size'];
+        if (settings.clipRateControl && validClipRateControls.includes(settings.clipRateControl)) {
+            validated.clipRateControl = settings.clipRateControl;
+        }
+        
+        // 클립 목표 비트레이트 (0.5 ~ 200 Mbps)
+        if (settings.clipBitrate !== undefined) {
+            validated.clipBitrate = Math.max(0.5, Math.min(200, parseFloat(settings.clipBitrate) || 5));
+        }
+        
+        // 클립 목표 크기 (1 ~ 4000 MB)
+        if (settings.clipTargetSizeMB !== undefined) {
+            validated.clipTargetSizeMB = Math.max(1, Math.min(4000, parseFloat(settings.clipTargetSizeMB) || 8));
+        }
+        
+        const validClipCopyModes = ['off', 'keyframe', 'smart'];
+        if (settings.clipCopyMode && validClipCopyModes.includes(settings.clipCopyMode)) {
+            validated.clipCopyMode = settings.clipCopyMode;
+        }
+        
+        // 클립 최소 길이 (0 ~ 10초), 최대 길이 (0 = 제한 없음, 최대 1시간)
+        if (settings.clipMinDuration !== undefined) {
+            validated.clipMinDuration = Math.max(0, Math.min(10, parseFloat(settings.clipMinDuration) || 0));
+        }
+        
+        if (settings.clipMaxDuration !== undefined) {
+            validated.clipMaxDuration = Math.max(0, Math.min(3600, parseFloat(settings.clipMaxDuration) || 0));
+        }
+        
+        const validLongSceneModes = ['truncate', 'split'];
+        if (settings.clipLongSceneMode && validLongSceneModes.includes(settings.clipLongSceneMode)) {
+            validated.clipLongSceneMode = settings.clipLongSceneMode;
+        }
+        
+        const validAnimatedPreviews = ['off', 'gif', 'webp'];
+        if (settings.animatedPreview && validAnimatedPreviews.includes(settings.animatedPreview)) {
+            validated.animatedPreview = settings.animatedPreview;
+        }
+        
+        // 움짤 가로 (120 ~ 1920px), fps (1 ~ 30), 최대 길이 (0 = 클립 전체, 최대 60초)
+        if (settings.animatedWidth !== undefined) {
+            validated.animatedWidth = Math.max(120, Math.min(1920, parseInt(settings.animatedWidth) || 480));
+        }
+        
+        if (settings.animatedFps !== undefined) {
+            validated.animatedFps = Math.max(1, Math.min(30, parseInt(settings.animatedFps) || 12));
+        }
+        
+        if (settings.animatedMaxDuration !== undefined) {
+            validated.animatedMaxDuration = Math.max(0, Math.min(60, parseFloat(settings.animatedMaxDuration) || 0));
+        }
+        
+        const validDetectionModes = ['threshold', 'adaptive'];
+        if (settings.detectionMode && validDetectionModes.includes(settings.detectionMode)) {
+            validated.detectionMode = settings.detectionMode;
+        }
+        
+        const validSamplingModes = ['cuts', 'interval', 'count', 'nth'];
+        if (settings.frameSamplingMode && validSamplingModes.includes(settings.frameSamplingMode)) {
+            validated.frameSamplingMode = settings.frameSamplingMode;
+        }
+        
+        // 샘플링 N (초는 0.1부터, 장·프레임 수는 정수)
+        if (settings.frameSamplingValue !== undefined) {
+            const value = parseFloat(settings.frameSamplingValue) || 10;
+            validated.frameSamplingValue = (validated.frameSamplingMode || settings.frameSamplingMode) === 'interval' ?
+                Math.max(0.1, Math.min(3600, value)) :
+                Math.max(1, Math.min(3600, Math.round(value)));
+        }
+        
+        const validScenePolicies = ['middle', 'first', 'last', 'firstLast', 'firstMiddleLast', 'even', 'best'];
+        if (settings.sceneFramePolicy && validScenePolicies.includes(settings.sceneFramePolicy)) {
+            validated.sceneFramePolicy = settings.sceneFramePolicy;
+        }
+        
+        if (settings.sceneFrameCount !== undefined) {
+            validated.sceneFrameCount = Math.max(2, Math.min(20, parseInt(settings.sceneFrameCount) || 3));
+        }
+        
+        const validAudioModes = ['off', 'snap', 'audio'];
+        if (settings.audioMode && validAudioModes.includes(settings.audioMode)) {
+            validated.audioMode = settings.audioMode;
+        }
+        
+        const validPerformanceProfiles = ['fast', 'balanced', 'quality'];
+        if (settings.performanceProfile && validPerformanceProfiles.includes(settings.performanceProfile)) {
+            validated.performanceProfile = settings.performanceProfile;
+        }
+        
         const validExtractionMethods = ['unified', 'parallel'];
         if (settings.extractionMethod && validExtractionMethods.includes(settings.extractionMethod)) {
             validated.extractionMethod = settings.extractionMethod;
@@ -272,6 +769,31 @@ class SettingsManager {
             validated.smartFrameSelection = Boolean(settings.smartFrameSelection);
         }
         
+        if (settings.removeLetterbox !== undefined) {
+            validated.removeLetterbox = Boolean(settings.removeLetterbox);
+        }
+        
+        if (settings.keepHdr !== undefined) {
+            validated.keepHdr = Boolean(settings.keepHdr);
+        }
+        
+        if (settings.exportSceneList !== undefined) {
+            validated.exportSceneList = Boolean(settings.exportSceneList);
+        }
+        
+        if (settings.contactSheet !== undefined) {
+            validated.contactSheet = Boolean(settings.contactSheet);
+        }
+        
+        // 콘택트 시트 열 수 (1 ~ 12)
+        if (settings.contactSheetColumns !== undefined) {
+            validated.contactSheetColumns = Math.max(1, Math.min(12, parseInt(settings.contactSheetColumns) || 4));
+        }
+        
+        if (settings.importSceneListToEagle !== undefined) {
+            validated.importSceneListToEagle = Boolean(settings.importSceneListToEagle);
+        }
+        
         if (settings.realtimeDetection !== undefined) {
             validated.realtimeDetection = Boolean(settings.realtimeDetection);
         }